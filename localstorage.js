@@ -11,16 +11,120 @@
 // Modelo de datos para una película
 // ============================================================================
 class Pelicula {
-    constructor(titulo, genero, director, ano, calificacion, descripcion, imagen, id = null) {
+    constructor(titulo, generos, director, ano, calificacion, descripcion, imagen, id = null) {
         this.id = id || this.generarID();
         this.titulo = titulo;
-        this.genero = genero;
+        this.generos = Pelicula.normalizarLista(generos);
         this.director = director;
         this.ano = parseInt(ano);
         this.calificacion = parseFloat(calificacion);
         this.descripcion = descripcion;
         this.imagen = imagen;
+        this.asignarDetalles({});
         this.fechaCreacion = new Date().toISOString();
+        this.creadoPor = null;
+        this.modificadoPor = null;
+        this.fechaModificacion = null;
+        this.fechaEliminacion = null;
+        this.eliminadoPor = null;
+    }
+
+    /**
+     * Reconstruye una película desde su objeto plano de LocalStorage
+     * @param {Object} datos - Objeto generado por toJSON()
+     * @returns {Pelicula}
+     */
+    static fromJSON(datos) {
+        const pelicula = new Pelicula(
+            datos.titulo,
+            // Los datos anteriores a la versión 4 (o de archivos exportados entonces) traen un solo género
+            datos.generos !== undefined ? datos.generos : datos.genero,
+            datos.director,
+            datos.ano,
+            datos.calificacion,
+            datos.descripcion,
+            datos.imagen,
+            datos.id
+        );
+        pelicula.asignarDetalles(datos);
+        pelicula.fechaCreacion = datos.fechaCreacion || pelicula.fechaCreacion;
+        pelicula.creadoPor = datos.creadoPor || null;
+        pelicula.modificadoPor = datos.modificadoPor || null;
+        pelicula.fechaModificacion = datos.fechaModificacion || null;
+        pelicula.fechaEliminacion = datos.fechaEliminacion || null;
+        pelicula.eliminadoPor = datos.eliminadoPor || null;
+        return pelicula;
+    }
+
+    /**
+     * Copia los campos opcionales (etiquetas y ficha técnica) de un objeto plano.
+     * Los que falten quedan vacíos.
+     * @param {Object} datos
+     * @returns {Pelicula} La misma película
+     */
+    asignarDetalles(datos) {
+        const duracion = datos.duracion;
+
+        this.etiquetas = Pelicula.normalizarLista(datos.etiquetas);
+        this.reparto = Pelicula.normalizarLista(datos.reparto);
+        // Si no es un número queda NaN para que validar() lo rechace
+        this.duracion = duracion === null || duracion === undefined || duracion === '' ? null : Number(duracion);
+        this.idioma = String(datos.idioma || '').trim();
+        this.pais = String(datos.pais || '').trim();
+        this.clasificacionEdad = datos.clasificacionEdad || '';
+        this.trailer = String(datos.trailer || '').trim();
+        return this;
+    }
+
+    /**
+     * URL para incrustar un tráiler de YouTube o Vimeo
+     * @param {string} url - Enlace tal como se copia del navegador
+     * @returns {string|null} null si no es de un servicio soportado
+     */
+    static obtenerTrailerEmbebido(url) {
+        let direccion;
+        try {
+            direccion = new URL(url);
+        } catch {
+            return null;
+        }
+
+        const host = direccion.hostname.replace(/^(www|m)\./, '');
+        let id;
+
+        if (host === 'youtu.be') {
+            id = direccion.pathname.slice(1);
+        } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+            id = direccion.searchParams.get('v') ||
+                (direccion.pathname.match(/^\/(?:embed|shorts)\/([^/]+)/) || [])[1];
+        } else if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+            const vimeo = (direccion.pathname.match(/^\/(?:video\/)?(\d+)/) || [])[1];
+            return vimeo ? `https://player.vimeo.com/video/${vimeo}` : null;
+        }
+
+        return id && /^[\w-]{6,}$/.test(id) ? `https://www.youtube-nocookie.com/embed/${id}` : null;
+    }
+
+    /**
+     * Limpia una lista de géneros o etiquetas. Acepta también un texto separado por "|"
+     * (como en el CSV). Quita vacíos y repetidos sin distinguir mayúsculas ni acentos.
+     * @param {Array<string>|string|null} valor
+     * @returns {Array<string>}
+     */
+    static normalizarLista(valor) {
+        const elementos = Array.isArray(valor) ? valor : String(valor || '').split('|');
+        const vistos = new Set();
+
+        return elementos
+            .map(e => String(e === null || e === undefined ? '' : e).trim().replace(/\s+/g, ' '))
+            .filter(e => {
+                const clave = BuscadorAvanzado.normalizar(e);
+                if (!e || vistos.has(clave)) {
+                    return false;
+                }
+                vistos.add(clave);
+                return true;
+            });
     }
 
     /**
@@ -33,20 +137,59 @@ class Pelicula {
 
     /**
      * Valida los datos de la película
+     * @param {Array<string>|null} generosValidos - Si se indica, todos los géneros tienen que estar en la lista
      * @returns {Object} {valido: boolean, errores: string[]}
      */
-    validar() {
+    validar(generosValidos = null) {
         const errores = [];
 
-        if (!this.titulo || this.titulo.trim().length < 2) {
+        // Los textos pueden venir de un archivo importado con cualquier tipo: se rechazan, no se convierten
+
+        if (typeof this.id !== 'string' || !/^[\w-]+$/.test(this.id)) {
+            errores.push('El ID solo puede contener letras, números, guiones y guiones bajos');
+        }
+
+        if (typeof this.titulo !== 'string' || this.titulo.trim().length < 2) {
             errores.push('El título debe tener al menos 2 caracteres');
         }
 
-        if (!this.genero) {
-            errores.push('Debe seleccionar un género');
+        if (this.generos.length === 0) {
+            errores.push('Debe seleccionar al menos un género');
+        } else if (generosValidos) {
+            this.generos
+                .filter(g => !generosValidos.includes(g))
+                .forEach(g => errores.push(`El género "${g}" no existe en el catálogo`));
+        }
+
+        if (this.etiquetas.some(e => e.length > 30)) {
+            errores.push('Las etiquetas no pueden tener más de 30 caracteres');
+        }
+
+        if (this.reparto.some(nombre => nombre.length < 2 || nombre.length > 60)) {
+            errores.push('Cada nombre del reparto debe tener entre 2 y 60 caracteres');
+        }
+
+        if (this.duracion !== null && (!Number.isInteger(this.duracion) || this.duracion < 1 || this.duracion > 999)) {
+            errores.push('La duración debe ser un número entero de minutos entre 1 y 999');
+        }
+
+        if (this.idioma && (this.idioma.length < 2 || this.idioma.length > 40)) {
+            errores.push('El idioma debe tener entre 2 y 40 caracteres');
+        }
+
+        if (this.pais && (this.pais.length < 2 || this.pais.length > 40)) {
+            errores.push('El país debe tener entre 2 y 40 caracteres');
+        }
+
+        if (this.clasificacionEdad && !Object.hasOwn(CLASIFICACIONES_EDAD, this.clasificacionEdad)) {
+            errores.push(`Clasificación por edad no válida: ${this.clasificacionEdad}`);
+        }
+
+        if (this.trailer && !Pelicula.obtenerTrailerEmbebido(this.trailer)) {
+            errores.push('El tráiler debe ser un enlace de YouTube o Vimeo');
         }
 
-        if (!this.director || this.director.trim().length < 2) {
+        if (typeof this.director !== 'string' || this.director.trim().length < 2) {
             errores.push('El director debe tener al menos 2 caracteres');
         }
 
@@ -58,11 +201,11 @@ class Pelicula {
             errores.push('La calificación debe estar entre 1 y 10');
         }
 
-        if (!this.descripcion || this.descripcion.trim().length < 10) {
+        if (typeof this.descripcion !== 'string' || this.descripcion.trim().length < 10) {
             errores.push('La descripción debe tener al menos 10 caracteres');
         }
 
-        if (!this.imagen || !this.validarURL(this.imagen)) {
+        if (typeof this.imagen !== 'string' || !this.validarURL(this.imagen)) {
             errores.push('Debe proporcionar una URL de imagen válida');
         }
 
@@ -94,1042 +237,8322 @@ class Pelicula {
         return {
             id: this.id,
             titulo: this.titulo,
-            genero: this.genero,
+            generos: [...this.generos],
+            etiquetas: [...this.etiquetas],
             director: this.director,
             ano: this.ano,
             calificacion: this.calificacion,
             descripcion: this.descripcion,
             imagen: this.imagen,
-            fechaCreacion: this.fechaCreacion
+            reparto: [...this.reparto],
+            duracion: this.duracion,
+            idioma: this.idioma,
+            pais: this.pais,
+            clasificacionEdad: this.clasificacionEdad,
+            trailer: this.trailer,
+            fechaCreacion: this.fechaCreacion,
+            creadoPor: this.creadoPor,
+            modificadoPor: this.modificadoPor,
+            fechaModificacion: this.fechaModificacion,
+            fechaEliminacion: this.fechaEliminacion,
+            eliminadoPor: this.eliminadoPor
         };
     }
 }
 
 // ============================================================================
-// CLASE: AuthManager
-// Gestiona autenticación y registro de usuarios
+// CLASIFICACIONES POR EDAD
+// Clave guardada en la película → texto que se muestra
 // ============================================================================
-class AuthManager {
-    constructor() {
-        this.STORAGE_USERS_KEY = 'cineflix_users';
-        this.STORAGE_SESSION_KEY = 'cineflix_session';
-        this.inicializarUsuariosPorDefecto();
+const CLASIFICACIONES_EDAD = Object.freeze({
+    TP: 'Todos los públicos',
+    '+7': 'Mayores de 7 años',
+    '+12': 'Mayores de 12 años',
+    '+16': 'Mayores de 16 años',
+    '+18': 'Mayores de 18 años'
+});
+
+// ============================================================================
+// ROLES Y PERMISOS
+// Cada rol declara las acciones que puede realizar sobre el catálogo
+// ============================================================================
+const PERMISOS = Object.freeze({
+    CREAR_PELICULA: 'crear_pelicula',
+    EDITAR_PELICULA: 'editar_pelicula',
+    ELIMINAR_PELICULA: 'eliminar_pelicula',
+    GESTIONAR_GENEROS: 'gestionar_generos',
+    GESTIONAR_COLECCIONES: 'gestionar_colecciones',
+    GESTIONAR_USUARIOS: 'gestionar_usuarios'
+});
+
+const ROLES = Object.freeze({
+    admin: {
+        nombre: 'Administrador',
+        permisos: Object.values(PERMISOS)
+    },
+    editor: {
+        nombre: 'Editor',
+        permisos: [
+            PERMISOS.CREAR_PELICULA, PERMISOS.EDITAR_PELICULA, PERMISOS.ELIMINAR_PELICULA,
+            PERMISOS.GESTIONAR_GENEROS, PERMISOS.GESTIONAR_COLECCIONES
+        ]
+    },
+    viewer: {
+        nombre: 'Lector',
+        permisos: []
     }
+});
+
+const ROL_POR_DEFECTO = 'viewer';
+
+// ============================================================================
+// CONFIGURACIÓN DE LA PAPELERA
+// ============================================================================
+const CONFIG_PAPELERA = Object.freeze({
+    // Días que una película permanece en la papelera antes de purgarse
+    diasRetencion: 30,
+    STORAGE_DIAS_KEY: 'cineflix_papelera_dias'
+});
+
+// ============================================================================
+// CONFIGURACIÓN DE SESIÓN
+// Valores por defecto, en milisegundos. Un administrador puede cambiar las duraciones
+// desde "Usuarios y Roles" (se guardan en STORAGE_KEY, ver AuthManager.configurarSesion)
+// ============================================================================
+const CONFIG_SESION = Object.freeze({
+    // Vida máxima de una sesión sin "Recordarme" (se guarda en sessionStorage)
+    duracion: 8 * 60 * 60 * 1000,
+    // Vida máxima de una sesión con "Recordarme" (se guarda en localStorage)
+    duracionRecordada: 30 * 24 * 60 * 60 * 1000,
+    // Inactividad tolerada antes de cerrar la sesión
+    inactividadMaxima: 30 * 60 * 1000,
+    // Si la inactividad también cierra las sesiones recordadas. Por defecto no: el
+    // usuario pidió seguir conectado en ese equipo aunque cierre el navegador
+    inactividadRecordadas: false,
+    // Cada cuánto se persiste la última actividad del usuario
+    intervaloActividad: 60 * 1000,
+    STORAGE_KEY: 'cineflix_config_sesion'
+});
 
+// ============================================================================
+// CLASE: UtilidadesCSV
+// Lectura y escritura de CSV (RFC 4180) para intercambiar el catálogo con hojas de cálculo
+// ============================================================================
+class UtilidadesCSV {
     /**
-     * Crea usuarios de prueba si no existen
+     * Detecta el separador más probable mirando la primera línea fuera de comillas
+     * @param {string} texto
+     * @returns {string} ',', ';' o tabulador
      */
-    inicializarUsuariosPorDefecto() {
-        const usuarios = this.obtenerUsuarios();
-        
-        if (usuarios.length === 0) {
-            const usuariosPrueba = [
-                { 
-                    id: 'user_1',
-                    nombre: 'Administrador',
-                    email: 'admin@cineflix.com',
-                    usuario: 'admin', 
-                    password: 'admin123',
-                    fechaRegistro: new Date().toISOString()
-                },
-                { 
-                    id: 'user_2',
-                    nombre: 'Usuario Demo',
-                    email: 'usuario@cineflix.com',
-                    usuario: 'usuario', 
-                    password: '1234',
-                    fechaRegistro: new Date().toISOString()
-                },
-                { 
-                    id: 'user_3',
-                    nombre: 'Demo User',
-                    email: 'demo@cineflix.com',
-                    usuario: 'demo', 
-                    password: 'demo',
-                    fechaRegistro: new Date().toISOString()
-                }
-            ];
-            localStorage.setItem(this.STORAGE_USERS_KEY, JSON.stringify(usuariosPrueba));
+    static detectarSeparador(texto) {
+        const conteo = { ',': 0, ';': 0, '\t': 0 };
+        let entreComillas = false;
+
+        for (const caracter of texto) {
+            if (caracter === '"') {
+                entreComillas = !entreComillas;
+            } else if (!entreComillas && (caracter === '\n' || caracter === '\r')) {
+                break;
+            } else if (!entreComillas && caracter in conteo) {
+                conteo[caracter]++;
+            }
         }
+
+        return Object.keys(conteo).reduce((a, b) => (conteo[b] > conteo[a] ? b : a));
     }
 
     /**
-     * Obtiene todos los usuarios del LocalStorage
-     * @returns {Array}
+     * Convierte texto CSV en filas. Admite BOM, campos entre comillas con
+     * comillas escapadas ("") y saltos de línea dentro de los campos.
+     * @param {string} texto
+     * @param {string|null} separador - Si es null se detecta automáticamente
+     * @returns {Array<Array<string>>}
      */
-    obtenerUsuarios() {
-        try {
-            const usuarios = localStorage.getItem(this.STORAGE_USERS_KEY);
-            return usuarios ? JSON.parse(usuarios) : [];
-        } catch (error) {
-            console.error('Error al obtener usuarios:', error);
-            return [];
+    static parsear(texto, separador = null) {
+        const contenido = texto.replace(/^\uFEFF/, '');
+        const sep = separador || UtilidadesCSV.detectarSeparador(contenido);
+        const filas = [];
+        let fila = [];
+        let campo = '';
+        let entreComillas = false;
+
+        for (let i = 0; i < contenido.length; i++) {
+            const caracter = contenido[i];
+
+            if (entreComillas) {
+                if (caracter === '"' && contenido[i + 1] === '"') {
+                    campo += '"';
+                    i++;
+                } else if (caracter === '"') {
+                    entreComillas = false;
+                } else {
+                    campo += caracter;
+                }
+            } else if (caracter === '"') {
+                entreComillas = true;
+            } else if (caracter === sep) {
+                fila.push(campo);
+                campo = '';
+            } else if (caracter === '\n' || caracter === '\r') {
+                if (caracter === '\r' && contenido[i + 1] === '\n') {
+                    i++;
+                }
+                fila.push(campo);
+                filas.push(fila);
+                fila = [];
+                campo = '';
+            } else {
+                campo += caracter;
+            }
+        }
+
+        if (campo !== '' || fila.length > 0) {
+            fila.push(campo);
+            filas.push(fila);
         }
+
+        // Las filas completamente vacías no aportan datos
+        return filas.filter(f => f.some(valor => valor.trim() !== ''));
     }
 
     /**
-     * Guarda usuarios en LocalStorage
-     * @param {Array} usuarios - Array de usuarios
+     * Convierte filas en texto CSV, entrecomillando cuando hace falta
+     * @param {Array<Array<*>>} filas
+     * @param {string} separador
+     * @returns {string}
      */
-    guardarUsuarios(usuarios) {
-        try {
-            localStorage.setItem(this.STORAGE_USERS_KEY, JSON.stringify(usuarios));
-        } catch (error) {
-            console.error('Error al guardar usuarios:', error);
-            throw new Error('No se pudieron guardar los usuarios');
-        }
+    static generar(filas, separador = ',') {
+        const escapar = valor => {
+            const texto = valor === null || valor === undefined ? '' : String(valor);
+            return /["\r\n]/.test(texto) || texto.includes(separador)
+                ? `"${texto.replace(/"/g, '""')}"`
+                : texto;
+        };
+
+        return filas.map(fila => fila.map(escapar).join(separador)).join('\r\n');
     }
+}
+
+// ============================================================================
+// CLASE: BuscadorAvanzado
+// Búsqueda sin distinguir mayúsculas ni acentos, tolerante a erratas y con
+// operadores por campo (director:nolan, ano:>2010, calificacion:>=8)
+// ============================================================================
+// Campos que admiten operadores, con sus alias y su peso en la relevancia
+const CAMPOS_BUSQUEDA = Object.freeze({
+    titulo: { alias: ['titulo', 'title'], tipo: 'texto', peso: 3 },
+    director: { alias: ['director', 'dir'], tipo: 'texto', peso: 2 },
+    generos: { alias: ['genero', 'generos', 'genre'], tipo: 'texto', peso: 1.5 },
+    etiquetas: { alias: ['etiqueta', 'etiquetas', 'tag'], tipo: 'texto', peso: 1.5 },
+    reparto: { alias: ['reparto', 'actor', 'actriz', 'cast'], tipo: 'texto', peso: 2 },
+    idioma: { alias: ['idioma', 'lang'], tipo: 'texto', peso: 1 },
+    pais: { alias: ['pais', 'country'], tipo: 'texto', peso: 1 },
+    descripcion: { alias: ['descripcion', 'desc', 'sinopsis'], tipo: 'texto', peso: 1 },
+    ano: { alias: ['ano', 'anio', 'year'], tipo: 'numero' },
+    calificacion: { alias: ['calificacion', 'nota', 'rating'], tipo: 'numero' },
+    duracion: { alias: ['duracion', 'minutos', 'min'], tipo: 'numero' }
+});
 
+class BuscadorAvanzado {
     /**
-     * Valida credenciales de login
-     * @param {string} usuario - Nombre de usuario
-     * @param {string} password - Contraseña
-     * @returns {Object} {exito: boolean, mensaje: string, usuario?: Object}
+     * Pasa a minúsculas y quita los acentos ("Acción" → "accion")
+     * @param {*} texto
+     * @returns {string}
      */
-    login(usuario, password) {
-        if (!usuario || !password) {
-            return { exito: false, mensaje: 'Usuario y contraseña son requeridos' };
-        }
-
-        const usuarios = this.obtenerUsuarios();
-        const usuarioEncontrado = usuarios.find(
-            u => u.usuario === usuario && u.password === password
-        );
+    static normalizar(texto) {
+        return String(texto === null || texto === undefined ? '' : texto)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
 
-        if (usuarioEncontrado) {
-            // Guardar sesión
-            const sesion = {
-                id: usuarioEncontrado.id,
-                nombre: usuarioEncontrado.nombre,
-                usuario: usuarioEncontrado.usuario,
-                email: usuarioEncontrado.email,
-                fechaLogin: new Date().toISOString()
-            };
-            localStorage.setItem(this.STORAGE_SESSION_KEY, JSON.stringify(sesion));
+    /**
+     * Separa la consulta en términos libres y filtros por campo.
+     * Las comillas agrupan frases: director:"peter jackson", "el padrino".
+     * @param {string} consulta
+     * @returns {Object} {terminos: string[], filtros: [{campo, operador, valor}]}
+     */
+    static interpretar(consulta) {
+        const resultado = { terminos: [], filtros: [] };
+        const tokens = String(consulta || '').match(/(?:[^\s"]+:)?"[^"]*"?|\S+/g) || [];
+
+        tokens.forEach(token => {
+            const filtro = token.match(/^([^:"]+):(>=|<=|>|<|=)?(.*)$/);
+            const campo = filtro ? BuscadorAvanzado.resolverCampo(filtro[1]) : null;
+
+            if (campo) {
+                const valor = BuscadorAvanzado.normalizar(filtro[3].replace(/"/g, '')).trim();
+                if (valor) {
+                    resultado.filtros.push({ campo, operador: filtro[2] || '=', valor });
+                }
+                return;
+            }
 
-            return {
-                exito: true,
-                mensaje: '¡Bienvenido!',
-                usuario: sesion
-            };
-        }
+            const termino = BuscadorAvanzado.normalizar(token.replace(/"/g, '')).trim();
+            if (termino) {
+                resultado.terminos.push(termino);
+            }
+        });
 
-        return {
-            exito: false,
-            mensaje: 'Usuario o contraseña incorrectos'
-        };
+        return resultado;
     }
 
     /**
-     * Registra un nuevo usuario
-     * @param {Object} datos - {nombre, email, usuario, password}
-     * @returns {Object} {exito: boolean, mensaje: string}
+     * @param {string} nombre - Nombre o alias escrito por el usuario
+     * @returns {string|null} Campo de CAMPOS_BUSQUEDA
      */
-    registrar(datos) {
-        const { nombre, email, usuario, password, confirmPassword } = datos;
+    static resolverCampo(nombre) {
+        const normalizado = BuscadorAvanzado.normalizar(nombre).replace(/ñ/g, 'n');
+        return Object.keys(CAMPOS_BUSQUEDA)
+            .find(campo => CAMPOS_BUSQUEDA[campo].alias.includes(normalizado)) || null;
+    }
 
-        // Validaciones
-        if (!nombre || nombre.trim().length < 3) {
-            return { exito: false, mensaje: 'El nombre debe tener al menos 3 caracteres' };
+    /**
+     * Distancia de edición entre dos textos (Levenshtein contando como un solo
+     * error el intercambio de dos letras seguidas, "matirx" → "matrix")
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    static distancia(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) {
+            d[0][j] = j;
         }
 
-        if (!email || !this.validarEmail(email)) {
-            return { exito: false, mensaje: 'Email inválido' };
-        }
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const coste = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + coste);
 
-        if (!usuario || usuario.trim().length < 4) {
-            return { exito: false, mensaje: 'El usuario debe tener al menos 4 caracteres' };
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
         }
 
-        if (!password || password.length < 6) {
-            return { exito: false, mensaje: 'La contraseña debe tener al menos 6 caracteres' };
-        }
+        return d[a.length][b.length];
+    }
 
-        if (password !== confirmPassword) {
-            return { exito: false, mensaje: 'Las contraseñas no coinciden' };
+    /**
+     * Erratas admitidas según la longitud del término
+     * @param {string} termino
+     * @returns {number}
+     */
+    static tolerancia(termino) {
+        if (termino.length <= 3) {
+            return 0;
         }
+        return termino.length <= 6 ? 1 : 2;
+    }
 
-        const usuarios = this.obtenerUsuarios();
+    /**
+     * Compara un término con una palabra ya normalizada
+     * @param {string} termino
+     * @param {string} palabra
+     * @returns {number} Puntos de la coincidencia (0 si no coincide)
+     */
+    static compararPalabra(termino, palabra) {
+        if (palabra === termino) {
+            return 1;
+        }
+        if (palabra.startsWith(termino)) {
+            return 0.8;
+        }
+        if (palabra.includes(termino)) {
+            return 0.6;
+        }
 
-        // Verificar si el usuario ya existe
-        if (usuarios.some(u => u.usuario === usuario)) {
-            return { exito: false, mensaje: 'El usuario ya existe' };
+        const tolerancia = BuscadorAvanzado.tolerancia(termino);
+        if (tolerancia === 0 || Math.abs(palabra.length - termino.length) > tolerancia) {
+            return 0;
         }
 
-        if (usuarios.some(u => u.email === email)) {
-            return { exito: false, mensaje: 'El email ya está registrado' };
+        const distancia = BuscadorAvanzado.distancia(termino, palabra);
+        return distancia <= tolerancia ? 0.5 - distancia * 0.15 : 0;
+    }
+
+    /**
+     * Mejor coincidencia de un término (o frase) dentro de un texto
+     * @param {string} termino - Normalizado
+     * @param {string|Array<string>} texto - Texto original, o lista (p. ej. géneros) que se evalúa elemento a elemento
+     * @returns {number} Puntos entre 0 y 1
+     */
+    static puntuarTexto(termino, texto) {
+        if (Array.isArray(texto)) {
+            return texto.reduce((mejor, elemento) => Math.max(mejor, BuscadorAvanzado.puntuarTexto(termino, elemento)), 0);
         }
 
-        // Crear nuevo usuario
-        const nuevoUsuario = {
-            id: `user_${Date.now()}`,
-            nombre: nombre.trim(),
-            email: email.trim().toLowerCase(),
-            usuario: usuario.trim(),
-            password,
-            fechaRegistro: new Date().toISOString()
-        };
+        const normalizado = BuscadorAvanzado.normalizar(texto);
 
-        usuarios.push(nuevoUsuario);
-        this.guardarUsuarios(usuarios);
+        if (termino.includes(' ')) {
+            return normalizado.includes(termino) ? 1 : 0;
+        }
 
-        return {
-            exito: true,
-            mensaje: 'Cuenta creada exitosamente. Ya puedes iniciar sesión'
-        };
+        return (normalizado.match(/[\p{L}\p{N}]+/gu) || [])
+            .reduce((mejor, palabra) => Math.max(mejor, BuscadorAvanzado.compararPalabra(termino, palabra)), 0);
     }
 
     /**
-     * Valida formato de email
-     * @param {string} email
+     * Comprueba un filtro por campo
+     * @param {Pelicula} pelicula
+     * @param {Object} filtro - {campo, operador, valor}
      * @returns {boolean}
      */
-    validarEmail(email) {
-        const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return regex.test(email);
+    static cumpleFiltro(pelicula, filtro) {
+        if (CAMPOS_BUSQUEDA[filtro.campo].tipo === 'texto') {
+            return BuscadorAvanzado.puntuarTexto(filtro.valor, pelicula[filtro.campo]) > 0;
+        }
+
+        const valor = parseFloat(filtro.valor.replace(',', '.'));
+        const actual = Number(pelicula[filtro.campo]);
+
+        // Campos opcionales sin dato (p. ej. duración) no cumplen ningún filtro
+        if (isNaN(valor) || pelicula[filtro.campo] === null) {
+            return false;
+        }
+
+        switch (filtro.operador) {
+            case '>': return actual > valor;
+            case '>=': return actual >= valor;
+            case '<': return actual < valor;
+            case '<=': return actual <= valor;
+            default: return actual === valor;
+        }
     }
 
     /**
-     * Cierra sesión del usuario actual
+     * Filtra y ordena por relevancia. Todos los términos y filtros deben cumplirse.
+     * @param {Array<Pelicula>} peliculas
+     * @param {string} consulta
+     * @returns {Array<Object>} [{pelicula, puntuacion}] de mayor a menor relevancia
      */
-    logout() {
-        localStorage.removeItem(this.STORAGE_SESSION_KEY);
+    static buscar(peliculas, consulta) {
+        const { terminos, filtros } = BuscadorAvanzado.interpretar(consulta);
+        const camposTexto = Object.keys(CAMPOS_BUSQUEDA)
+            .filter(campo => CAMPOS_BUSQUEDA[campo].tipo === 'texto');
+        const resultados = [];
+
+        peliculas.forEach((pelicula, indice) => {
+            if (!filtros.every(filtro => BuscadorAvanzado.cumpleFiltro(pelicula, filtro))) {
+                return;
+            }
+
+            let puntuacion = 0;
+            for (const termino of terminos) {
+                const mejor = Math.max(...camposTexto.map(campo =>
+                    BuscadorAvanzado.puntuarTexto(termino, pelicula[campo]) * CAMPOS_BUSQUEDA[campo].peso));
+                if (mejor === 0) {
+                    return;
+                }
+                puntuacion += mejor;
+            }
+
+            resultados.push({ pelicula, puntuacion, indice });
+        });
+
+        // A igual relevancia se conserva el orden original
+        return resultados
+            .sort((a, b) => b.puntuacion - a.puntuacion || a.indice - b.indice)
+            .map(({ pelicula, puntuacion }) => ({ pelicula, puntuacion }));
     }
 
     /**
-     * Obtiene la sesión activa
-     * @returns {Object|null}
+     * Términos a resaltar en cada campo de texto para una consulta
+     * @param {string} consulta
+     * @returns {Object} {campo: string[]}
      */
-    obtenerSesionActiva() {
-        try {
-            const sesion = localStorage.getItem(this.STORAGE_SESSION_KEY);
-            return sesion ? JSON.parse(sesion) : null;
-        } catch {
-            return null;
-        }
+    static terminosPorCampo(consulta) {
+        const { terminos, filtros } = BuscadorAvanzado.interpretar(consulta);
+        const resultado = {};
+
+        Object.keys(CAMPOS_BUSQUEDA).forEach(campo => {
+            resultado[campo] = [...terminos, ...filtros.filter(f => f.campo === campo).map(f => f.valor)];
+        });
+
+        return resultado;
     }
 
     /**
-     * Verifica si hay un usuario autenticado
-     * @returns {boolean}
+     * Devuelve el texto escapado para HTML con las coincidencias dentro de <mark>
+     * @param {string} texto - Texto original
+     * @param {Array<string>} terminos - Términos normalizados
+     * @returns {string}
      */
-    estaAutenticado() {
-        return this.obtenerSesionActiva() !== null;
+    static resaltar(texto, terminos) {
+        const original = String(texto === null || texto === undefined ? '' : texto);
+        const escapar = t => t.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' })[c]);
+
+        if (!terminos || terminos.length === 0) {
+            return escapar(original);
+        }
+
+        // Texto normalizado carácter a carácter para conservar las posiciones del original
+        const caracteres = Array.from(original);
+        const normalizados = caracteres.map(c => BuscadorAvanzado.normalizar(c).charAt(0) || c);
+        const normalizado = normalizados.join('');
+        const marcados = new Array(caracteres.length).fill(false);
+        const marcar = (inicio, fin) => {
+            for (let i = inicio; i < fin; i++) {
+                marcados[i] = true;
+            }
+        };
+
+        terminos.forEach(termino => {
+            let posicion = normalizado.indexOf(termino);
+            while (termino && posicion !== -1) {
+                marcar(posicion, posicion + termino.length);
+                posicion = normalizado.indexOf(termino, posicion + termino.length);
+            }
+        });
+
+        // Palabras que solo coinciden con erratas se marcan completas
+        for (const palabra of normalizado.matchAll(/[\p{L}\p{N}]+/gu)) {
+            const aproximada = terminos.some(t => !palabra[0].includes(t) && BuscadorAvanzado.compararPalabra(t, palabra[0]) > 0);
+            if (aproximada) {
+                marcar(palabra.index, palabra.index + palabra[0].length);
+            }
+        }
+
+        let html = '';
+        caracteres.forEach((caracter, i) => {
+            if (marcados[i] && !marcados[i - 1]) {
+                html += '<mark>';
+            }
+            html += escapar(caracter);
+            if (marcados[i] && !marcados[i + 1]) {
+                html += '</mark>';
+            }
+        });
+        return html;
     }
 }
 
 // ============================================================================
-// CLASE: PeliculaManager
-// Gestiona operaciones CRUD de películas
+// CLASE: EstadisticasCatalogo
+// Agregados del catálogo para el panel de estadísticas. No usa el DOM: recibe
+// películas y devuelve segmentos {etiqueta, cantidad, consulta}, donde consulta
+// son los campos de CONSULTA_VACIA que muestran las películas de ese segmento.
 // ============================================================================
-class PeliculaManager {
-    constructor() {
-        this.STORAGE_KEY = 'cineflix_peliculas';
-        this.peliculas = this.cargarPeliculas();
+class EstadisticasCatalogo {
+    /**
+     * Calcula todas las estadísticas
+     * @param {Array<Pelicula>} peliculas
+     * @param {Object} opciones - {directores: cuántos en el ranking, meses: máximo de meses de altas}
+     * @returns {Object} {resumen, generos, calificaciones, decadas, directores, altas}
+     */
+    static calcular(peliculas, { directores = 5, meses = 12 } = {}) {
+        return {
+            resumen: EstadisticasCatalogo.resumen(peliculas),
+            generos: EstadisticasCatalogo.porGenero(peliculas),
+            calificaciones: EstadisticasCatalogo.porCalificacion(peliculas),
+            decadas: EstadisticasCatalogo.porDecada(peliculas),
+            directores: EstadisticasCatalogo.topDirectores(peliculas, directores),
+            altas: EstadisticasCatalogo.altasPorMes(peliculas, meses)
+        };
     }
 
     /**
-     * Carga películas desde LocalStorage
-     * @returns {Array<Pelicula>}
+     * Totales generales
+     * @param {Array<Pelicula>} peliculas
+     * @returns {Object} {peliculas, calificacionMedia (null sin películas), generos, directores}
      */
-    cargarPeliculas() {
-        try {
-            const data = localStorage.getItem(this.STORAGE_KEY);
-            if (data) {
-                const peliculasData = JSON.parse(data);
-                return peliculasData.map(p => {
-                    const pelicula = new Pelicula(
-                        p.titulo,
-                        p.genero,
-                        p.director,
-                        p.ano,
-                        p.calificacion,
-                        p.descripcion,
-                        p.imagen,
-                        p.id
-                    );
-                    pelicula.fechaCreacion = p.fechaCreacion;
-                    return pelicula;
-                });
-            }
-            return this.obtenerPeliculasIniciales();
-        } catch (error) {
-            console.error('Error al cargar películas:', error);
-            return this.obtenerPeliculasIniciales();
-        }
+    static resumen(peliculas) {
+        const suma = peliculas.reduce((total, p) => total + p.calificacion, 0);
+
+        return {
+            peliculas: peliculas.length,
+            calificacionMedia: peliculas.length > 0 ? Math.round(suma / peliculas.length * 10) / 10 : null,
+            generos: new Set(peliculas.flatMap(p => p.generos)).size,
+            directores: new Set(peliculas.map(p => BuscadorAvanzado.normalizar(p.director).trim())).size
+        };
     }
 
     /**
-     * Películas de ejemplo para inicializar el sistema
-     * @returns {Array<Pelicula>}
+     * Películas por género, de más a menos. Una película con varios géneros cuenta en cada uno.
+     * @param {Array<Pelicula>} peliculas
+     * @returns {Array<Object>}
      */
-    obtenerPeliculasIniciales() {
-        const peliculasIniciales = [
-            new Pelicula(
-                'Matrix',
-                'Ciencia Ficción',
-                'Lana Wachowski, Lilly Wachowski',
-                1999,
-                8.7,
-                'Un hacker descubre la impactante verdad sobre su realidad y su papel en la guerra contra sus controladores.',
-                'https://image.tmdb.org/t/p/w500/f89U3ADr1oiB1s9GkdPOEpXUk5H.jpg'
-            ),
-            new Pelicula(
-                'El Padrino',
-                'Drama',
-                'Francis Ford Coppola',
-                1972,
-                9.2,
-                'El patriarca envejecido de una dinastía del crimen organizado transfiere el control de su imperio clandestino a su hijo reacio.',
-                'https://image.tmdb.org/t/p/w500/3bhkrj58Vtu7enYsRolD1fZdja1.jpg'
-            ),
-            new Pelicula(
-                'Inception',
-                'Ciencia Ficción',
-                'Christopher Nolan',
-                2010,
-                8.8,
-                'Un ladrón que roba secretos corporativos mediante el uso de tecnología de sueños compartidos recibe la tarea inversa de plantar una idea.',
-                'https://image.tmdb.org/t/p/w500/9gk7adHYeDvHkCSEqAvQNLV5Uge.jpg'
-            ),
-            new Pelicula(
-                'Forrest Gump',
-                'Drama',
-                'Robert Zemeckis',
-                1994,
-                8.8,
-                'Las presidencias de Kennedy y Johnson, los eventos de Vietnam, Watergate y otros eventos históricos se desarrollan a través de la perspectiva de un hombre de Alabama.',
-                'https://image.tmdb.org/t/p/w500/arw2vcBveWOVZr6pxd9XTd1TdQa.jpg'
-            ),
-            new Pelicula(
-                'Pulp Fiction',
-                'Acción',
-                'Quentin Tarantino',
-                1994,
-                8.9,
-                'Las vidas de dos asesinos a sueldo, un boxeador, la esposa de un gánster y dos bandidos se entrelazan en cuatro historias de violencia y redención.',
-                'https://image.tmdb.org/t/p/w500/d5iIlFn5s0ImszYzBPb8JPIfbXD.jpg'
-            ),
-            new Pelicula(
-                'Interestelar',
-                'Ciencia Ficción',
-                'Christopher Nolan',
-                2014,
-                8.6,
-                'Un equipo de exploradores viaja a través de un agujero de gusano en el espacio en un intento de asegurar la supervivencia de la humanidad.',
-                'https://image.tmdb.org/t/p/w500/gEU2QniE6E77NI6lCU6MxlNBvIx.jpg'
-            ),
-            new Pelicula(
-                'El Señor de los Anillos: El Retorno del Rey',
-                'Aventura',
-                'Peter Jackson',
-                2003,
-                8.9,
-                'Gandalf y Aragorn lideran el Mundo de los Hombres contra el ejército de Sauron para atraer su mirada de Frodo y Sam mientras se acercan al Monte del Destino.',
-                'https://image.tmdb.org/t/p/w500/rCzpDGLbOoPwLjy3OAm5NUPOTrC.jpg'
-            ),
-            new Pelicula(
-                'Gladiador',
-                'Acción',
-                'Ridley Scott',
-                2000,
-                8.5,
-                'Un ex general romano busca venganza contra el corrupto emperador que asesinó a su familia y lo envió a la esclavitud.',
-                'https://image.tmdb.org/t/p/w500/ty8TGRuvJLPUmAR1H1nRIsgwvim.jpg'
-            )
-        ];
+    static porGenero(peliculas) {
+        const conteo = new Map();
+        peliculas.forEach(p => p.generos.forEach(g => conteo.set(g, (conteo.get(g) || 0) + 1)));
 
-        this.peliculas = peliculasIniciales;
-        this.guardarPeliculas();
-        return peliculasIniciales;
+        return [...conteo.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'es'))
+            .map(([genero, cantidad]) => ({ etiqueta: genero, cantidad, consulta: { generos: [genero] } }));
     }
 
     /**
-     * Guarda películas en LocalStorage
+     * Distribución de calificaciones en tramos de un punto: [1, 2), [2, 3) ... y [9, 10] con el 10 incluido.
+     * La consulta usa tramoCalificacion, que filtra con tramoDe() para que el recuento coincida con lo que muestra.
+     * @param {Array<Pelicula>} peliculas
+     * @returns {Array<Object>}
      */
-    guardarPeliculas() {
-        try {
-            const peliculasJSON = this.peliculas.map(p => p.toJSON());
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(peliculasJSON));
-        } catch (error) {
-            console.error('Error al guardar películas:', error);
-            throw new Error('No se pudieron guardar las películas');
-        }
+    static porCalificacion(peliculas) {
+        return Array.from({ length: 9 }, (_, i) => {
+            const tramo = i + 1;
+            return {
+                etiqueta: EstadisticasCatalogo.etiquetaTramo(tramo),
+                cantidad: peliculas.filter(p => EstadisticasCatalogo.tramoDe(p.calificacion) === tramo).length,
+                consulta: { tramoCalificacion: tramo }
+            };
+        });
     }
 
     /**
-     * Obtiene todas las películas
-     * @returns {Array<Pelicula>}
+     * Tramo de porCalificacion() al que pertenece una calificación
+     * @param {number} calificacion
+     * @returns {number|null} De 1 a 9, o null si está fuera de 1-10
      */
-    obtenerTodas() {
-        return [...this.peliculas];
+    static tramoDe(calificacion) {
+        if (!(calificacion >= 1 && calificacion <= 10)) {
+            return null;
+        }
+        return Math.min(Math.floor(calificacion), 9);
     }
 
     /**
-     * Obtiene una película por ID
-     * @param {string} id
-     * @returns {Pelicula|null}
+     * @param {number} tramo - De 1 a 9
+     * @returns {string}
      */
-    obtenerPorId(id) {
-        return this.peliculas.find(p => p.id === id) || null;
+    static etiquetaTramo(tramo) {
+        return `${tramo}–${tramo + 1}`;
     }
 
     /**
-     * Agrega una nueva película
-     * @param {Pelicula} pelicula
-     * @returns {Object} {exito: boolean, mensaje: string, pelicula?: Pelicula}
+     * Películas por década de estreno, de la más antigua a la más reciente, sin huecos
+     * @param {Array<Pelicula>} peliculas
+     * @returns {Array<Object>}
      */
-    agregar(pelicula) {
-        const validacion = pelicula.validar();
-        
-        if (!validacion.valido) {
+    static porDecada(peliculas) {
+        if (peliculas.length === 0) {
+            return [];
+        }
+
+        const decadas = peliculas.map(p => Math.floor(p.ano / 10) * 10);
+        const primera = Math.min(...decadas);
+        const ultima = Math.max(...decadas);
+
+        return Array.from({ length: (ultima - primera) / 10 + 1 }, (_, i) => {
+            const decada = primera + i * 10;
             return {
-                exito: false,
-                mensaje: validacion.errores.join('\n')
+                etiqueta: `${decada}s`,
+                cantidad: decadas.filter(d => d === decada).length,
+                consulta: { anoDesde: decada, anoHasta: decada + 9 }
             };
+        });
+    }
+
+    /**
+     * Directores con más películas. Se agrupan sin distinguir mayúsculas ni acentos
+     * y se muestra la forma más usada del nombre.
+     * @param {Array<Pelicula>} peliculas
+     * @param {number} cantidad - Tamaño del ranking
+     * @returns {Array<Object>}
+     */
+    static topDirectores(peliculas, cantidad = 5) {
+        const grupos = new Map();
+
+        peliculas.forEach(p => {
+            const clave = BuscadorAvanzado.normalizar(p.director).trim();
+            const grupo = grupos.get(clave) || { total: 0, nombres: new Map() };
+            grupo.total++;
+            grupo.nombres.set(p.director, (grupo.nombres.get(p.director) || 0) + 1);
+            grupos.set(clave, grupo);
+        });
+
+        return [...grupos.values()]
+            .map(grupo => {
+                const [nombre] = [...grupo.nombres.entries()].sort((a, b) => b[1] - a[1])[0];
+                return { etiqueta: nombre, cantidad: grupo.total, consulta: { director: nombre } };
+            })
+            .sort((a, b) => b.cantidad - a.cantidad || a.etiqueta.localeCompare(b.etiqueta, 'es'))
+            .slice(0, cantidad);
+    }
+
+    /**
+     * Películas agregadas al catálogo por mes (según fechaCreacion, en hora local),
+     * sin huecos y limitadas a los últimos meses con altas
+     * @param {Array<Pelicula>} peliculas
+     * @param {number} meses - Máximo de meses a devolver
+     * @returns {Array<Object>} La consulta usa mesAlta ('AAAA-MM')
+     */
+    static altasPorMes(peliculas, meses = 12) {
+        const claves = peliculas
+            .map(p => new Date(p.fechaCreacion))
+            .filter(fecha => !isNaN(fecha))
+            .map(fecha => EstadisticasCatalogo.claveMes(fecha));
+
+        if (claves.length === 0) {
+            return [];
         }
 
-        this.peliculas.push(pelicula);
-        this.guardarPeliculas();
+        const ultima = claves.reduce((a, b) => (a > b ? a : b));
+        const primera = claves.reduce((a, b) => (a < b ? a : b));
+        const [anoFinal, mesFinal] = ultima.split('-').map(Number);
+        const resultado = [];
 
-        return {
-            exito: true,
-            mensaje: 'Película agregada exitosamente',
-            pelicula
-        };
+        for (let i = 0; i < meses; i++) {
+            const clave = EstadisticasCatalogo.claveMes(new Date(anoFinal, mesFinal - 1 - i, 1));
+            if (clave < primera) {
+                break;
+            }
+            resultado.unshift({
+                etiqueta: clave,
+                cantidad: claves.filter(c => c === clave).length,
+                consulta: { mesAlta: clave }
+            });
+        }
+
+        return resultado;
     }
 
     /**
-     * Actualiza una película existente
-     * @param {string} id
-     * @param {Object} datos - Datos actualizados
-     * @returns {Object} {exito: boolean, mensaje: string}
+     * Mes de una fecha en hora local como 'AAAA-MM'
+     * @param {Date} fecha
+     * @returns {string}
      */
-    actualizar(id, datos) {
-        const index = this.peliculas.findIndex(p => p.id === id);
+    static claveMes(fecha) {
+        return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}`;
+    }
+}
 
-        if (index === -1) {
-            return {
-                exito: false,
-                mensaje: 'Película no encontrada'
-            };
+// ============================================================================
+// ADAPTADORES DE ALMACENAMIENTO
+// Todos guardan texto por clave con la misma interfaz asíncrona:
+// leer(clave), escribir(clave, texto), eliminar(clave) y claves()
+// ============================================================================
+const CONFIG_ALMACENAMIENTO = Object.freeze({
+    // 'local', 'indexeddb' o 'memoria'
+    tipoPorDefecto: 'local',
+    // Los únicos que se recuerdan entre visitas; 'memoria' vale solo para la carga en curso
+    persistentes: ['local', 'indexeddb'],
+    // Preferencia guardada en localStorage (la elección no puede vivir en el propio backend)
+    STORAGE_TIPO_KEY: 'cineflix_almacenamiento',
+    // Marca que deja un backend al copiar sus datos a otro: lo que queda en él está desfasado
+    STORAGE_TRASLADO_KEY: 'cineflix_trasladado',
+    // Claves que la app guarda siempre en localStorage y no se copian al cambiar de backend
+    clavesNavegador: [
+        'cineflix_almacenamiento', 'cineflix_session', 'cineflix_mensaje_pestanas',
+        'cineflix_sync_endpoint', 'cineflix_orden', 'cineflix_slider'
+    ]
+});
+
+class AlmacenamientoLocal {
+    /**
+     * @param {Storage} storage - localStorage por defecto
+     */
+    constructor(storage = localStorage) {
+        this.nombre = 'localStorage';
+        this.storage = storage;
+    }
+
+    async leer(clave) {
+        return this.storage.getItem(clave);
+    }
+
+    async escribir(clave, texto) {
+        this.storage.setItem(clave, texto);
+    }
+
+    async eliminar(clave) {
+        this.storage.removeItem(clave);
+    }
+
+    async claves() {
+        return Object.keys(this.storage);
+    }
+}
+
+class AlmacenamientoIndexedDB {
+    /**
+     * @param {string} nombreBD
+     * @param {string} almacen - Object store clave/valor
+     */
+    constructor(nombreBD = 'cineflix', almacen = 'datos') {
+        this.nombre = 'IndexedDB';
+        this.nombreBD = nombreBD;
+        this.almacen = almacen;
+        this.conexion = null;
+    }
+
+    /**
+     * Abre la base de datos una sola vez
+     * @returns {Promise<IDBDatabase>}
+     */
+    abrir() {
+        if (!this.conexion) {
+            this.conexion = new Promise((resolve, reject) => {
+                const solicitud = indexedDB.open(this.nombreBD, 1);
+                solicitud.onupgradeneeded = () => solicitud.result.createObjectStore(this.almacen);
+                solicitud.onsuccess = () => resolve(solicitud.result);
+                solicitud.onerror = () => reject(solicitud.error);
+            });
         }
+        return this.conexion;
+    }
 
-        const peliculaActualizada = new Pelicula(
-            datos.titulo,
-            datos.genero,
-            datos.director,
-            datos.ano,
-            datos.calificacion,
-            datos.descripcion,
-            datos.imagen,
-            id
-        );
+    /**
+     * Ejecuta una operación sobre el object store y espera a que termine la transacción
+     * @param {string} modo - 'readonly' o 'readwrite'
+     * @param {Function} operacion - Recibe el store y devuelve un IDBRequest
+     * @returns {Promise<*>} Resultado de la solicitud
+     */
+    async transaccion(modo, operacion) {
+        const bd = await this.abrir();
+
+        return new Promise((resolve, reject) => {
+            const tx = bd.transaction(this.almacen, modo);
+            const solicitud = operacion(tx.objectStore(this.almacen));
+            tx.oncomplete = () => resolve(solicitud.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transacción cancelada'));
+        });
+    }
 
-        // Mantener fecha de creación original
-        peliculaActualizada.fechaCreacion = this.peliculas[index].fechaCreacion;
+    async leer(clave) {
+        const valor = await this.transaccion('readonly', store => store.get(clave));
+        return valor === undefined ? null : valor;
+    }
 
-        const validacion = peliculaActualizada.validar();
+    async escribir(clave, texto) {
+        await this.transaccion('readwrite', store => store.put(texto, clave));
+    }
 
-        if (!validacion.valido) {
-            return {
-                exito: false,
-                mensaje: validacion.errores.join('\n')
-            };
+    async eliminar(clave) {
+        await this.transaccion('readwrite', store => store.delete(clave));
+    }
+
+    async claves() {
+        return this.transaccion('readonly', store => store.getAllKeys());
+    }
+}
+
+class AlmacenamientoMemoria {
+    /**
+     * @param {Object} inicial - {clave: texto} para precargar (útil en pruebas)
+     */
+    constructor(inicial = {}) {
+        this.nombre = 'memoria';
+        this.datos = new Map(Object.entries(inicial));
+    }
+
+    async leer(clave) {
+        return this.datos.has(clave) ? this.datos.get(clave) : null;
+    }
+
+    async escribir(clave, texto) {
+        this.datos.set(clave, String(texto));
+    }
+
+    async eliminar(clave) {
+        this.datos.delete(clave);
+    }
+
+    async claves() {
+        return [...this.datos.keys()];
+    }
+}
+
+/**
+ * Crea el adaptador de un tipo. Sin IndexedDB en el navegador se usa localStorage.
+ * @param {string} tipo - 'local', 'indexeddb' o 'memoria'
+ * @returns {AlmacenamientoLocal|AlmacenamientoIndexedDB|AlmacenamientoMemoria}
+ */
+function crearAdaptador(tipo) {
+    if (tipo === 'indexeddb' && !window.indexedDB) {
+        console.warn('IndexedDB no está disponible, se usará localStorage');
+        tipo = 'local';
+    }
+
+    switch (tipo) {
+        case 'indexeddb':
+            return new AlmacenamientoIndexedDB();
+        case 'memoria':
+            return new AlmacenamientoMemoria();
+        default:
+            return new AlmacenamientoLocal();
+    }
+}
+
+/**
+ * Crea el adaptador elegido con ?almacenamiento=local|indexeddb|memoria,
+ * o el último persistente elegido, o el de CONFIG_ALMACENAMIENTO.
+ * Al pasar a otro backend persistente se copian los datos del anterior si el
+ * nuevo está vacío o si lo que tiene quedó allí la última vez que se salió de él.
+ * @returns {Promise<Object>} {almacenamiento, aviso: string|null} - aviso para mostrar al usuario
+ */
+async function crearAlmacenamiento() {
+    const { persistentes, tipoPorDefecto, STORAGE_TIPO_KEY, STORAGE_TRASLADO_KEY, clavesNavegador } = CONFIG_ALMACENAMIENTO;
+    const parametro = new URLSearchParams(window.location.search).get('almacenamiento');
+    const guardado = localStorage.getItem(STORAGE_TIPO_KEY);
+    const anterior = persistentes.includes(guardado) ? guardado : tipoPorDefecto;
+
+    if (parametro === 'memoria') {
+        return {
+            almacenamiento: crearAdaptador('memoria'),
+            aviso: 'Estás usando almacenamiento en memoria: los cambios se perderán al cerrar la página.'
+        };
+    }
+
+    if (parametro && !persistentes.includes(parametro)) {
+        console.warn(`Almacenamiento desconocido "${parametro}", se usará ${anterior}`);
+    }
+
+    const tipo = persistentes.includes(parametro) ? parametro : anterior;
+    const almacenamiento = crearAdaptador(tipo);
+    const origen = crearAdaptador(anterior);
+    let aviso = null;
+
+    if (almacenamiento.nombre === origen.nombre) {
+        return { almacenamiento, aviso };
+    }
+
+    const esDato = c => c.startsWith('cineflix_') && !clavesNavegador.includes(c) && c !== STORAGE_TRASLADO_KEY;
+
+    try {
+        const clavesDestino = (await almacenamiento.claves()).filter(esDato);
+        const desfasado = await almacenamiento.leer(STORAGE_TRASLADO_KEY) !== null;
+
+        if (clavesDestino.length > 0 && !desfasado) {
+            aviso = `${almacenamiento.nombre} ya tenía datos guardados: se usan esos y no se copiaron los de ${origen.nombre}.`;
+        } else {
+            const claves = (await origen.claves()).filter(esDato);
+
+            for (const clave of claves) {
+                await almacenamiento.escribir(clave, await origen.leer(clave));
+            }
+            // Lo que quedó de la vez anterior y ya no existe en el origen (p. ej. respaldos borrados)
+            for (const clave of clavesDestino.filter(c => !claves.includes(c))) {
+                await almacenamiento.eliminar(clave);
+            }
+            // La marca se mueve al final, para que una copia a medias se repita la próxima vez
+            await almacenamiento.eliminar(STORAGE_TRASLADO_KEY);
+            await origen.escribir(STORAGE_TRASLADO_KEY, JSON.stringify({ destino: tipo, fecha: new Date().toISOString() }));
+
+            if (claves.length > 0) {
+                aviso = `Se copiaron los datos de ${origen.nombre} a ${almacenamiento.nombre}.`;
+            }
+        }
+    } catch (error) {
+        console.error('Error al copiar los datos al nuevo almacenamiento:', error);
+        return {
+            almacenamiento: origen,
+            aviso: `No se pudieron copiar los datos a ${almacenamiento.nombre}; se sigue usando ${origen.nombre}.`
+        };
+    }
+
+    localStorage.setItem(STORAGE_TIPO_KEY, tipo);
+    return { almacenamiento, aviso };
+}
+
+// ============================================================================
+// CLASE: CanalPestanas
+// Avisa a las demás pestañas abiertas de los cambios en los datos y la sesión
+// ============================================================================
+class CanalPestanas {
+    /**
+     * Usa BroadcastChannel y, si el navegador no lo tiene, eventos storage
+     * @param {string} nombre
+     */
+    constructor(nombre = 'cineflix') {
+        this.STORAGE_MENSAJE_KEY = `${nombre}_mensaje_pestanas`;
+        this.id = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.manejadores = {};
+        this.canal = window.BroadcastChannel ? new BroadcastChannel(nombre) : null;
+
+        if (this.canal) {
+            this.canal.onmessage = (e) => this.recibir(e.data);
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === this.STORAGE_MENSAJE_KEY && e.newValue) {
+                    this.recibir(JSON.parse(e.newValue));
+                }
+            });
+        }
+    }
+
+    /**
+     * Envía un mensaje a las otras pestañas
+     * @param {string} tipo - 'datos', 'login', 'logout' o 'actividad'
+     * @param {Object} datos
+     */
+    publicar(tipo, datos = {}) {
+        const mensaje = { ...datos, tipo, origen: this.id, fecha: Date.now() };
+
+        if (this.canal) {
+            this.canal.postMessage(mensaje);
+        } else {
+            localStorage.setItem(this.STORAGE_MENSAJE_KEY, JSON.stringify(mensaje));
+        }
+    }
+
+    /**
+     * Registra un manejador para un tipo de mensaje
+     * @param {string} tipo
+     * @param {Function} manejador - Recibe el mensaje
+     */
+    on(tipo, manejador) {
+        (this.manejadores[tipo] = this.manejadores[tipo] || []).push(manejador);
+    }
+
+    /**
+     * @param {Object} mensaje
+     */
+    recibir(mensaje) {
+        if (!mensaje || mensaje.origen === this.id) {
+            return;
+        }
+        (this.manejadores[mensaje.tipo] || []).forEach(manejador => manejador(mensaje));
+    }
+}
+
+/**
+ * Envuelve un adaptador de almacenamiento para avisar a las otras pestañas
+ * de cada clave que se escribe o elimina
+ */
+class AlmacenamientoCompartido {
+    /**
+     * @param {Object} almacenamiento - Adaptador real
+     * @param {CanalPestanas} canal
+     */
+    constructor(almacenamiento, canal) {
+        this.nombre = almacenamiento.nombre;
+        this.almacenamiento = almacenamiento;
+        this.canal = canal;
+    }
+
+    leer(clave) {
+        return this.almacenamiento.leer(clave);
+    }
+
+    async escribir(clave, texto) {
+        await this.almacenamiento.escribir(clave, texto);
+        this.canal.publicar('datos', { clave });
+    }
+
+    async eliminar(clave) {
+        await this.almacenamiento.eliminar(clave);
+        this.canal.publicar('datos', { clave });
+    }
+
+    claves() {
+        return this.almacenamiento.claves();
+    }
+}
+
+// ============================================================================
+// MIGRACIONES DEL ESQUEMA DE DATOS
+// Cada migración recibe los datos ya parseados de las claves cineflix_* (null si
+// no existen) y los deja con la forma de su versión. Se aplican en orden.
+// ============================================================================
+const MIGRACIONES = [
+    {
+        version: 2,
+        descripcion: 'Asignar rol a las cuentas anteriores a los permisos',
+        migrar(datos) {
+            const usuarios = datos.cineflix_users;
+            if (!Array.isArray(usuarios)) {
+                return;
+            }
+            // Conservan lo que ya podían hacer antes de existir los roles
+            usuarios.forEach(u => {
+                if (!ROLES[u.rol]) {
+                    u.rol = u.usuario === 'admin' ? 'admin' : 'editor';
+                }
+            });
+        }
+    },
+    {
+        version: 3,
+        descripcion: 'Campos de auditoría y papelera en las películas',
+        migrar(datos) {
+            const peliculas = datos.cineflix_peliculas;
+            if (peliculas === null) {
+                return;
+            }
+            if (!Array.isArray(peliculas)) {
+                throw new Error('cineflix_peliculas no es una lista');
+            }
+            peliculas.forEach(p => {
+                p.ano = parseInt(p.ano);
+                p.calificacion = parseFloat(p.calificacion);
+                ['creadoPor', 'modificadoPor', 'fechaModificacion', 'fechaEliminacion', 'eliminadoPor']
+                    .forEach(campo => {
+                        if (p[campo] === undefined) {
+                            p[campo] = null;
+                        }
+                    });
+            });
+        }
+    },
+    {
+        version: 4,
+        descripcion: 'Lista de géneros y etiquetas en las películas',
+        migrar(datos) {
+            const convertir = p => {
+                if (!Array.isArray(p.generos)) {
+                    p.generos = p.genero ? [p.genero] : [];
+                }
+                if (!Array.isArray(p.etiquetas)) {
+                    p.etiquetas = [];
+                }
+                delete p.genero;
+            };
+
+            if (Array.isArray(datos.cineflix_peliculas)) {
+                datos.cineflix_peliculas.forEach(convertir);
+            }
+
+            // Las versiones guardadas en el historial también se usan al deshacer
+            const historial = datos.cineflix_historial;
+            if (historial && Array.isArray(historial.entradas)) {
+                historial.entradas.forEach(entrada => {
+                    (entrada.cambios || []).forEach(c => [c.antes, c.despues].filter(Boolean).forEach(convertir));
+                });
+            }
+        }
+    }
+];
+
+// ============================================================================
+// CLASE: MigradorEsquema
+// Versiona los datos guardados y los actualiza paso a paso al iniciar
+// ============================================================================
+class MigradorEsquema {
+    /**
+     * @param {Object} almacenamiento - Adaptador de almacenamiento
+     * @param {Array<Object>} migraciones - [{version, descripcion, migrar(datos)}] en orden ascendente
+     */
+    constructor(almacenamiento, migraciones = MIGRACIONES) {
+        this.almacenamiento = almacenamiento;
+        this.STORAGE_VERSION_KEY = 'cineflix_schema_version';
+        this.CLAVES = ['cineflix_peliculas', 'cineflix_users', 'cineflix_historial'];
+        this.migraciones = migraciones;
+    }
+
+    /**
+     * Versión que espera el código actual
+     * @returns {number}
+     */
+    versionActual() {
+        return this.migraciones.reduce((max, m) => Math.max(max, m.version), 1);
+    }
+
+    /**
+     * Versión de los datos guardados. Sin marca pero con datos se asume la versión 1;
+     * sin datos devuelve null (instalación nueva).
+     * @returns {Promise<number|null>}
+     */
+    async leerVersionGuardada() {
+        const version = parseInt(await this.almacenamiento.leer(this.STORAGE_VERSION_KEY));
+
+        if (version > 0) {
+            return version;
+        }
+
+        for (const clave of this.CLAVES) {
+            if (await this.almacenamiento.leer(clave) !== null) {
+                return 1;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Aplica las migraciones pendientes. Si alguna falla no se escribe nada y
+     * los datos originales quedan respaldados en cineflix_backup_v<versión de origen>.
+     * @returns {Promise<Object>} {exito, desde, hasta, aplicadas: string[], error?, respaldo?}
+     */
+    async ejecutar() {
+        const desde = await this.leerVersionGuardada();
+        const hasta = this.versionActual();
+
+        if (desde === null || desde >= hasta) {
+            if (desde === null) {
+                await this.almacenamiento.escribir(this.STORAGE_VERSION_KEY, String(hasta));
+            }
+            return { exito: true, desde, hasta, aplicadas: [] };
+        }
+
+        const originales = {};
+        for (const clave of this.CLAVES) {
+            originales[clave] = await this.almacenamiento.leer(clave);
+        }
+
+        const pendientes = this.migraciones
+            .filter(m => m.version > desde && m.version <= hasta)
+            .sort((a, b) => a.version - b.version);
+        const aplicadas = [];
+
+        try {
+            const datos = {};
+            Object.entries(originales).forEach(([clave, valor]) => {
+                datos[clave] = valor === null ? null : JSON.parse(valor);
+            });
+
+            pendientes.forEach(migracion => {
+                migracion.migrar(datos);
+                aplicadas.push(`v${migracion.version}: ${migracion.descripcion}`);
+            });
+
+            for (const [clave, valor] of Object.entries(datos)) {
+                if (valor !== null) {
+                    await this.almacenamiento.escribir(clave, JSON.stringify(valor));
+                }
+            }
+            await this.almacenamiento.escribir(this.STORAGE_VERSION_KEY, String(hasta));
+
+            return { exito: true, desde, hasta, aplicadas };
+        } catch (error) {
+            console.error('Error al migrar datos:', error);
+
+            // Devolver las claves a su estado original por si la escritura quedó a medias
+            for (const [clave, valor] of Object.entries(originales)) {
+                if (valor !== null) {
+                    await this.almacenamiento.escribir(clave, valor);
+                }
+            }
+
+            return {
+                exito: false,
+                desde,
+                hasta,
+                aplicadas,
+                error: error.message,
+                respaldo: await MigradorEsquema.respaldar(
+                    this.almacenamiento,
+                    `cineflix_backup_v${desde}`,
+                    originales,
+                    `Migración v${desde} → v${hasta}: ${error.message}`
+                )
+            };
+        }
+    }
+
+    /**
+     * Guarda una copia literal de los datos. Si la clave ya guarda esos mismos datos
+     * (el fallo se repite en cada carga) se reutiliza; si guarda otros, la copia va
+     * a una clave nueva para no perder la anterior.
+     * @param {Object} almacenamiento - Adaptador donde se guarda la copia
+     * @param {string} base - Clave del respaldo, p. ej. cineflix_backup_v3
+     * @param {Object} originales - {clave: texto guardado}
+     * @param {string} motivo
+     * @returns {Promise<string|null>} Clave del respaldo, o null si no se pudo guardar
+     */
+    static async respaldar(almacenamiento, base, originales, motivo) {
+        let clave = base;
+
+        try {
+            const anterior = await almacenamiento.leer(base);
+            if (anterior !== null) {
+                if (JSON.stringify(JSON.parse(anterior).datos) === JSON.stringify(originales)) {
+                    return base;
+                }
+                clave = `${base}_${Date.now()}`;
+            }
+        } catch {
+            // Un respaldo ilegible no se reutiliza ni se pisa
+            clave = `${base}_${Date.now()}`;
+        }
+
+        try {
+            await almacenamiento.escribir(clave, JSON.stringify({
+                fecha: new Date().toISOString(),
+                version: await almacenamiento.leer('cineflix_schema_version'),
+                motivo,
+                datos: originales
+            }));
+            return clave;
+        } catch (error) {
+            console.error('No se pudo guardar el respaldo:', error);
+            return null;
+        }
+    }
+}
+
+// ============================================================================
+// CLASE: AuthManager
+// Gestiona autenticación y registro de usuarios
+// ============================================================================
+class AuthManager {
+    /**
+     * @param {Object} almacenamiento - Adaptador donde se guardan los usuarios
+     */
+    constructor(almacenamiento) {
+        this.almacenamiento = almacenamiento;
+        this.usuarios = [];
+        this.STORAGE_USERS_KEY = 'cineflix_users';
+        this.STORAGE_SESSION_KEY = 'cineflix_session';
+        this.PBKDF2_ITERACIONES = 100000;
+        this.LONGITUD_SALT = 16;
+        this.motivoCierre = null;
+        this.configSesion = this.normalizarConfigSesion(null);
+        this.listo = this.inicializar();
+    }
+
+    /**
+     * Carga los usuarios y crea los de prueba si no hay ninguno
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        this.usuarios = await this.cargarUsuarios();
+        await this.cargarConfigSesion();
+        await this.inicializarUsuariosPorDefecto();
+    }
+
+    /**
+     * Crea usuarios de prueba si no existen
+     * @returns {Promise<void>}
+     */
+    async inicializarUsuariosPorDefecto() {
+        if (this.usuarios.length === 0) {
+            const usuariosPrueba = [
+                { 
+                    id: 'user_1',
+                    nombre: 'Administrador',
+                    email: 'admin@cineflix.com',
+                    usuario: 'admin', 
+                    ...(await this.crearCredenciales('admin123')),
+                    rol: 'admin',
+                    fechaRegistro: new Date().toISOString()
+                },
+                { 
+                    id: 'user_2',
+                    nombre: 'Usuario Demo',
+                    email: 'usuario@cineflix.com',
+                    usuario: 'usuario', 
+                    ...(await this.crearCredenciales('1234')),
+                    rol: 'editor',
+                    fechaRegistro: new Date().toISOString()
+                },
+                { 
+                    id: 'user_3',
+                    nombre: 'Demo User',
+                    email: 'demo@cineflix.com',
+                    usuario: 'demo', 
+                    ...(await this.crearCredenciales('demo')),
+                    rol: 'viewer',
+                    fechaRegistro: new Date().toISOString()
+                }
+            ];
+            await this.guardarUsuarios(usuariosPrueba);
+        }
+    }
+
+    /**
+     * Lee los usuarios del almacenamiento
+     * @returns {Promise<Array>}
+     */
+    async cargarUsuarios() {
+        try {
+            const usuarios = await this.almacenamiento.leer(this.STORAGE_USERS_KEY);
+            return usuarios ? JSON.parse(usuarios) : [];
+        } catch (error) {
+            console.error('Error al obtener usuarios:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Vuelve a leer los usuarios (p. ej. tras un cambio en otra pestaña)
+     * @returns {Promise<void>}
+     */
+    async recargarUsuarios() {
+        this.usuarios = await this.cargarUsuarios();
+    }
+
+    /**
+     * Completa una configuración de sesión guardada con los valores por defecto,
+     * descartando los que no sean válidos
+     * @param {Object|null} guardada
+     * @returns {Object} {duracion, duracionRecordada, inactividadMaxima, inactividadRecordadas}
+     */
+    normalizarConfigSesion(guardada) {
+        const config = guardada && typeof guardada === 'object' ? guardada : {};
+        const positivo = (valor, defecto) => Number.isFinite(valor) && valor > 0 ? valor : defecto;
+
+        return {
+            duracion: positivo(config.duracion, CONFIG_SESION.duracion),
+            duracionRecordada: positivo(config.duracionRecordada, CONFIG_SESION.duracionRecordada),
+            inactividadMaxima: positivo(config.inactividadMaxima, CONFIG_SESION.inactividadMaxima),
+            inactividadRecordadas: typeof config.inactividadRecordadas === 'boolean'
+                ? config.inactividadRecordadas
+                : CONFIG_SESION.inactividadRecordadas
+        };
+    }
+
+    /**
+     * Lee la configuración de sesión guardada por un administrador
+     * @returns {Promise<void>}
+     */
+    async cargarConfigSesion() {
+        try {
+            const guardada = await this.almacenamiento.leer(CONFIG_SESION.STORAGE_KEY);
+            this.configSesion = this.normalizarConfigSesion(guardada ? JSON.parse(guardada) : null);
+        } catch (error) {
+            console.error('Error al leer la configuración de sesión:', error);
+            this.configSesion = this.normalizarConfigSesion(null);
+        }
+    }
+
+    /**
+     * Configuración de sesión vigente (duraciones en milisegundos)
+     * @returns {Object} {duracion, duracionRecordada, inactividadMaxima, inactividadRecordadas}
+     */
+    obtenerConfigSesion() {
+        return { ...this.configSesion };
+    }
+
+    /**
+     * Cambia la duración de las sesiones (solo administradores). Se aplica a los
+     * inicios de sesión siguientes; la inactividad, también a las sesiones abiertas.
+     * @param {Object} datos - {horas, diasRecordada, minutosInactividad, inactividadRecordadas}
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async configurarSesion(datos) {
+        if (!this.tienePermiso(PERMISOS.GESTIONAR_USUARIOS)) {
+            return { exito: false, mensaje: 'No tienes permiso para gestionar usuarios' };
+        }
+
+        const horas = parseInt(datos.horas);
+        const diasRecordada = parseInt(datos.diasRecordada);
+        const minutosInactividad = parseInt(datos.minutosInactividad);
+
+        if (!(horas >= 1 && horas <= 72)) {
+            return { exito: false, mensaje: 'La duración de la sesión debe estar entre 1 y 72 horas' };
+        }
+        if (!(diasRecordada >= 1 && diasRecordada <= 365)) {
+            return { exito: false, mensaje: 'La duración con "Recordarme" debe estar entre 1 y 365 días' };
+        }
+        if (!(minutosInactividad >= 5 && minutosInactividad <= 24 * 60)) {
+            return { exito: false, mensaje: 'La inactividad permitida debe estar entre 5 y 1440 minutos' };
+        }
+
+        const config = {
+            duracion: horas * 60 * 60 * 1000,
+            duracionRecordada: diasRecordada * 24 * 60 * 60 * 1000,
+            inactividadMaxima: minutosInactividad * 60 * 1000,
+            inactividadRecordadas: Boolean(datos.inactividadRecordadas)
+        };
+
+        try {
+            await this.almacenamiento.escribir(CONFIG_SESION.STORAGE_KEY, JSON.stringify(config));
+        } catch (error) {
+            console.error('Error al guardar la configuración de sesión:', error);
+            return { exito: false, mensaje: 'No se pudo guardar la configuración de sesión' };
+        }
+
+        this.configSesion = config;
+        return { exito: true, mensaje: 'Configuración de sesión guardada' };
+    }
+
+    /**
+     * Indica si la inactividad cierra esta sesión
+     * @param {Object} sesion
+     * @returns {boolean}
+     */
+    aplicaInactividad(sesion) {
+        return !sesion.recordar || this.configSesion.inactividadRecordadas;
+    }
+
+    /**
+     * Obtiene todos los usuarios (copias, para modificar y pasar a guardarUsuarios)
+     * @returns {Array}
+     */
+    obtenerUsuarios() {
+        return this.usuarios.map(u => ({ ...u }));
+    }
+
+    /**
+     * Guarda usuarios en el almacenamiento
+     * @param {Array} usuarios - Array de usuarios
+     * @returns {Promise<void>}
+     */
+    async guardarUsuarios(usuarios) {
+        try {
+            await this.almacenamiento.escribir(this.STORAGE_USERS_KEY, JSON.stringify(usuarios));
+            this.usuarios = usuarios;
+        } catch (error) {
+            console.error('Error al guardar usuarios:', error);
+            throw new Error('No se pudieron guardar los usuarios');
+        }
+    }
+
+    /**
+     * Genera un salt aleatorio en hexadecimal
+     * @returns {string}
+     */
+    generarSalt() {
+        const bytes = crypto.getRandomValues(new Uint8Array(this.LONGITUD_SALT));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Deriva el hash de una contraseña con PBKDF2 (SHA-256) mediante Web Crypto
+     * @param {string} password
+     * @param {string} salt - Salt en hexadecimal
+     * @param {number} iteraciones
+     * @returns {Promise<string>} Hash en hexadecimal
+     */
+    async hashPassword(password, salt, iteraciones = this.PBKDF2_ITERACIONES) {
+        const encoder = new TextEncoder();
+        const saltBytes = new Uint8Array(salt.match(/.{2}/g).map(h => parseInt(h, 16)));
+
+        const clave = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: saltBytes, iterations: iteraciones, hash: 'SHA-256' },
+            clave,
+            256
+        );
+
+        return Array.from(new Uint8Array(bits), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Genera los campos de credenciales que se guardan en lugar de la contraseña
+     * @param {string} password
+     * @returns {Promise<Object>} {passwordHash, salt, iteraciones}
+     */
+    async crearCredenciales(password) {
+        const salt = this.generarSalt();
+        const passwordHash = await this.hashPassword(password, salt);
+
+        return {
+            passwordHash,
+            salt,
+            iteraciones: this.PBKDF2_ITERACIONES
+        };
+    }
+
+    /**
+     * Comprueba una contraseña contra el registro de un usuario.
+     * Acepta cuentas antiguas con la contraseña en texto plano.
+     * @param {Object} usuario - Registro del usuario
+     * @param {string} password
+     * @returns {Promise<boolean>}
+     */
+    async verificarPassword(usuario, password) {
+        if (usuario.passwordHash && usuario.salt) {
+            const hash = await this.hashPassword(password, usuario.salt, usuario.iteraciones);
+            return this.compararSeguro(hash, usuario.passwordHash);
+        }
+
+        if (typeof usuario.password === 'string') {
+            return this.compararSeguro(password, usuario.password);
+        }
+
+        return false;
+    }
+
+    /**
+     * Compara dos cadenas sin cortar en la primera diferencia
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    compararSeguro(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+
+        let diferencia = 0;
+        for (let i = 0; i < a.length; i++) {
+            diferencia |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diferencia === 0;
+    }
+
+    /**
+     * Indica si el registro necesita rehashearse (texto plano o iteraciones antiguas)
+     * @param {Object} usuario
+     * @returns {boolean}
+     */
+    necesitaRehash(usuario) {
+        return !usuario.passwordHash || (usuario.iteraciones || 0) < this.PBKDF2_ITERACIONES;
+    }
+
+    /**
+     * Valida credenciales de login
+     * @param {string} usuario - Nombre de usuario
+     * @param {string} password - Contraseña
+     * @param {boolean} recordar - Mantener la sesión al cerrar el navegador
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string, usuario?: Object}
+     */
+    async login(usuario, password, recordar = false) {
+        if (!usuario || !password) {
+            return { exito: false, mensaje: 'Usuario y contraseña son requeridos' };
+        }
+
+        await this.listo;
+
+        const usuarios = this.obtenerUsuarios();
+        const usuarioEncontrado = usuarios.find(u => u.usuario === usuario);
+
+        if (usuarioEncontrado && await this.verificarPassword(usuarioEncontrado, password)) {
+            // Migrar cuentas en texto plano la primera vez que inician sesión
+            if (this.necesitaRehash(usuarioEncontrado)) {
+                Object.assign(usuarioEncontrado, await this.crearCredenciales(password));
+                delete usuarioEncontrado.password;
+                await this.guardarUsuarios(usuarios);
+            }
+
+            // Guardar sesión
+            const ahora = Date.now();
+            const duracion = recordar ? this.configSesion.duracionRecordada : this.configSesion.duracion;
+            const sesion = {
+                id: usuarioEncontrado.id,
+                nombre: usuarioEncontrado.nombre,
+                usuario: usuarioEncontrado.usuario,
+                email: usuarioEncontrado.email,
+                rol: usuarioEncontrado.rol,
+                recordar,
+                fechaLogin: new Date(ahora).toISOString(),
+                expiraEn: new Date(ahora + duracion).toISOString(),
+                ultimaActividad: new Date(ahora).toISOString()
+            };
+
+            this.borrarSesionGuardada();
+            this.obtenerAlmacenSesion(recordar).setItem(this.STORAGE_SESSION_KEY, JSON.stringify(sesion));
+            this.motivoCierre = null;
+
+            return {
+                exito: true,
+                mensaje: '¡Bienvenido!',
+                usuario: sesion
+            };
+        }
+
+        return {
+            exito: false,
+            mensaje: 'Usuario o contraseña incorrectos'
+        };
+    }
+
+    /**
+     * Registra un nuevo usuario
+     * @param {Object} datos - {nombre, email, usuario, password}
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async registrar(datos) {
+        const { nombre, email, usuario, password, confirmPassword } = datos;
+
+        // Validaciones
+        if (!nombre || nombre.trim().length < 3) {
+            return { exito: false, mensaje: 'El nombre debe tener al menos 3 caracteres' };
+        }
+
+        if (!email || !this.validarEmail(email)) {
+            return { exito: false, mensaje: 'Email inválido' };
+        }
+
+        if (!usuario || usuario.trim().length < 4) {
+            return { exito: false, mensaje: 'El usuario debe tener al menos 4 caracteres' };
+        }
+
+        if (!password || password.length < 6) {
+            return { exito: false, mensaje: 'La contraseña debe tener al menos 6 caracteres' };
+        }
+
+        if (password !== confirmPassword) {
+            return { exito: false, mensaje: 'Las contraseñas no coinciden' };
+        }
+
+        await this.listo;
+
+        const credenciales = await this.crearCredenciales(password);
+        const usuarios = this.obtenerUsuarios();
+
+        // Verificar si el usuario ya existe
+        if (usuarios.some(u => u.usuario === usuario)) {
+            return { exito: false, mensaje: 'El usuario ya existe' };
+        }
+
+        if (usuarios.some(u => u.email === email)) {
+            return { exito: false, mensaje: 'El email ya está registrado' };
+        }
+
+        // Crear nuevo usuario
+        const nuevoUsuario = {
+            id: `user_${Date.now()}`,
+            nombre: nombre.trim(),
+            email: email.trim().toLowerCase(),
+            usuario: usuario.trim(),
+            ...credenciales,
+            rol: ROL_POR_DEFECTO,
+            fechaRegistro: new Date().toISOString()
+        };
+
+        usuarios.push(nuevoUsuario);
+        await this.guardarUsuarios(usuarios);
+
+        return {
+            exito: true,
+            mensaje: 'Cuenta creada exitosamente. Ya puedes iniciar sesión'
+        };
+    }
+
+    /**
+     * Valida formato de email
+     * @param {string} email
+     * @returns {boolean}
+     */
+    validarEmail(email) {
+        const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        return regex.test(email);
+    }
+
+    /**
+     * Cierra sesión del usuario actual
+     * @param {string|null} motivo - 'expirada', 'inactividad' u 'otra-pestana' cuando no la cierra el usuario
+     */
+    logout(motivo = null) {
+        this.borrarSesionGuardada();
+        this.motivoCierre = motivo;
+    }
+
+    /**
+     * Adopta una sesión iniciada en otra pestaña. Las recordadas ya están en
+     * localStorage; las demás se copian al sessionStorage de esta pestaña.
+     * @param {Object} sesion
+     */
+    adoptarSesion(sesion) {
+        this.borrarSesionGuardada();
+        this.obtenerAlmacenSesion(sesion.recordar).setItem(this.STORAGE_SESSION_KEY, JSON.stringify(sesion));
+        this.motivoCierre = null;
+    }
+
+    /**
+     * Devuelve el almacenamiento que corresponde a la sesión
+     * @param {boolean} recordar
+     * @returns {Storage}
+     */
+    obtenerAlmacenSesion(recordar) {
+        return recordar ? localStorage : sessionStorage;
+    }
+
+    /**
+     * Elimina la sesión de ambos almacenamientos
+     */
+    borrarSesionGuardada() {
+        localStorage.removeItem(this.STORAGE_SESSION_KEY);
+        sessionStorage.removeItem(this.STORAGE_SESSION_KEY);
+    }
+
+    /**
+     * Lee la sesión guardada sin comprobar su vigencia
+     * @returns {Object|null}
+     */
+    leerSesionGuardada() {
+        try {
+            const sesion = sessionStorage.getItem(this.STORAGE_SESSION_KEY) ||
+                localStorage.getItem(this.STORAGE_SESSION_KEY);
+            return sesion ? JSON.parse(sesion) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene la sesión activa. Si expiró o superó la inactividad máxima se cierra
+     * y el motivo queda disponible en motivoCierre.
+     * @returns {Object|null}
+     */
+    obtenerSesionActiva() {
+        const sesion = this.leerSesionGuardada();
+
+        if (!sesion) {
+            return null;
+        }
+
+        const ahora = Date.now();
+        // Las sesiones anteriores a la expiración se miden desde fechaLogin
+        const expiraEn = sesion.expiraEn
+            ? new Date(sesion.expiraEn).getTime()
+            : new Date(sesion.fechaLogin).getTime() + this.configSesion.duracion;
+
+        if (!(ahora < expiraEn)) {
+            this.logout('expirada');
+            return null;
+        }
+
+        const ultimaActividad = new Date(sesion.ultimaActividad || sesion.fechaLogin).getTime();
+
+        if (this.aplicaInactividad(sesion) && ahora - ultimaActividad > this.configSesion.inactividadMaxima) {
+            this.logout('inactividad');
+            return null;
+        }
+
+        return sesion;
+    }
+
+    /**
+     * Actualiza la marca de última actividad de la sesión activa
+     */
+    registrarActividad() {
+        const sesion = this.obtenerSesionActiva();
+
+        if (sesion) {
+            sesion.ultimaActividad = new Date().toISOString();
+            this.obtenerAlmacenSesion(sesion.recordar).setItem(this.STORAGE_SESSION_KEY, JSON.stringify(sesion));
+        }
+    }
+
+    /**
+     * Devuelve y limpia el motivo del último cierre automático de sesión
+     * @returns {string|null}
+     */
+    consumirMotivoCierre() {
+        const motivo = this.motivoCierre;
+        this.motivoCierre = null;
+        return motivo;
+    }
+
+    /**
+     * Verifica si hay un usuario autenticado
+     * @returns {boolean}
+     */
+    estaAutenticado() {
+        return this.obtenerSesionActiva() !== null;
+    }
+
+    /**
+     * Obtiene el rol vigente del usuario en sesión.
+     * Se lee del registro de usuarios para que los cambios de rol apliquen sin volver a iniciar sesión.
+     * @returns {string|null}
+     */
+    obtenerRolActual() {
+        const sesion = this.obtenerSesionActiva();
+
+        if (!sesion) {
+            return null;
+        }
+
+        const usuario = this.usuarios.find(u => u.id === sesion.id);
+        return usuario && ROLES[usuario.rol] ? usuario.rol : null;
+    }
+
+    /**
+     * Verifica si el usuario en sesión tiene un permiso
+     * @param {string} permiso - Uno de PERMISOS
+     * @returns {boolean}
+     */
+    tienePermiso(permiso) {
+        const rol = this.obtenerRolActual();
+        return rol !== null && ROLES[rol].permisos.includes(permiso);
+    }
+
+    /**
+     * Cambia el rol de otro usuario (solo administradores)
+     * @param {string} idUsuario
+     * @param {string} rol - Clave de ROLES
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async cambiarRol(idUsuario, rol) {
+        if (!this.tienePermiso(PERMISOS.GESTIONAR_USUARIOS)) {
+            return { exito: false, mensaje: 'No tienes permiso para gestionar usuarios' };
+        }
+
+        if (!ROLES[rol]) {
+            return { exito: false, mensaje: 'Rol inválido' };
+        }
+
+        const sesion = this.obtenerSesionActiva();
+        if (sesion.id === idUsuario) {
+            return { exito: false, mensaje: 'No puedes cambiar tu propio rol' };
+        }
+
+        const usuarios = this.obtenerUsuarios();
+        const usuario = usuarios.find(u => u.id === idUsuario);
+
+        if (!usuario) {
+            return { exito: false, mensaje: 'Usuario no encontrado' };
+        }
+
+        usuario.rol = rol;
+        await this.guardarUsuarios(usuarios);
+
+        return {
+            exito: true,
+            mensaje: `${usuario.nombre} ahora es ${ROLES[rol].nombre}`
+        };
+    }
+}
+
+// ============================================================================
+// CLASE: HistorialCambios
+// Registro persistente y acotado de operaciones sobre el catálogo (deshacer/rehacer)
+// ============================================================================
+class HistorialCambios {
+    /**
+     * @param {Object} almacenamiento - Adaptador de almacenamiento
+     * @param {number} limite - Máximo de operaciones conservadas
+     */
+    constructor(almacenamiento, limite = 50) {
+        this.STORAGE_KEY = 'cineflix_historial';
+        this.almacenamiento = almacenamiento;
+        this.limite = limite;
+        this.entradas = [];
+        // Número de entradas aplicadas; las posteriores son las que se pueden rehacer
+        this.posicion = 0;
+    }
+
+    /**
+     * Carga el historial guardado
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        const datos = await this.cargar();
+        this.entradas = datos.entradas;
+        this.posicion = datos.posicion;
+    }
+
+    /**
+     * Lee el historial del almacenamiento
+     * @returns {Promise<Object>} {entradas: Array, posicion: number}
+     */
+    async cargar() {
+        try {
+            const data = await this.almacenamiento.leer(this.STORAGE_KEY);
+            if (data) {
+                const { entradas, posicion } = JSON.parse(data);
+                if (Array.isArray(entradas)) {
+                    return { entradas, posicion: Math.min(posicion, entradas.length) };
+                }
+            }
+        } catch (error) {
+            console.error('Error al cargar historial:', error);
+        }
+        return { entradas: [], posicion: 0 };
+    }
+
+    /**
+     * Guarda el historial en el almacenamiento
+     * @returns {Promise<void>}
+     */
+    async guardar() {
+        try {
+            await this.almacenamiento.escribir(this.STORAGE_KEY, JSON.stringify({
+                entradas: this.entradas,
+                posicion: this.posicion
+            }));
+        } catch (error) {
+            console.error('Error al guardar historial:', error);
+        }
+    }
+
+    /**
+     * Registra una operación y descarta lo que se podía rehacer
+     * @param {string} tipo - 'agregar', 'actualizar', 'eliminar' o 'restaurar'
+     * @param {string} descripcion - Texto legible de la operación
+     * @param {Array<Object>} cambios - [{peliculaId, antes, despues}] con objetos de toJSON() o null
+     * @param {string|null} usuario - Usuario que realizó la operación
+     * @param {Array<Object>|null} relacionados - [{clave, antes, despues}] con los datos por película
+     * de otros managers que también cambiaron (ver PeliculaManager.datosRelacionados)
+     * @returns {Promise<void>}
+     */
+    async registrar(tipo, descripcion, cambios, usuario, relacionados = null) {
+        const entrada = {
+            id: `hist_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            tipo,
+            descripcion,
+            usuario,
+            fecha: new Date().toISOString(),
+            cambios
+        };
+        if (relacionados) {
+            entrada.relacionados = relacionados;
+        }
+
+        this.entradas = this.entradas.slice(0, this.posicion);
+        this.entradas.push(entrada);
+
+        if (this.entradas.length > this.limite) {
+            this.entradas = this.entradas.slice(-this.limite);
+        }
+
+        this.posicion = this.entradas.length;
+        await this.guardar();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    puedeDeshacer() {
+        return this.posicion > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    puedeRehacer() {
+        return this.posicion < this.entradas.length;
+    }
+
+    /**
+     * Entrada que se desharía a continuación
+     * @returns {Object|null}
+     */
+    siguienteDeshacer() {
+        return this.puedeDeshacer() ? this.entradas[this.posicion - 1] : null;
+    }
+
+    /**
+     * Entrada que se reharía a continuación
+     * @returns {Object|null}
+     */
+    siguienteRehacer() {
+        return this.puedeRehacer() ? this.entradas[this.posicion] : null;
+    }
+
+    /**
+     * Retrocede una posición y devuelve la entrada a deshacer
+     * @returns {Promise<Object|null>}
+     */
+    async retroceder() {
+        const entrada = this.siguienteDeshacer();
+        if (entrada) {
+            this.posicion--;
+            await this.guardar();
+        }
+        return entrada;
+    }
+
+    /**
+     * Avanza una posición y devuelve la entrada a rehacer
+     * @returns {Promise<Object|null>}
+     */
+    async avanzar() {
+        const entrada = this.siguienteRehacer();
+        if (entrada) {
+            this.posicion++;
+            await this.guardar();
+        }
+        return entrada;
+    }
+
+    /**
+     * Quita del historial toda referencia a una película eliminada definitivamente
+     * @param {string} peliculaId
+     * @returns {Promise<void>}
+     */
+    async olvidarPelicula(peliculaId) {
+        let posicion = this.posicion;
+        const entradas = [];
+
+        this.entradas.forEach((entrada, i) => {
+            const cambios = entrada.cambios.filter(c => c.peliculaId !== peliculaId);
+
+            if (cambios.length > 0) {
+                entradas.push({ ...entrada, cambios });
+            } else if (i < this.posicion) {
+                posicion--;
+            }
+        });
+
+        this.entradas = entradas;
+        this.posicion = posicion;
+        await this.guardar();
+    }
+
+    /**
+     * Modifica en el sitio todas las versiones de películas guardadas en el historial
+     * @param {Function} transformar - Recibe cada objeto de toJSON()
+     * @returns {Promise<void>}
+     */
+    async transformarVersiones(transformar) {
+        this.entradas.forEach(entrada => {
+            entrada.cambios.forEach(c => [c.antes, c.despues].filter(Boolean).forEach(transformar));
+        });
+        await this.guardar();
+    }
+
+    /**
+     * Entradas aplicadas que afectan a una película, de la más reciente a la más antigua
+     * @param {string} peliculaId
+     * @returns {Array<Object>}
+     */
+    obtenerPorPelicula(peliculaId) {
+        return this.entradas
+            .slice(0, this.posicion)
+            .filter(e => e.cambios.some(c => c.peliculaId === peliculaId))
+            .reverse();
+    }
+}
+
+// ============================================================================
+// CLASE: PeliculaManager
+// Gestiona operaciones CRUD de películas
+// ============================================================================
+
+// Consulta del catálogo sin ningún filtro (ver PeliculaManager.consultar)
+const CONSULTA_VACIA = Object.freeze({
+    texto: '',
+    generos: [],
+    // 'o': basta con uno de los géneros; 'y': tiene que tenerlos todos
+    modoGeneros: 'o',
+    // Tiene que tenerlas todas
+    etiquetas: [],
+    anoDesde: null,
+    anoHasta: null,
+    calificacionMin: null,
+    calificacionMax: null,
+    // Tramo de EstadisticasCatalogo.porCalificacion() (lo usa el panel de estadísticas)
+    tramoCalificacion: null,
+    director: '',
+    creadoPor: null,
+    // Mes en que se agregaron al catálogo, 'AAAA-MM' (lo usa el panel de estadísticas)
+    mesAlta: null,
+    // Clave de LISTAS_USUARIO: solo las películas de esa lista del usuario en sesión
+    lista: null,
+    orden: 'relevancia'
+});
+
+class PeliculaManager {
+    /**
+     * @param {AuthManager|null} authManager - Si se indica, se validan los permisos del usuario en sesión
+     * @param {Object} almacenamiento - Adaptador de almacenamiento
+     */
+    constructor(authManager, almacenamiento) {
+        this.STORAGE_KEY = 'cineflix_peliculas';
+        this.FORMATO_EXPORTACION = 'cineflix-catalogo';
+        this.VERSION_EXPORTACION = 2;
+        this.CAMPOS_CSV = [
+            'titulo', 'generos', 'etiquetas', 'director', 'ano', 'calificacion', 'descripcion', 'imagen',
+            'reparto', 'duracion', 'idioma', 'pais', 'clasificacionEdad', 'trailer'
+        ];
+        // Columnas que se pueden asignar al importar: con el id, una fila exportada actualiza su película
+        this.CAMPOS_MAPEO_CSV = ['id', ...this.CAMPOS_CSV];
+        this.authManager = authManager;
+        this.almacenamiento = almacenamiento;
+        this.errorCarga = null;
+        this.historial = new HistorialCambios(almacenamiento);
+        this.peliculas = [];
+        this.diasRetencion = CONFIG_PAPELERA.diasRetencion;
+        // SincronizadorRemoto opcional al que se envían los cambios locales
+        this.sincronizador = null;
+        // GeneroManager opcional con los géneros admitidos al validar
+        this.generoManager = null;
+        // ListasUsuarioManager opcional para filtrar por las listas del usuario
+        this.listasUsuario = null;
+        // Managers con datos por película; al fusionar dos películas se les pide
+        // trasladarPelicula(origenId, destinoId), y para deshacerlo capturarPeliculas(ids)
+        // y restaurarPeliculas(ids, captura). Se identifican por su STORAGE_KEY.
+        this.datosRelacionados = [];
+    }
+
+    /**
+     * Carga el historial, las películas y la configuración de la papelera
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        await this.recargar();
+        await this.purgarVencidas();
+    }
+
+    /**
+     * Vuelve a leer los datos guardados (p. ej. tras un cambio en otra pestaña)
+     * @returns {Promise<void>}
+     */
+    async recargar() {
+        await this.historial.inicializar();
+        this.peliculas = await this.cargarPeliculas();
+
+        const dias = parseInt(await this.almacenamiento.leer(CONFIG_PAPELERA.STORAGE_DIAS_KEY));
+        this.diasRetencion = dias > 0 ? dias : CONFIG_PAPELERA.diasRetencion;
+    }
+
+    /**
+     * Comprueba un permiso del usuario en sesión
+     * @param {string} permiso - Uno de PERMISOS
+     * @returns {Object|null} Resultado de error si no tiene permiso, null si puede continuar
+     */
+    verificarPermiso(permiso) {
+        if (!this.authManager || this.authManager.tienePermiso(permiso)) {
+            return null;
+        }
+
+        return {
+            exito: false,
+            mensaje: 'No tienes permiso para realizar esta acción'
+        };
+    }
+
+    /**
+     * Carga películas del almacenamiento. Si los datos están dañados se respaldan
+     * y se deja el motivo en errorCarga en lugar de sobrescribirlos.
+     * @returns {Promise<Array<Pelicula>>}
+     */
+    async cargarPeliculas() {
+        const data = await this.almacenamiento.leer(this.STORAGE_KEY);
+
+        if (!data) {
+            return this.obtenerPeliculasIniciales();
+        }
+
+        try {
+            const peliculasData = JSON.parse(data);
+            return peliculasData.map(p => Pelicula.fromJSON(p));
+        } catch (error) {
+            console.error('Error al cargar películas:', error);
+            const respaldo = await MigradorEsquema.respaldar(this.almacenamiento, 'cineflix_backup_catalogo', { [this.STORAGE_KEY]: data }, error.message);
+            this.errorCarga = respaldo
+                ? `No se pudo leer el catálogo guardado. Se conservó una copia en "${respaldo}".`
+                : 'No se pudo leer el catálogo guardado ni crear una copia de respaldo.';
+            return [];
+        }
+    }
+
+    /**
+     * Películas de ejemplo para inicializar el sistema
+     * @returns {Promise<Array<Pelicula>>}
+     */
+    async obtenerPeliculasIniciales() {
+        // IDs fijos para que dos navegadores nuevos no dupliquen los ejemplos al sincronizar
+        const peliculasIniciales = [
+            new Pelicula(
+                'Matrix',
+                ['Ciencia Ficción', 'Acción'],
+                'Lana Wachowski, Lilly Wachowski',
+                1999,
+                8.7,
+                'Un hacker descubre la impactante verdad sobre su realidad y su papel en la guerra contra sus controladores.',
+                'https://image.tmdb.org/t/p/w500/f89U3ADr1oiB1s9GkdPOEpXUk5H.jpg',
+                'movie_inicial_1'
+            ),
+            new Pelicula(
+                'El Padrino',
+                ['Drama'],
+                'Francis Ford Coppola',
+                1972,
+                9.2,
+                'El patriarca envejecido de una dinastía del crimen organizado transfiere el control de su imperio clandestino a su hijo reacio.',
+                'https://image.tmdb.org/t/p/w500/3bhkrj58Vtu7enYsRolD1fZdja1.jpg',
+                'movie_inicial_2'
+            ),
+            new Pelicula(
+                'Inception',
+                ['Ciencia Ficción', 'Acción'],
+                'Christopher Nolan',
+                2010,
+                8.8,
+                'Un ladrón que roba secretos corporativos mediante el uso de tecnología de sueños compartidos recibe la tarea inversa de plantar una idea.',
+                'https://image.tmdb.org/t/p/w500/9gk7adHYeDvHkCSEqAvQNLV5Uge.jpg',
+                'movie_inicial_3'
+            ),
+            new Pelicula(
+                'Forrest Gump',
+                ['Drama', 'Comedia'],
+                'Robert Zemeckis',
+                1994,
+                8.8,
+                'Las presidencias de Kennedy y Johnson, los eventos de Vietnam, Watergate y otros eventos históricos se desarrollan a través de la perspectiva de un hombre de Alabama.',
+                'https://image.tmdb.org/t/p/w500/arw2vcBveWOVZr6pxd9XTd1TdQa.jpg',
+                'movie_inicial_4'
+            ),
+            new Pelicula(
+                'Pulp Fiction',
+                ['Acción', 'Drama'],
+                'Quentin Tarantino',
+                1994,
+                8.9,
+                'Las vidas de dos asesinos a sueldo, un boxeador, la esposa de un gánster y dos bandidos se entrelazan en cuatro historias de violencia y redención.',
+                'https://image.tmdb.org/t/p/w500/d5iIlFn5s0ImszYzBPb8JPIfbXD.jpg',
+                'movie_inicial_5'
+            ),
+            new Pelicula(
+                'Interestelar',
+                ['Ciencia Ficción', 'Aventura', 'Drama'],
+                'Christopher Nolan',
+                2014,
+                8.6,
+                'Un equipo de exploradores viaja a través de un agujero de gusano en el espacio en un intento de asegurar la supervivencia de la humanidad.',
+                'https://image.tmdb.org/t/p/w500/gEU2QniE6E77NI6lCU6MxlNBvIx.jpg',
+                'movie_inicial_6'
+            ),
+            new Pelicula(
+                'El Señor de los Anillos: El Retorno del Rey',
+                ['Aventura', 'Acción'],
+                'Peter Jackson',
+                2003,
+                8.9,
+                'Gandalf y Aragorn lideran el Mundo de los Hombres contra el ejército de Sauron para atraer su mirada de Frodo y Sam mientras se acercan al Monte del Destino.',
+                'https://image.tmdb.org/t/p/w500/rCzpDGLbOoPwLjy3OAm5NUPOTrC.jpg',
+                'movie_inicial_7'
+            ),
+            new Pelicula(
+                'Gladiador',
+                ['Acción', 'Drama'],
+                'Ridley Scott',
+                2000,
+                8.5,
+                'Un ex general romano busca venganza contra el corrupto emperador que asesinó a su familia y lo envió a la esclavitud.',
+                'https://image.tmdb.org/t/p/w500/ty8TGRuvJLPUmAR1H1nRIsgwvim.jpg',
+                'movie_inicial_8'
+            )
+        ];
+
+        this.peliculas = peliculasIniciales;
+        await this.guardarPeliculas();
+        return peliculasIniciales;
+    }
+
+    /**
+     * Nombre de usuario de la sesión activa, para los campos de auditoría
+     * @returns {string|null}
+     */
+    obtenerUsuarioActual() {
+        const sesion = this.authManager ? this.authManager.obtenerSesionActiva() : null;
+        return sesion ? sesion.usuario : null;
+    }
+
+    /**
+     * Guarda películas en el almacenamiento
+     * @returns {Promise<void>}
+     */
+    async guardarPeliculas() {
+        try {
+            const peliculasJSON = this.peliculas.map(p => p.toJSON());
+            await this.almacenamiento.escribir(this.STORAGE_KEY, JSON.stringify(peliculasJSON));
+        } catch (error) {
+            console.error('Error al guardar películas:', error);
+            throw new Error('No se pudieron guardar las películas');
+        }
+    }
+
+    /**
+     * Valida una película contra el catálogo de géneros. Los géneros se ajustan antes al
+     * nombre del catálogo, sin distinguir mayúsculas ni acentos ("accion" → "Acción").
+     * @param {Pelicula} pelicula
+     * @returns {Object} {valido: boolean, errores: string[]}
+     */
+    validarPelicula(pelicula) {
+        if (!this.generoManager) {
+            return pelicula.validar();
+        }
+
+        pelicula.generos = Pelicula.normalizarLista(pelicula.generos.map(g => this.generoManager.buscar(g) || g));
+        return pelicula.validar(this.generoManager.obtenerTodos());
+    }
+
+    /**
+     * Cambia un género por otro en todas las películas, incluidas las de la papelera,
+     * y en las versiones del historial para que deshacer no recupere el nombre anterior
+     * @param {string} anterior
+     * @param {string} nuevo
+     * @returns {Promise<number>} Películas modificadas
+     */
+    async reemplazarGenero(anterior, nuevo) {
+        const usuario = this.obtenerUsuarioActual();
+        const ahora = new Date().toISOString();
+        const ids = [];
+
+        // Al fusionar, una película que ya tenía los dos se queda con uno
+        const reemplazar = generos => Pelicula.normalizarLista(generos.map(g => g === anterior ? nuevo : g));
+
+        this.peliculas.forEach(p => {
+            if (p.generos.includes(anterior)) {
+                p.generos = reemplazar(p.generos);
+                p.modificadoPor = usuario;
+                p.fechaModificacion = ahora;
+                ids.push(p.id);
+            }
+        });
+
+        await this.historial.transformarVersiones(datos => {
+            datos.generos = reemplazar(datos.generos);
+        });
+
+        if (ids.length > 0) {
+            await this.guardarPeliculas();
+            await this.enviarASincronizacion(ids);
+        }
+        return ids.length;
+    }
+
+    /**
+     * Obtiene todas las películas que no están en la papelera
+     * @returns {Array<Pelicula>}
+     */
+    obtenerTodas() {
+        return this.peliculas.filter(p => !p.fechaEliminacion);
+    }
+
+    /**
+     * Obtiene una película por ID
+     * @param {string} id
+     * @param {boolean} incluirEliminadas - Buscar también en la papelera
+     * @returns {Pelicula|null}
+     */
+    obtenerPorId(id, incluirEliminadas = false) {
+        return this.peliculas.find(p => p.id === id && (incluirEliminadas || !p.fechaEliminacion)) || null;
+    }
+
+    /**
+     * Agrega una nueva película
+     * @param {Pelicula} pelicula
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string, pelicula?: Pelicula}
+     */
+    async agregar(pelicula) {
+        const sinPermiso = this.verificarPermiso(PERMISOS.CREAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const validacion = this.validarPelicula(pelicula);
+        
+        if (!validacion.valido) {
+            return {
+                exito: false,
+                mensaje: validacion.errores.join('\n')
+            };
+        }
+
+        pelicula.creadoPor = this.obtenerUsuarioActual();
+        this.peliculas.push(pelicula);
+        await this.guardarPeliculas();
+        await this.registrarCambio('agregar', `Agregar "${pelicula.titulo}"`, pelicula.id, null, pelicula);
+
+        return {
+            exito: true,
+            mensaje: 'Película agregada exitosamente',
+            pelicula
+        };
+    }
+
+    /**
+     * Actualiza una película existente
+     * @param {string} id
+     * @param {Object} datos - Datos actualizados
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async actualizar(id, datos) {
+        const sinPermiso = this.verificarPermiso(PERMISOS.EDITAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const index = this.peliculas.findIndex(p => p.id === id && !p.fechaEliminacion);
+
+        if (index === -1) {
+            return {
+                exito: false,
+                mensaje: 'Película no encontrada'
+            };
+        }
+
+        const peliculaActualizada = new Pelicula(
+            datos.titulo,
+            datos.generos,
+            datos.director,
+            datos.ano,
+            datos.calificacion,
+            datos.descripcion,
+            datos.imagen,
+            id
+        );
+
+        peliculaActualizada.asignarDetalles(datos);
+
+        // Mantener fecha de creación y autor originales
+        peliculaActualizada.fechaCreacion = this.peliculas[index].fechaCreacion;
+        peliculaActualizada.creadoPor = this.peliculas[index].creadoPor;
+        peliculaActualizada.modificadoPor = this.obtenerUsuarioActual();
+        peliculaActualizada.fechaModificacion = new Date().toISOString();
+
+        const validacion = this.validarPelicula(peliculaActualizada);
+
+        if (!validacion.valido) {
+            return {
+                exito: false,
+                mensaje: validacion.errores.join('\n')
+            };
+        }
+
+        const anterior = this.peliculas[index];
+        this.peliculas[index] = peliculaActualizada;
+        await this.guardarPeliculas();
+        await this.registrarCambio('actualizar', `Editar "${peliculaActualizada.titulo}"`, id, anterior, peliculaActualizada);
+
+        return {
+            exito: true,
+            mensaje: 'Película actualizada exitosamente'
+        };
+    }
+
+    /**
+     * Envía una película a la papelera
+     * @param {string} id
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async eliminar(id) {
+        const sinPermiso = this.verificarPermiso(PERMISOS.ELIMINAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const index = this.peliculas.findIndex(p => p.id === id && !p.fechaEliminacion);
+
+        if (index === -1) {
+            return {
+                exito: false,
+                mensaje: 'Película no encontrada'
+            };
+        }
+
+        const anterior = this.peliculas[index];
+        const eliminada = this.marcarEliminada(anterior);
+
+        this.peliculas[index] = eliminada;
+        await this.guardarPeliculas();
+        await this.registrarCambio('eliminar', `Eliminar "${eliminada.titulo}"`, id, anterior, eliminada);
+
+        return {
+            exito: true,
+            mensaje: 'Película enviada a la papelera'
+        };
+    }
+
+    /**
+     * Copia de una película marcada como enviada a la papelera por el usuario actual
+     * @param {Pelicula} pelicula
+     * @returns {Pelicula}
+     */
+    marcarEliminada(pelicula) {
+        const eliminada = Pelicula.fromJSON(pelicula.toJSON());
+        eliminada.fechaEliminacion = new Date().toISOString();
+        eliminada.eliminadoPor = this.obtenerUsuarioActual();
+        // También cuenta como modificación para resolver conflictos al sincronizar
+        eliminada.fechaModificacion = eliminada.fechaEliminacion;
+        eliminada.modificadoPor = eliminada.eliminadoPor;
+        return eliminada;
+    }
+
+    /**
+     * Fusiona dos registros de la misma película. La conservada mantiene su ID y toma de la
+     * otra los campos elegidos; la otra va a la papelera y sus datos relacionados (listas,
+     * reseñas, colecciones) pasan a la conservada. La entrada del historial guarda esos datos
+     * antes y después del traslado para que deshacer y rehacer los devuelvan.
+     * @param {string} idConservada
+     * @param {string} idDescartada
+     * @param {Array<string>} camposDescartada - Campos de CAMPOS_CSV que se toman de la descartada
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async fusionar(idConservada, idDescartada, camposDescartada = []) {
+        const sinPermiso = this.verificarPermiso(PERMISOS.EDITAR_PELICULA) || this.verificarPermiso(PERMISOS.ELIMINAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const conservada = this.obtenerPorId(idConservada);
+        const descartada = this.obtenerPorId(idDescartada);
+
+        if (!conservada || !descartada) {
+            return { exito: false, mensaje: 'Película no encontrada' };
+        }
+        if (conservada === descartada) {
+            return { exito: false, mensaje: 'No se puede fusionar una película consigo misma' };
+        }
+
+        // Los campos editables son los mismos que se intercambian por CSV
+        const datos = conservada.toJSON();
+        camposDescartada
+            .filter(campo => this.CAMPOS_CSV.includes(campo))
+            .forEach(campo => {
+                datos[campo] = descartada[campo];
+            });
+
+        const fusionada = Pelicula.fromJSON(datos);
+        fusionada.modificadoPor = this.obtenerUsuarioActual();
+        fusionada.fechaModificacion = new Date().toISOString();
+
+        const validacion = this.validarPelicula(fusionada);
+        if (!validacion.valido) {
+            return { exito: false, mensaje: validacion.errores.join('\n') };
+        }
+
+        const eliminada = this.marcarEliminada(descartada);
+        this.peliculas = this.peliculas.map(p => {
+            if (p.id === idConservada) {
+                return fusionada;
+            }
+            return p.id === idDescartada ? eliminada : p;
+        });
+        await this.guardarPeliculas();
+
+        const ids = [idConservada, idDescartada];
+        const relacionados = [];
+        for (const relacionado of this.datosRelacionados) {
+            const antes = relacionado.capturarPeliculas(ids);
+            await relacionado.trasladarPelicula(idDescartada, idConservada);
+            relacionados.push({ clave: relacionado.STORAGE_KEY, antes, despues: relacionado.capturarPeliculas(ids) });
+        }
+
+        await this.historial.registrar('fusionar', `Fusionar "${descartada.titulo}" con "${fusionada.titulo}"`, [
+            { peliculaId: idConservada, antes: conservada.toJSON(), despues: fusionada.toJSON() },
+            { peliculaId: idDescartada, antes: descartada.toJSON(), despues: eliminada.toJSON() }
+        ], this.obtenerUsuarioActual(), relacionados);
+        await this.enviarASincronizacion(ids);
+
+        return {
+            exito: true,
+            mensaje: `"${descartada.titulo}" se fusionó con "${fusionada.titulo}" y se envió a la papelera`
+        };
+    }
+
+    /**
+     * Obtiene las películas de la papelera, de la eliminada más recientemente a la más antigua
+     * @returns {Array<Pelicula>}
+     */
+    obtenerEliminadas() {
+        return this.peliculas
+            .filter(p => p.fechaEliminacion)
+            .sort((a, b) => new Date(b.fechaEliminacion) - new Date(a.fechaEliminacion));
+    }
+
+    /**
+     * Saca una película de la papelera
+     * @param {string} id
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async restaurar(id) {
+        const sinPermiso = this.verificarPermiso(PERMISOS.ELIMINAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const index = this.peliculas.findIndex(p => p.id === id && p.fechaEliminacion);
+
+        if (index === -1) {
+            return {
+                exito: false,
+                mensaje: 'La película no está en la papelera'
+            };
+        }
+
+        const anterior = this.peliculas[index];
+        const restaurada = Pelicula.fromJSON(anterior.toJSON());
+        restaurada.fechaEliminacion = null;
+        restaurada.eliminadoPor = null;
+        restaurada.fechaModificacion = new Date().toISOString();
+        restaurada.modificadoPor = this.obtenerUsuarioActual();
+
+        this.peliculas[index] = restaurada;
+        await this.guardarPeliculas();
+        await this.registrarCambio('restaurar', `Restaurar "${restaurada.titulo}" de la papelera`, id, anterior, restaurada);
+
+        return {
+            exito: true,
+            mensaje: 'Película restaurada exitosamente'
+        };
+    }
+
+    /**
+     * Elimina definitivamente una película de la papelera (no se puede deshacer)
+     * @param {string} id
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async purgar(id) {
+        const sinPermiso = this.verificarPermiso(PERMISOS.ELIMINAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const index = this.peliculas.findIndex(p => p.id === id && p.fechaEliminacion);
+
+        if (index === -1) {
+            return {
+                exito: false,
+                mensaje: 'La película no está en la papelera'
+            };
+        }
+
+        this.peliculas.splice(index, 1);
+        await this.guardarPeliculas();
+        await this.historial.olvidarPelicula(id);
+        await this.enviarASincronizacion([id]);
+
+        return {
+            exito: true,
+            mensaje: 'Película eliminada definitivamente'
+        };
+    }
+
+    /**
+     * Elimina definitivamente todas las películas de la papelera
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async vaciarPapelera() {
+        const sinPermiso = this.verificarPermiso(PERMISOS.ELIMINAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const eliminadas = this.obtenerEliminadas();
+        for (const pelicula of eliminadas) {
+            await this.purgar(pelicula.id);
+        }
+
+        return {
+            exito: true,
+            mensaje: `${eliminadas.length} película(s) eliminada(s) definitivamente`
+        };
+    }
+
+    /**
+     * Días que se conservan las películas en la papelera
+     * @returns {number}
+     */
+    obtenerDiasRetencion() {
+        return this.diasRetencion;
+    }
+
+    /**
+     * Cambia los días de retención de la papelera y purga lo que haya vencido
+     * @param {number} dias
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async configurarRetencion(dias) {
+        const sinPermiso = this.verificarPermiso(PERMISOS.ELIMINAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const valor = parseInt(dias);
+
+        if (!valor || valor < 1 || valor > 365) {
+            return { exito: false, mensaje: 'Los días de retención deben estar entre 1 y 365' };
+        }
+
+        await this.almacenamiento.escribir(CONFIG_PAPELERA.STORAGE_DIAS_KEY, String(valor));
+        this.diasRetencion = valor;
+        await this.purgarVencidas();
+
+        return { exito: true, mensaje: `La papelera conservará las películas ${valor} días` };
+    }
+
+    /**
+     * Purga las películas que llevan en la papelera más días de los configurados
+     * @returns {Promise<number>} Cantidad de películas purgadas
+     */
+    async purgarVencidas() {
+        const limite = Date.now() - this.obtenerDiasRetencion() * 24 * 60 * 60 * 1000;
+        const vencidas = this.peliculas.filter(p => p.fechaEliminacion && new Date(p.fechaEliminacion).getTime() < limite);
+
+        if (vencidas.length === 0) {
+            return 0;
+        }
+
+        this.peliculas = this.peliculas.filter(p => !vencidas.includes(p));
+        await this.guardarPeliculas();
+        for (const pelicula of vencidas) {
+            await this.historial.olvidarPelicula(pelicula.id);
+        }
+        await this.enviarASincronizacion(vencidas.map(p => p.id));
+
+        return vencidas.length;
+    }
+
+    /**
+     * Registra en el historial una operación sobre una película
+     * @param {string} tipo
+     * @param {string} descripcion
+     * @param {string} peliculaId
+     * @param {Pelicula|null} antes
+     * @param {Pelicula|null} despues
+     * @returns {Promise<void>}
+     */
+    async registrarCambio(tipo, descripcion, peliculaId, antes, despues) {
+        await this.historial.registrar(tipo, descripcion, [{
+            peliculaId,
+            antes: antes ? antes.toJSON() : null,
+            despues: despues ? despues.toJSON() : null
+        }], this.obtenerUsuarioActual());
+        await this.enviarASincronizacion([peliculaId]);
+    }
+
+    /**
+     * Pasa al sincronizador el estado actual de las películas indicadas
+     * @param {Array<string>} ids
+     * @returns {Promise<void>}
+     */
+    async enviarASincronizacion(ids) {
+        if (!this.sincronizador) {
+            return;
+        }
+
+        for (const id of ids) {
+            const pelicula = this.obtenerPorId(id, true);
+            await this.sincronizador.encolar(id, pelicula ? pelicula.toJSON() : null);
+        }
+    }
+
+    /**
+     * Aplica películas recibidas del servidor sin registrarlas en el historial
+     * ni volver a enviarlas
+     * @param {Array<Object>} cambios - [{peliculaId, estado}] con estado de toJSON() o null para quitarla
+     * @returns {Promise<void>}
+     */
+    async aplicarRemotas(cambios) {
+        if (cambios.length === 0) {
+            return;
+        }
+
+        cambios.forEach(c => this.aplicarEstado(c.peliculaId, c.estado));
+        await this.guardarPeliculas();
+    }
+
+    /**
+     * Envía a la papelera las películas que ya no están en el servidor (otro cliente las
+     * purgó). Queda en el historial pero no se sube: si se restauran, vuelven al servidor.
+     * @param {Array<string>} ids
+     * @returns {Promise<number>} Películas enviadas a la papelera
+     */
+    async retirarAusentesRemotas(ids) {
+        const cambios = [];
+
+        ids.forEach(id => {
+            const anterior = this.obtenerPorId(id, true);
+            if (!anterior || anterior.fechaEliminacion) {
+                return;
+            }
+
+            const eliminada = this.marcarEliminada(anterior);
+            eliminada.eliminadoPor = 'Sincronización';
+            eliminada.modificadoPor = 'Sincronización';
+            this.aplicarEstado(id, eliminada.toJSON());
+            cambios.push({ peliculaId: id, antes: anterior.toJSON(), despues: eliminada.toJSON() });
+        });
+
+        if (cambios.length === 0) {
+            return 0;
+        }
+
+        await this.guardarPeliculas();
+        await this.historial.registrar(
+            'eliminar',
+            `Enviar a la papelera ${cambios.length} película(s) que ya no están en el servidor`,
+            cambios,
+            'Sincronización'
+        );
+        return cambios.length;
+    }
+
+    /**
+     * Deja una película en el estado indicado sin pasar por el historial
+     * @param {string} peliculaId
+     * @param {Object|null} estado - Objeto de toJSON() o null para quitarla
+     */
+    aplicarEstado(peliculaId, estado) {
+        const index = this.peliculas.findIndex(p => p.id === peliculaId);
+
+        if (!estado) {
+            if (index !== -1) {
+                this.peliculas.splice(index, 1);
+            }
+            return;
+        }
+
+        const pelicula = Pelicula.fromJSON(estado);
+        if (index === -1) {
+            this.peliculas.push(pelicula);
+        } else {
+            this.peliculas[index] = pelicula;
+        }
+    }
+
+    /**
+     * Aplica los estados guardados en una entrada del historial al deshacer o rehacer.
+     * Quedan como modificados ahora: con la fecha original la sincronización tomaría
+     * la copia del servidor por más reciente y descartaría el cambio.
+     * @param {Array<Object>} cambios - Cambios de la entrada, en el orden en que se aplican
+     * @param {string} campo - 'antes' o 'despues'
+     */
+    aplicarEstadosHistorial(cambios, campo) {
+        const usuario = this.obtenerUsuarioActual();
+        const ahora = new Date().toISOString();
+
+        cambios.forEach(c => {
+            const estado = c[campo] ? { ...c[campo], modificadoPor: usuario, fechaModificacion: ahora } : null;
+            this.aplicarEstado(c.peliculaId, estado);
+        });
+    }
+
+    /**
+     * Devuelve los datos relacionados que guardó una entrada del historial (solo las fusiones
+     * los tienen). Se limita a las películas que siguen en la entrada: las purgadas ya no están.
+     * Solo se tocan los datos que la fusión cambió; lo que otros usuarios agregaron o
+     * modificaron después se conserva.
+     * @param {Object} entrada
+     * @param {string} campo - 'antes' o 'despues'
+     * @returns {Promise<void>}
+     */
+    async restaurarRelacionados(entrada, campo) {
+        const ids = entrada.cambios.map(c => c.peliculaId);
+        const otro = campo === 'antes' ? 'despues' : 'antes';
+
+        for (const guardado of entrada.relacionados || []) {
+            const relacionado = this.datosRelacionados.find(r => r.STORAGE_KEY === guardado.clave);
+            if (relacionado) {
+                await relacionado.restaurarPeliculas(ids, guardado[campo], guardado[otro]);
+            }
+        }
+    }
+
+    /**
+     * Deshace la última operación del historial
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async deshacer() {
+        const sinPermiso = this.verificarPermiso(PERMISOS.EDITAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const entrada = await this.historial.retroceder();
+        if (!entrada) {
+            return { exito: false, mensaje: 'No hay nada que deshacer' };
+        }
+
+        this.aplicarEstadosHistorial([...entrada.cambios].reverse(), 'antes');
+        await this.guardarPeliculas();
+        await this.restaurarRelacionados(entrada, 'antes');
+        await this.enviarASincronizacion(entrada.cambios.map(c => c.peliculaId));
+
+        return { exito: true, mensaje: `Deshecho: ${entrada.descripcion}` };
+    }
+
+    /**
+     * Vuelve a aplicar la última operación deshecha
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async rehacer() {
+        const sinPermiso = this.verificarPermiso(PERMISOS.EDITAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const entrada = await this.historial.avanzar();
+        if (!entrada) {
+            return { exito: false, mensaje: 'No hay nada que rehacer' };
+        }
+
+        this.aplicarEstadosHistorial(entrada.cambios, 'despues');
+        await this.guardarPeliculas();
+        await this.restaurarRelacionados(entrada, 'despues');
+        await this.enviarASincronizacion(entrada.cambios.map(c => c.peliculaId));
+
+        return { exito: true, mensaje: `Rehecho: ${entrada.descripcion}` };
+    }
+
+    /**
+     * Versiones registradas de una película, de la más reciente a la más antigua
+     * @param {string} peliculaId
+     * @returns {Array<Object>} [{entrada, version, anterior}] donde version es el estado tras la
+     * operación, o el previo a ella cuando anterior es true
+     */
+    obtenerHistorialPelicula(peliculaId) {
+        const entradas = this.historial.obtenerPorPelicula(peliculaId);
+        // Para una eliminación, la versión útil es la que había antes de borrar
+        const usarAntes = cambio => !cambio.despues || Boolean(cambio.despues.fechaEliminacion);
+        const registros = entradas.map(entrada => {
+            const cambio = entrada.cambios.find(c => c.peliculaId === peliculaId);
+            return {
+                entrada,
+                version: usarAntes(cambio) ? cambio.antes : cambio.despues,
+                anterior: usarAntes(cambio)
+            };
+        });
+
+        // La versión previa al cambio más antiguo conservado también se puede recuperar
+        const masAntigua = entradas[entradas.length - 1];
+        if (masAntigua) {
+            const cambio = masAntigua.cambios.find(c => c.peliculaId === peliculaId);
+            if (cambio.antes && !usarAntes(cambio) && !cambio.antes.fechaEliminacion) {
+                registros.push({ entrada: masAntigua, version: cambio.antes, anterior: true });
+            }
+        }
+
+        return registros;
+    }
+
+    /**
+     * Restaura una versión anterior de una película, aunque haya sido eliminada
+     * @param {string} peliculaId
+     * @param {string} entradaId - Entrada del historial cuya versión se restaura
+     * @param {boolean} anterior - Restaurar el estado previo a la entrada en lugar del posterior
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async restaurarVersion(peliculaId, entradaId, anterior = false) {
+        const sinPermiso = this.verificarPermiso(PERMISOS.EDITAR_PELICULA);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const registro = this.obtenerHistorialPelicula(peliculaId)
+            .find(r => r.entrada.id === entradaId && r.anterior === anterior);
+        if (!registro) {
+            return { exito: false, mensaje: 'Versión no encontrada' };
+        }
+
+        const actual = this.obtenerPorId(peliculaId, true);
+        const restaurada = Pelicula.fromJSON(registro.version);
+        restaurada.fechaEliminacion = null;
+        restaurada.eliminadoPor = null;
+        restaurada.modificadoPor = this.obtenerUsuarioActual();
+        restaurada.fechaModificacion = new Date().toISOString();
+
+        this.aplicarEstado(peliculaId, restaurada.toJSON());
+        await this.guardarPeliculas();
+        await this.registrarCambio('restaurar', `Restaurar versión de "${restaurada.titulo}"`, peliculaId, actual, restaurada);
+
+        return { exito: true, mensaje: 'Versión restaurada exitosamente' };
+    }
+
+    /**
+     * Genera el catálogo activo como documento JSON versionado
+     * @returns {Object} {formato, version, exportadoEn, exportadoPor, total, peliculas}
+     */
+    exportarCatalogo() {
+        const peliculas = this.obtenerTodas().map(p => p.toJSON());
+
+        return {
+            formato: this.FORMATO_EXPORTACION,
+            version: this.VERSION_EXPORTACION,
+            exportadoEn: new Date().toISOString(),
+            exportadoPor: this.obtenerUsuarioActual(),
+            total: peliculas.length,
+            peliculas
+        };
+    }
+
+    /**
+     * Importa un catálogo exportado con exportarCatalogo().
+     * En modo 'fusionar' agrega las nuevas y actualiza las existentes por ID;
+     * en modo 'reemplazar' además envía a la papelera las que no vienen en el archivo.
+     * @param {Object} documento - Contenido del archivo ya parseado
+     * @param {string} modo - 'fusionar' o 'reemplazar'
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string, reporte?: Array<Object>}
+     */
+    async importarCatalogo(documento, modo = 'fusionar') {
+        if (!documento || documento.formato !== this.FORMATO_EXPORTACION || !Array.isArray(documento.peliculas)) {
+            return { exito: false, mensaje: 'El archivo no es un catálogo de CineFlix' };
+        }
+
+        if (!Number.isInteger(documento.version) || documento.version > this.VERSION_EXPORTACION) {
+            return { exito: false, mensaje: 'Versión de catálogo no soportada' };
+        }
+
+        return await this.importarRegistros(documento.peliculas, modo);
+    }
+
+    /**
+     * Valida y aplica una lista de registros planos, devolviendo un informe por registro.
+     * Todos los cambios quedan en una única entrada del historial.
+     * @param {Array<Object>} registros - Objetos con la forma de toJSON() (el id es opcional)
+     * @param {string} modo - 'fusionar' o 'reemplazar'
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string, reporte: Array<Object>}
+     */
+    async importarRegistros(registros, modo = 'fusionar') {
+        const sinPermiso = this.verificarPermiso(PERMISOS.CREAR_PELICULA) ||
+            this.verificarPermiso(PERMISOS.EDITAR_PELICULA) ||
+            (modo === 'reemplazar' && this.verificarPermiso(PERMISOS.ELIMINAR_PELICULA));
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const usuario = this.obtenerUsuarioActual();
+        const ahora = new Date().toISOString();
+        const reporte = [];
+        const cambios = [];
+        const idsImportados = new Set();
+
+        registros.forEach((registro, i) => {
+            const fila = { posicion: i + 1, titulo: registro && registro.titulo ? String(registro.titulo) : '(sin título)' };
+
+            if (!registro || typeof registro !== 'object') {
+                reporte.push({ ...fila, estado: 'rechazada', detalle: 'El registro no es un objeto' });
+                return;
+            }
+
+            const importada = Pelicula.fromJSON(registro);
+            importada.fechaEliminacion = null;
+            importada.eliminadoPor = null;
+            const validacion = this.validarPelicula(importada);
+
+            if (!validacion.valido) {
+                reporte.push({ ...fila, estado: 'rechazada', detalle: validacion.errores.join('; ') });
+                return;
+            }
+
+            if (idsImportados.has(importada.id)) {
+                reporte.push({ ...fila, estado: 'omitida', detalle: 'ID repetido en el archivo' });
+                return;
+            }
+            idsImportados.add(importada.id);
+
+            const existente = this.obtenerPorId(importada.id, true);
+
+            if (existente) {
+                // Las filas de un CSV no traen la auditoría: se conserva la de la película
+                ['fechaCreacion', 'creadoPor', 'modificadoPor', 'fechaModificacion']
+                    .filter(campo => registro[campo] === undefined)
+                    .forEach(campo => {
+                        importada[campo] = existente[campo];
+                    });
+            }
+
+            if (!existente) {
+                importada.creadoPor = importada.creadoPor || usuario;
+                this.aplicarEstado(importada.id, importada.toJSON());
+                cambios.push({ peliculaId: importada.id, antes: null, despues: importada.toJSON() });
+                reporte.push({ ...fila, estado: 'agregada', detalle: '' });
+                return;
+            }
+
+            if (JSON.stringify(existente.toJSON()) === JSON.stringify(importada.toJSON())) {
+                reporte.push({ ...fila, estado: 'omitida', detalle: 'Sin cambios' });
+                return;
+            }
+
+            importada.modificadoPor = usuario;
+            importada.fechaModificacion = ahora;
+            this.aplicarEstado(importada.id, importada.toJSON());
+            cambios.push({ peliculaId: importada.id, antes: existente.toJSON(), despues: importada.toJSON() });
+            reporte.push({
+                ...fila,
+                estado: 'actualizada',
+                detalle: existente.fechaEliminacion ? 'Recuperada de la papelera' : ''
+            });
+        });
+
+        let enviadasPapelera = 0;
+        if (modo === 'reemplazar') {
+            this.obtenerTodas()
+                .filter(p => !idsImportados.has(p.id))
+                .forEach(p => {
+                    const eliminada = Pelicula.fromJSON(p.toJSON());
+                    eliminada.fechaEliminacion = ahora;
+                    eliminada.eliminadoPor = usuario;
+                    eliminada.fechaModificacion = ahora;
+                    eliminada.modificadoPor = usuario;
+                    this.aplicarEstado(p.id, eliminada.toJSON());
+                    cambios.push({ peliculaId: p.id, antes: p.toJSON(), despues: eliminada.toJSON() });
+                    enviadasPapelera++;
+                });
+        }
+
+        if (cambios.length > 0) {
+            await this.guardarPeliculas();
+            await this.historial.registrar('importar', `Importar ${cambios.length} cambio(s)`, cambios, usuario);
+            await this.enviarASincronizacion(cambios.map(c => c.peliculaId));
+        }
+
+        const contar = estado => reporte.filter(r => r.estado === estado).length;
+        const resumen = [
+            `${contar('agregada')} agregada(s)`,
+            `${contar('actualizada')} actualizada(s)`,
+            `${contar('omitida')} omitida(s)`,
+            `${contar('rechazada')} rechazada(s)`
+        ];
+        if (modo === 'reemplazar') {
+            resumen.push(`${enviadasPapelera} enviada(s) a la papelera`);
+        }
+
+        return {
+            exito: true,
+            mensaje: `Importación completada: ${resumen.join(', ')}`,
+            reporte
+        };
+    }
+
+    /**
+     * Genera el catálogo activo como CSV (con BOM para que Excel respete los acentos)
+     * @returns {string}
+     */
+    exportarCSV() {
+        const columnas = ['id', ...this.CAMPOS_CSV, 'fechaCreacion', 'creadoPor'];
+        const filas = this.obtenerTodas().map(p => {
+            const datos = p.toJSON();
+            // Las listas van en una sola celda separadas por "|"
+            return columnas.map(c => Array.isArray(datos[c]) ? datos[c].join('|') : datos[c]);
+        });
+
+        return '\uFEFF' + UtilidadesCSV.generar([columnas, ...filas]);
+    }
+
+    /**
+     * Propone qué columna del CSV corresponde a cada campo según los encabezados
+     * @param {Array<string>} encabezados
+     * @returns {Object} {campo: índice de columna o -1}
+     */
+    sugerirMapeoCSV(encabezados) {
+        const sinonimos = {
+            titulo: ['titulo', 'title', 'nombre', 'pelicula'],
+            generos: ['genero', 'generos', 'genre', 'genres', 'categoria'],
+            etiquetas: ['etiquetas', 'etiqueta', 'tags', 'tag', 'palabras clave'],
+            director: ['director', 'directora', 'direccion'],
+            ano: ['ano', 'anio', 'year', 'estreno'],
+            calificacion: ['calificacion', 'rating', 'nota', 'puntuacion'],
+            descripcion: ['descripcion', 'description', 'sinopsis', 'resumen'],
+            imagen: ['imagen', 'image', 'poster', 'portada', 'url'],
+            reparto: ['reparto', 'cast', 'actores', 'elenco'],
+            duracion: ['duracion', 'duration', 'runtime', 'minutos'],
+            idioma: ['idioma', 'language', 'lengua'],
+            pais: ['pais', 'country'],
+            clasificacionEdad: ['clasificacionedad', 'clasificacion por edad', 'clasificacion edad', 'edad', 'certificacion'],
+            trailer: ['trailer', 'video'],
+            id: ['id', 'identificador']
+        };
+        const normalizados = encabezados.map(e => String(e)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/ñ/gi, 'n')
+            .trim()
+            .toLowerCase());
+
+        const mapeo = {};
+        this.CAMPOS_MAPEO_CSV.forEach(campo => {
+            mapeo[campo] = normalizados.findIndex(e => sinonimos[campo].includes(e));
+        });
+        return mapeo;
+    }
+
+    /**
+     * Convierte filas de CSV en registros según el mapeo y los valida con validarPelicula()
+     * @param {Array<Array<string>>} filas - Filas de datos (sin encabezado)
+     * @param {Object} mapeo - {campo: índice de columna o -1}
+     * @returns {Array<Object>} [{registro, validacion}]
+     */
+    mapearFilasCSV(filas, mapeo) {
+        return filas.map(fila => {
+            const registro = {};
+
+            this.CAMPOS_MAPEO_CSV.forEach(campo => {
+                const indice = mapeo[campo];
+                const valor = indice >= 0 && indice < fila.length ? fila[indice].trim() : '';
+                // Las hojas en español suelen usar coma decimal
+                registro[campo] = campo === 'calificacion' ? valor.replace(',', '.') : valor;
+            });
+
+            return {
+                registro,
+                validacion: this.validarPelicula(Pelicula.fromJSON(registro))
+            };
+        });
+    }
+
+    /**
+     * Busca películas por término, ordenadas por relevancia (ver BuscadorAvanzado)
+     * @param {string} termino - Término de búsqueda, puede incluir operadores como ano:>2010
+     * @returns {Array<Pelicula>}
+     */
+    buscar(termino) {
+        if (!termino || termino.trim() === '') {
+            return this.obtenerTodas();
+        }
+
+        return BuscadorAvanzado.buscar(this.obtenerTodas(), termino).map(r => r.pelicula);
+    }
+
+    /**
+     * Filtra películas por género
+     * @param {string} genero
+     * @returns {Array<Pelicula>}
+     */
+    filtrarPorGenero(genero) {
+        if (!genero || genero === '') {
+            return this.obtenerTodas();
+        }
+
+        return this.obtenerTodas().filter(p => p.generos.includes(genero));
+    }
+
+    /**
+     * Combina búsqueda, filtro de género, filtro de autor, etiquetas y orden
+     * @param {string} termino - Término de búsqueda
+     * @param {string} genero - Género a filtrar
+     * @param {string|null} creadoPor - Usuario que agregó la película
+     * @param {string} orden - Criterio de ordenar(); 'relevancia' mantiene el de la búsqueda
+     * @param {Array<string>} etiquetas - Etiquetas que tiene que tener la película
+     * @returns {Array<Pelicula>}
+     */
+    buscarYFiltrar(termino, genero, creadoPor = null, orden = 'relevancia', etiquetas = []) {
+        return this.consultar({
+            texto: termino,
+            generos: genero ? [genero] : [],
+            etiquetas,
+            creadoPor,
+            orden
+        });
+    }
+
+    /**
+     * Valores distintos de un campo de lista en el catálogo activo, ordenados alfabéticamente
+     * @param {string} campo - 'etiquetas' o 'reparto'
+     * @returns {Array<string>}
+     */
+    obtenerValoresUsados(campo) {
+        const valores = Pelicula.normalizarLista(this.obtenerTodas().flatMap(p => p[campo]));
+        return valores.sort((a, b) => a.localeCompare(b, 'es'));
+    }
+
+    /**
+     * Indica si una consulta no tiene ningún filtro activo (el orden no cuenta)
+     * @param {Object} consulta
+     * @returns {boolean}
+     */
+    esConsultaVacia(consulta) {
+        const c = { ...CONSULTA_VACIA, ...consulta };
+        return !c.texto.trim() && c.generos.length === 0 && c.etiquetas.length === 0 && !c.director.trim() && !c.creadoPor && !c.lista && !c.mesAlta && !c.tramoCalificacion &&
+            [c.anoDesde, c.anoHasta, c.calificacionMin, c.calificacionMax].every(v => v === null);
+    }
+
+    /**
+     * Filtra y ordena el catálogo activo con una consulta
+     * @param {Object} consulta - Campos de CONSULTA_VACIA; los que falten no filtran
+     * @returns {Array<Pelicula>}
+     */
+    consultar(consulta = {}) {
+        const c = { ...CONSULTA_VACIA, ...consulta };
+        let resultado = this.obtenerTodas();
+
+        if (c.generos.length > 0) {
+            resultado = resultado.filter(p => c.modoGeneros === 'y'
+                ? c.generos.every(g => p.generos.includes(g))
+                : c.generos.some(g => p.generos.includes(g)));
+        }
+
+        if (c.etiquetas.length > 0) {
+            const buscadas = c.etiquetas.map(e => BuscadorAvanzado.normalizar(e));
+            resultado = resultado.filter(p => {
+                const etiquetas = p.etiquetas.map(e => BuscadorAvanzado.normalizar(e));
+                return buscadas.every(e => etiquetas.includes(e));
+            });
+        }
+
+        if (c.anoDesde !== null) {
+            resultado = resultado.filter(p => p.ano >= c.anoDesde);
+        }
+        if (c.anoHasta !== null) {
+            resultado = resultado.filter(p => p.ano <= c.anoHasta);
+        }
+        if (c.calificacionMin !== null) {
+            resultado = resultado.filter(p => p.calificacion >= c.calificacionMin);
+        }
+        if (c.calificacionMax !== null) {
+            resultado = resultado.filter(p => p.calificacion <= c.calificacionMax);
+        }
+
+        if (c.director && c.director.trim()) {
+            const director = BuscadorAvanzado.normalizar(c.director).trim();
+            resultado = resultado.filter(p => BuscadorAvanzado.puntuarTexto(director, p.director) > 0);
+        }
+
+        if (c.creadoPor) {
+            resultado = resultado.filter(p => p.creadoPor === c.creadoPor);
+        }
+
+        if (c.tramoCalificacion) {
+            resultado = resultado.filter(p => EstadisticasCatalogo.tramoDe(p.calificacion) === c.tramoCalificacion);
+        }
+
+        if (c.mesAlta) {
+            resultado = resultado.filter(p => {
+                const fecha = new Date(p.fechaCreacion);
+                return !isNaN(fecha) && EstadisticasCatalogo.claveMes(fecha) === c.mesAlta;
+            });
+        }
+
+        if (c.lista && this.listasUsuario) {
+            const ids = this.listasUsuario.obtenerIds(c.lista);
+            resultado = resultado.filter(p => ids.has(p.id));
+        }
+
+        // La búsqueda por texto ordena por relevancia
+        if (c.texto && c.texto.trim()) {
+            resultado = BuscadorAvanzado.buscar(resultado, c.texto).map(r => r.pelicula);
+        }
+
+        return this.ordenar(resultado, c.orden);
+    }
+
+    /**
+     * Estadísticas del catálogo activo (ver EstadisticasCatalogo)
+     * @returns {Object}
+     */
+    obtenerEstadisticas() {
+        return EstadisticasCatalogo.calcular(this.obtenerTodas());
+    }
+
+    /**
+     * Título reducido para comparar duplicados: sin acentos, signos ni artículo inicial
+     * ("El Padrino: Parte II" → "padrino parte ii")
+     * @param {string} titulo
+     * @returns {string}
+     */
+    claveTitulo(titulo) {
+        return BuscadorAvanzado.normalizar(titulo)
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .replace(/^(el|la|los|las|un|una|the|a|an) /, '');
+    }
+
+    /**
+     * Dos películas son un posible duplicado si son del mismo año, tienen el mismo director
+     * (o uno incluye al otro, p. ej. con codirectores) y su título reducido coincide
+     * salvo por las erratas que admite la búsqueda
+     * @param {Object} a - {titulo, ano, director}
+     * @param {Object} b - {titulo, ano, director}
+     * @returns {boolean}
+     */
+    sonPosiblesDuplicados(a, b) {
+        if (Number(a.ano) !== Number(b.ano)) {
+            return false;
+        }
+
+        const directorA = BuscadorAvanzado.normalizar(a.director).trim();
+        const directorB = BuscadorAvanzado.normalizar(b.director).trim();
+        if (!directorA || !directorB || !(directorA.includes(directorB) || directorB.includes(directorA))) {
+            return false;
+        }
+
+        const tituloA = this.claveTitulo(a.titulo);
+        const tituloB = this.claveTitulo(b.titulo);
+        const tolerancia = BuscadorAvanzado.tolerancia(tituloA.length < tituloB.length ? tituloA : tituloB);
+        return BuscadorAvanzado.distancia(tituloA, tituloB) <= tolerancia;
+    }
+
+    /**
+     * Películas activas que podrían ser la misma que unos datos a guardar
+     * @param {Object} datos - {titulo, ano, director}
+     * @param {string|null} excluirId - La película que se está editando
+     * @returns {Array<Pelicula>}
+     */
+    buscarDuplicados(datos, excluirId = null) {
+        return this.obtenerTodas().filter(p => p.id !== excluirId && this.sonPosiblesDuplicados(datos, p));
+    }
+
+    /**
+     * Pares de películas activas que podrían estar duplicadas; en cada par va primero la
+     * agregada antes, que es la que se propone conservar
+     * @returns {Array<Array<Pelicula>>}
+     */
+    obtenerParesDuplicados() {
+        const peliculas = this.obtenerTodas().sort((a, b) => new Date(a.fechaCreacion) - new Date(b.fechaCreacion));
+        const pares = [];
+
+        peliculas.forEach((pelicula, i) => {
+            peliculas.slice(i + 1).forEach(otra => {
+                if (this.sonPosiblesDuplicados(pelicula, otra)) {
+                    pares.push([pelicula, otra]);
+                }
+            });
+        });
+
+        return pares;
+    }
+
+    /**
+     * Obtiene las películas más recientes
+     * @param {number} cantidad - Número de películas a obtener
+     * @returns {Array<Pelicula>}
+     */
+    obtenerRecientes(cantidad = 5) {
+        return this.obtenerTodas()
+            .sort((a, b) => new Date(b.fechaCreacion) - new Date(a.fechaCreacion))
+            .slice(0, cantidad);
+    }
+
+    /**
+     * Ordena películas por calificación
+     * @param {boolean} descendente - true para mayor a menor
+     * @param {Array<Pelicula>} peliculas - Lista a ordenar (no se modifica)
+     * @returns {Array<Pelicula>}
+     */
+    ordenarPorCalificacion(descendente = true, peliculas = this.obtenerTodas()) {
+        return [...peliculas].sort((a, b) => {
+            return descendente ? b.calificacion - a.calificacion : a.calificacion - b.calificacion;
+        });
+    }
+
+    /**
+     * Ordena películas por año
+     * @param {boolean} descendente - true para más reciente primero
+     * @param {Array<Pelicula>} peliculas - Lista a ordenar (no se modifica)
+     * @returns {Array<Pelicula>}
+     */
+    ordenarPorAno(descendente = true, peliculas = this.obtenerTodas()) {
+        return [...peliculas].sort((a, b) => {
+            return descendente ? b.ano - a.ano : a.ano - b.ano;
+        });
+    }
+
+    /**
+     * Ordena películas alfabéticamente por título, sin distinguir acentos
+     * @param {boolean} descendente - true para Z-A
+     * @param {Array<Pelicula>} peliculas - Lista a ordenar (no se modifica)
+     * @returns {Array<Pelicula>}
+     */
+    ordenarPorTitulo(descendente = false, peliculas = this.obtenerTodas()) {
+        return [...peliculas].sort((a, b) => {
+            const comparacion = a.titulo.localeCompare(b.titulo, 'es', { sensitivity: 'base', numeric: true });
+            return descendente ? -comparacion : comparacion;
+        });
+    }
+
+    /**
+     * Ordena películas por fecha de alta en el catálogo
+     * @param {boolean} descendente - true para la última agregada primero
+     * @param {Array<Pelicula>} peliculas - Lista a ordenar (no se modifica)
+     * @returns {Array<Pelicula>}
+     */
+    ordenarPorFechaCreacion(descendente = true, peliculas = this.obtenerTodas()) {
+        return [...peliculas].sort((a, b) => {
+            const diferencia = new Date(a.fechaCreacion) - new Date(b.fechaCreacion);
+            return descendente ? -diferencia : diferencia;
+        });
+    }
+
+    /**
+     * Aplica un criterio de orden a una lista
+     * @param {Array<Pelicula>} peliculas
+     * @param {string} orden - 'relevancia' (deja la lista como está) o '<campo>-asc|desc'
+     * con campo calificacion, ano, titulo o fecha
+     * @returns {Array<Pelicula>}
+     */
+    ordenar(peliculas, orden = 'relevancia') {
+        const [campo, sentido] = String(orden).split('-');
+        const descendente = sentido === 'desc';
+        const metodos = {
+            calificacion: 'ordenarPorCalificacion',
+            ano: 'ordenarPorAno',
+            titulo: 'ordenarPorTitulo',
+            fecha: 'ordenarPorFechaCreacion'
+        };
+
+        return metodos[campo] ? this[metodos[campo]](descendente, peliculas) : peliculas;
+    }
+}
+
+// ============================================================================
+// CLASE: GeneroManager
+// Catálogo de géneros. Renombrar o fusionar se propaga a las películas
+// ============================================================================
+const GENEROS_INICIALES = Object.freeze(['Acción', 'Drama', 'Comedia', 'Ciencia Ficción', 'Terror', 'Aventura']);
+
+class GeneroManager {
+    /**
+     * @param {Object} almacenamiento - Adaptador de almacenamiento
+     * @param {PeliculaManager} peliculaManager - Películas que validan y reciben los cambios de género
+     */
+    constructor(almacenamiento, peliculaManager) {
+        this.STORAGE_KEY = 'cineflix_generos';
+        this.LONGITUD_MAXIMA = 30;
+        this.almacenamiento = almacenamiento;
+        this.peliculaManager = peliculaManager;
+        this.generos = [];
+        this.peliculaManager.generoManager = this;
+    }
+
+    /**
+     * Carga los géneros guardados
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        await this.recargar();
+    }
+
+    /**
+     * Vuelve a leer los géneros (p. ej. tras un cambio en otra pestaña). Si no hay
+     * ninguno guardado se crean los iniciales más los que ya usan las películas,
+     * para que estas sigan siendo válidas.
+     * @returns {Promise<void>}
+     */
+    async recargar() {
+        const data = await this.almacenamiento.leer(this.STORAGE_KEY);
+
+        if (data !== null) {
+            try {
+                const generos = JSON.parse(data);
+                if (Array.isArray(generos)) {
+                    this.generos = generos.filter(g => typeof g === 'string' && g);
+                    return;
+                }
+            } catch (error) {
+                console.error('Error al cargar géneros:', error);
+            }
+        }
+
+        const enUso = this.peliculaManager.peliculas.flatMap(p => p.generos);
+        this.generos = this.ordenar([...new Set([...GENEROS_INICIALES, ...enUso])]);
+        await this.guardar();
+    }
+
+    /**
+     * Guarda los géneros en el almacenamiento
+     * @returns {Promise<void>}
+     */
+    async guardar() {
+        try {
+            await this.almacenamiento.escribir(this.STORAGE_KEY, JSON.stringify(this.generos));
+        } catch (error) {
+            console.error('Error al guardar géneros:', error);
+            throw new Error('No se pudieron guardar los géneros');
+        }
+    }
+
+    /**
+     * @param {Array<string>} generos
+     * @returns {Array<string>} Ordenados alfabéticamente
+     */
+    ordenar(generos) {
+        return [...generos].sort((a, b) => a.localeCompare(b, 'es'));
+    }
+
+    /**
+     * @returns {Array<string>}
+     */
+    obtenerTodos() {
+        return [...this.generos];
+    }
+
+    /**
+     * Busca un género sin distinguir mayúsculas ni acentos
+     * @param {string} nombre
+     * @returns {string|null} Nombre tal como está en el catálogo
+     */
+    buscar(nombre) {
+        const normalizado = BuscadorAvanzado.normalizar(this.limpiarNombre(nombre));
+        return this.generos.find(g => BuscadorAvanzado.normalizar(g) === normalizado) || null;
+    }
+
+    /**
+     * Quita espacios sobrantes de un nombre
+     * @param {string} nombre
+     * @returns {string}
+     */
+    limpiarNombre(nombre) {
+        return String(nombre || '').trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Comprueba que un nombre se puede usar para un género
+     * @param {string} nombre - Ya limpio
+     * @param {string|null} actual - Género que se está renombrando, que no cuenta como repetido
+     * @returns {string|null} Mensaje de error o null si es válido
+     */
+    validarNombre(nombre, actual = null) {
+        if (nombre.length < 2 || nombre.length > this.LONGITUD_MAXIMA) {
+            return `El género debe tener entre 2 y ${this.LONGITUD_MAXIMA} caracteres`;
+        }
+
+        const existente = this.buscar(nombre);
+        if (existente && existente !== actual) {
+            return `Ya existe el género "${existente}"`;
+        }
+        return null;
+    }
+
+    /**
+     * Películas (incluidas las de la papelera) que usan un género
+     * @param {string} nombre
+     * @returns {number}
+     */
+    contarPeliculas(nombre) {
+        return this.peliculaManager.peliculas.filter(p => p.generos.includes(nombre)).length;
+    }
+
+    /**
+     * Agrega un género al catálogo
+     * @param {string} nombre
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async agregar(nombre) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_GENEROS);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const limpio = this.limpiarNombre(nombre);
+        const error = this.validarNombre(limpio);
+        if (error) {
+            return { exito: false, mensaje: error };
+        }
+
+        this.generos = this.ordenar([...this.generos, limpio]);
+        await this.guardar();
+
+        return {
+            exito: true,
+            mensaje: `Género "${limpio}" agregado`
+        };
+    }
+
+    /**
+     * Renombra un género y lo actualiza en las películas que lo usan
+     * @param {string} actual
+     * @param {string} nombre - Nuevo nombre
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async renombrar(actual, nombre) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_GENEROS);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        if (!this.generos.includes(actual)) {
+            return { exito: false, mensaje: 'Género no encontrado' };
+        }
+
+        const limpio = this.limpiarNombre(nombre);
+        if (limpio === actual) {
+            return { exito: false, mensaje: 'El nombre no cambió' };
+        }
+
+        const error = this.validarNombre(limpio, actual);
+        if (error) {
+            return { exito: false, mensaje: error };
+        }
+
+        this.generos = this.ordenar(this.generos.map(g => g === actual ? limpio : g));
+        await this.guardar();
+        const modificadas = await this.peliculaManager.reemplazarGenero(actual, limpio);
+
+        return {
+            exito: true,
+            mensaje: `Género renombrado a "${limpio}" (${modificadas} película(s) actualizada(s))`
+        };
+    }
+
+    /**
+     * Pasa las películas de un género a otro y elimina el primero
+     * @param {string} origen - Género que desaparece
+     * @param {string} destino - Género que se conserva
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async fusionar(origen, destino) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_GENEROS);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        if (!this.generos.includes(origen) || !this.generos.includes(destino)) {
+            return { exito: false, mensaje: 'Género no encontrado' };
+        }
+
+        if (origen === destino) {
+            return { exito: false, mensaje: 'Elige un género distinto para fusionar' };
+        }
+
+        this.generos = this.generos.filter(g => g !== origen);
+        await this.guardar();
+        const modificadas = await this.peliculaManager.reemplazarGenero(origen, destino);
+
+        return {
+            exito: true,
+            mensaje: `"${origen}" fusionado con "${destino}" (${modificadas} película(s) actualizada(s))`
+        };
+    }
+
+    /**
+     * Elimina un género que no usa ninguna película
+     * @param {string} nombre
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async eliminar(nombre) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_GENEROS);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        if (!this.generos.includes(nombre)) {
+            return { exito: false, mensaje: 'Género no encontrado' };
+        }
+
+        const enUso = this.contarPeliculas(nombre);
+        if (enUso > 0) {
+            return {
+                exito: false,
+                mensaje: `"${nombre}" lo usan ${enUso} película(s). Fusiónalo con otro género para quitarlo.`
+            };
+        }
+
+        this.generos = this.generos.filter(g => g !== nombre);
+        await this.guardar();
+
+        return {
+            exito: true,
+            mensaje: `Género "${nombre}" eliminado`
+        };
+    }
+}
+
+// ============================================================================
+// CLASE: ListasUsuarioManager
+// Favoritas, pendientes y vistas de cada usuario, guardadas por ID de usuario
+// ============================================================================
+
+// Listas que puede filtrar cada usuario: campo del estado de la película y nombre visible
+const LISTAS_USUARIO = Object.freeze({
+    favoritas: { campo: 'favorita', nombre: 'Favoritas', icono: 'bi-heart' },
+    porVer: { campo: 'porVer', nombre: 'Por ver', icono: 'bi-bookmark' },
+    vistas: { campo: 'vista', nombre: 'Vistas', icono: 'bi-check-circle' }
+});
+
+class ListasUsuarioManager {
+    /**
+     * @param {Object} almacenamiento - Adaptador de almacenamiento
+     * @param {AuthManager} authManager - Da el usuario en sesión
+     * @param {PeliculaManager} peliculaManager - Filtra sus consultas con estas listas
+     */
+    constructor(almacenamiento, authManager, peliculaManager) {
+        this.STORAGE_KEY = 'cineflix_listas';
+        this.almacenamiento = almacenamiento;
+        this.authManager = authManager;
+        this.peliculaManager = peliculaManager;
+        // {usuarioId: {peliculaId: {favorita, porVer, vista}}}; vista es la fecha AAAA-MM-DD o null
+        this.listas = {};
+        this.peliculaManager.listasUsuario = this;
+        this.peliculaManager.datosRelacionados.push(this);
+    }
+
+    /**
+     * Carga las listas guardadas
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        await this.recargar();
+    }
+
+    /**
+     * Vuelve a leer las listas (p. ej. tras un cambio en otra pestaña)
+     * @returns {Promise<void>}
+     */
+    async recargar() {
+        try {
+            const data = await this.almacenamiento.leer(this.STORAGE_KEY);
+            const listas = data ? JSON.parse(data) : {};
+            this.listas = listas && typeof listas === 'object' && !Array.isArray(listas) ? listas : {};
+        } catch (error) {
+            console.error('Error al cargar las listas de usuario:', error);
+            this.listas = {};
+        }
+    }
+
+    /**
+     * Guarda las listas en el almacenamiento
+     * @returns {Promise<void>}
+     */
+    async guardar() {
+        try {
+            await this.almacenamiento.escribir(this.STORAGE_KEY, JSON.stringify(this.listas));
+        } catch (error) {
+            console.error('Error al guardar las listas de usuario:', error);
+            throw new Error('No se pudieron guardar tus listas');
+        }
+    }
+
+    /**
+     * @returns {string|null} ID del usuario en sesión
+     */
+    obtenerUsuarioId() {
+        const sesion = this.authManager.obtenerSesionActiva();
+        return sesion ? sesion.id : null;
+    }
+
+    /**
+     * Fecha local de hoy como AAAA-MM-DD
+     * @returns {string}
+     */
+    fechaHoy() {
+        const hoy = new Date();
+        const dos = n => String(n).padStart(2, '0');
+        return `${hoy.getFullYear()}-${dos(hoy.getMonth() + 1)}-${dos(hoy.getDate())}`;
+    }
+
+    /**
+     * Estado de una película para el usuario en sesión
+     * @param {string} peliculaId
+     * @returns {Object} {favorita: boolean, porVer: boolean, vista: string|null}
+     */
+    obtenerEstado(peliculaId) {
+        const propias = this.listas[this.obtenerUsuarioId()] || {};
+        const estado = propias[peliculaId] || {};
+
+        return {
+            favorita: Boolean(estado.favorita),
+            porVer: Boolean(estado.porVer),
+            vista: estado.vista || null
+        };
+    }
+
+    /**
+     * IDs de las películas de una lista del usuario en sesión
+     * @param {string} lista - Clave de LISTAS_USUARIO
+     * @returns {Set<string>}
+     */
+    obtenerIds(lista) {
+        if (!Object.hasOwn(LISTAS_USUARIO, lista)) {
+            return new Set();
+        }
+
+        const campo = LISTAS_USUARIO[lista].campo;
+        const propias = this.listas[this.obtenerUsuarioId()] || {};
+
+        return new Set(Object.keys(propias).filter(id => propias[id][campo]));
+    }
+
+    /**
+     * Cambia el estado de una película para el usuario en sesión
+     * @param {string} peliculaId
+     * @param {Object} cambios - Campos de obtenerEstado() a modificar
+     * @param {string} mensaje - Mensaje de éxito
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string, estado?: Object}
+     */
+    async actualizarEstado(peliculaId, cambios, mensaje) {
+        const usuarioId = this.obtenerUsuarioId();
+        if (!usuarioId) {
+            return { exito: false, mensaje: 'Inicia sesión para guardar tus listas' };
+        }
+
+        if (!this.peliculaManager.obtenerPorId(peliculaId)) {
+            return { exito: false, mensaje: 'Película no encontrada' };
+        }
+
+        const estado = { ...this.obtenerEstado(peliculaId), ...cambios };
+        const propias = { ...(this.listas[usuarioId] || {}) };
+
+        // No se guardan películas sin ninguna marca
+        if (estado.favorita || estado.porVer || estado.vista) {
+            propias[peliculaId] = estado;
+        } else {
+            delete propias[peliculaId];
+        }
+
+        this.listas = { ...this.listas, [usuarioId]: propias };
+        await this.guardar();
+
+        return { exito: true, mensaje, estado };
+    }
+
+    /**
+     * Agrega o quita una película de una lista. Marcarla como vista la quita de "Por ver".
+     * @param {string} peliculaId
+     * @param {string} lista - Clave de LISTAS_USUARIO
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string, estado?: Object}
+     */
+    async alternar(peliculaId, lista) {
+        const estado = this.obtenerEstado(peliculaId);
+
+        switch (lista) {
+            case 'favoritas':
+                return await this.actualizarEstado(peliculaId, { favorita: !estado.favorita },
+                    estado.favorita ? 'Quitada de favoritas' : 'Agregada a favoritas');
+            case 'porVer':
+                return await this.actualizarEstado(peliculaId, { porVer: !estado.porVer },
+                    estado.porVer ? 'Quitada de "Por ver"' : 'Agregada a "Por ver"');
+            case 'vistas':
+                return await this.marcarVista(peliculaId, estado.vista ? null : this.fechaHoy());
+            default:
+                return { exito: false, mensaje: 'Lista desconocida' };
+        }
+    }
+
+    /**
+     * Registra cuándo vio el usuario una película
+     * @param {string} peliculaId
+     * @param {string|null} fecha - AAAA-MM-DD, o null para desmarcarla
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string, estado?: Object}
+     */
+    async marcarVista(peliculaId, fecha) {
+        if (!fecha) {
+            return await this.actualizarEstado(peliculaId, { vista: null }, 'Marcada como no vista');
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(fecha) || isNaN(new Date(fecha).getTime())) {
+            return { exito: false, mensaje: 'Fecha no válida' };
+        }
+
+        if (fecha > this.fechaHoy()) {
+            return { exito: false, mensaje: 'La fecha en que la viste no puede ser futura' };
+        }
+
+        return await this.actualizarEstado(peliculaId, { vista: fecha, porVer: false }, 'Marcada como vista');
+    }
+
+    /**
+     * Pasa las marcas de una película fusionada a la que se conserva, en las listas de todos
+     * los usuarios. Si un usuario tenía las dos, se combinan.
+     * @param {string} origenId
+     * @param {string} destinoId
+     * @returns {Promise<void>}
+     */
+    async trasladarPelicula(origenId, destinoId) {
+        let cambios = false;
+        const listas = {};
+
+        Object.entries(this.listas).forEach(([usuarioId, propias]) => {
+            const origen = propias[origenId];
+            if (!origen) {
+                listas[usuarioId] = propias;
+                return;
+            }
+
+            const destino = propias[destinoId] || {};
+            const vista = destino.vista || origen.vista || null;
+            const combinadas = {
+                ...propias,
+                [destinoId]: {
+                    favorita: Boolean(destino.favorita || origen.favorita),
+                    porVer: Boolean(destino.porVer || origen.porVer) && !vista,
+                    vista
+                }
+            };
+            delete combinadas[origenId];
+            listas[usuarioId] = combinadas;
+            cambios = true;
+        });
+
+        if (cambios) {
+            this.listas = listas;
+            await this.guardar();
+        }
+    }
+
+    /**
+     * Marcas de todos los usuarios sobre unas películas, para poder devolverlas al deshacer
+     * @param {Array<string>} ids
+     * @returns {Object} {usuarioId: {peliculaId: {favorita, porVer, vista}}}
+     */
+    capturarPeliculas(ids) {
+        const captura = {};
+
+        Object.entries(this.listas).forEach(([usuarioId, propias]) => {
+            ids.filter(id => propias[id]).forEach(id => {
+                captura[usuarioId] = { ...captura[usuarioId], [id]: { ...propias[id] } };
+            });
+        });
+        return captura;
+    }
+
+    /**
+     * Devuelve a la captura las marcas de esas películas que cambiaron entre las dos capturas.
+     * Las que el usuario tocó después (ya no están como en desde) se dejan como están.
+     * @param {Array<string>} ids
+     * @param {Object} captura - Resultado de capturarPeliculas() al que se vuelve
+     * @param {Object} desde - Resultado de capturarPeliculas() que dejó la operación
+     * @returns {Promise<void>}
+     */
+    async restaurarPeliculas(ids, captura, desde) {
+        const marca = (fuente, usuarioId, id) => (fuente[usuarioId] && fuente[usuarioId][id]) || null;
+        const igual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const listas = { ...this.listas };
+
+        new Set([...Object.keys(captura), ...Object.keys(desde)]).forEach(usuarioId => {
+            const propias = { ...listas[usuarioId] };
+            ids.forEach(id => {
+                const guardada = marca(captura, usuarioId, id);
+                const dejada = marca(desde, usuarioId, id);
+                if (igual(guardada, dejada) || !igual(propias[id] || null, dejada)) {
+                    return;
+                }
+                if (guardada) {
+                    propias[id] = { ...guardada };
+                } else {
+                    delete propias[id];
+                }
+            });
+            listas[usuarioId] = propias;
+        });
+
+        this.listas = listas;
+        await this.guardar();
+    }
+}
+
+// ============================================================================
+// CLASE: ResenaManager
+// Puntuación (1-10) y reseña de cada usuario por película, con la media de la comunidad
+// ============================================================================
+class ResenaManager {
+    /**
+     * @param {Object} almacenamiento - Adaptador de almacenamiento
+     * @param {AuthManager} authManager - Da el usuario en sesión, único que puede tocar su reseña
+     * @param {PeliculaManager} peliculaManager - Para comprobar que la película existe
+     */
+    constructor(almacenamiento, authManager, peliculaManager) {
+        this.STORAGE_KEY = 'cineflix_resenas';
+        this.LONGITUD_MAXIMA = 2000;
+        this.almacenamiento = almacenamiento;
+        this.authManager = authManager;
+        this.peliculaManager = peliculaManager;
+        // {peliculaId: {usuarioId: {usuario, puntuacion, texto, fecha, fechaModificacion}}}
+        this.resenas = {};
+        this.peliculaManager.datosRelacionados.push(this);
+    }
+
+    /**
+     * Carga las reseñas guardadas
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        await this.recargar();
+    }
+
+    /**
+     * Vuelve a leer las reseñas (p. ej. tras un cambio en otra pestaña)
+     * @returns {Promise<void>}
+     */
+    async recargar() {
+        try {
+            const data = await this.almacenamiento.leer(this.STORAGE_KEY);
+            const resenas = data ? JSON.parse(data) : {};
+            this.resenas = resenas && typeof resenas === 'object' && !Array.isArray(resenas) ? resenas : {};
+        } catch (error) {
+            console.error('Error al cargar las reseñas:', error);
+            this.resenas = {};
+        }
+    }
+
+    /**
+     * Guarda las reseñas en el almacenamiento
+     * @returns {Promise<void>}
+     */
+    async guardar() {
+        try {
+            await this.almacenamiento.escribir(this.STORAGE_KEY, JSON.stringify(this.resenas));
+        } catch (error) {
+            console.error('Error al guardar las reseñas:', error);
+            throw new Error('No se pudieron guardar las reseñas');
+        }
+    }
+
+    /**
+     * Reseñas de una película, de la más reciente a la más antigua
+     * @param {string} peliculaId
+     * @returns {Array<Object>} {usuarioId, usuario, puntuacion, texto, fecha, fechaModificacion}
+     */
+    obtenerResenas(peliculaId) {
+        const resenas = this.resenas[peliculaId] || {};
+
+        return Object.entries(resenas)
+            .map(([usuarioId, resena]) => ({ usuarioId, ...resena }))
+            .sort((a, b) => new Date(b.fechaModificacion || b.fecha) - new Date(a.fechaModificacion || a.fecha));
+    }
+
+    /**
+     * Reseña del usuario en sesión
+     * @param {string} peliculaId
+     * @returns {Object|null}
+     */
+    obtenerPropia(peliculaId) {
+        const sesion = this.authManager.obtenerSesionActiva();
+        return sesion ? this.obtenerResenas(peliculaId).find(r => r.usuarioId === sesion.id) || null : null;
+    }
+
+    /**
+     * Media de las puntuaciones de la comunidad
+     * @param {string} peliculaId
+     * @returns {Object} {promedio: number|null, votos: number}; promedio con un decimal
+     */
+    obtenerResumen(peliculaId) {
+        const puntuaciones = Object.values(this.resenas[peliculaId] || {}).map(r => r.puntuacion);
+
+        if (puntuaciones.length === 0) {
+            return { promedio: null, votos: 0 };
+        }
+
+        const suma = puntuaciones.reduce((total, p) => total + p, 0);
+        return { promedio: Math.round(suma / puntuaciones.length * 10) / 10, votos: puntuaciones.length };
+    }
+
+    /**
+     * Crea o actualiza la reseña del usuario en sesión
+     * @param {string} peliculaId
+     * @param {number} puntuacion - Entero de 1 a 10
+     * @param {string} texto - Opcional
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async guardarResena(peliculaId, puntuacion, texto = '') {
+        const sesion = this.authManager.obtenerSesionActiva();
+        if (!sesion) {
+            return { exito: false, mensaje: 'Inicia sesión para dejar una reseña' };
+        }
+
+        if (!this.peliculaManager.obtenerPorId(peliculaId)) {
+            return { exito: false, mensaje: 'Película no encontrada' };
+        }
+
+        puntuacion = Number(puntuacion);
+        if (!Number.isInteger(puntuacion) || puntuacion < 1 || puntuacion > 10) {
+            return { exito: false, mensaje: 'La puntuación debe ser un número entero entre 1 y 10' };
+        }
+
+        texto = String(texto || '').trim();
+        if (texto.length > this.LONGITUD_MAXIMA) {
+            return { exito: false, mensaje: `La reseña no puede tener más de ${this.LONGITUD_MAXIMA} caracteres` };
+        }
+
+        const resenas = { ...(this.resenas[peliculaId] || {}) };
+        const anterior = resenas[sesion.id];
+        const ahora = new Date().toISOString();
+
+        resenas[sesion.id] = {
+            usuario: sesion.usuario,
+            puntuacion,
+            texto,
+            fecha: anterior ? anterior.fecha : ahora,
+            fechaModificacion: anterior ? ahora : null
+        };
+
+        this.resenas = { ...this.resenas, [peliculaId]: resenas };
+        await this.guardar();
+
+        return { exito: true, mensaje: anterior ? 'Reseña actualizada' : 'Reseña publicada' };
+    }
+
+    /**
+     * Elimina la reseña del usuario en sesión; las de otros usuarios no se pueden borrar
+     * @param {string} peliculaId
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async eliminarResena(peliculaId) {
+        const sesion = this.authManager.obtenerSesionActiva();
+        if (!sesion) {
+            return { exito: false, mensaje: 'Inicia sesión para gestionar tus reseñas' };
+        }
+
+        const resenas = { ...(this.resenas[peliculaId] || {}) };
+        if (!resenas[sesion.id]) {
+            return { exito: false, mensaje: 'No tienes una reseña en esta película' };
+        }
+
+        delete resenas[sesion.id];
+        const todas = { ...this.resenas, [peliculaId]: resenas };
+        if (Object.keys(resenas).length === 0) {
+            delete todas[peliculaId];
+        }
+
+        this.resenas = todas;
+        await this.guardar();
+
+        return { exito: true, mensaje: 'Reseña eliminada' };
+    }
+
+    /**
+     * Pasa las reseñas de una película fusionada a la que se conserva. Si un usuario
+     * reseñó las dos, se queda la reseña modificada más recientemente.
+     * @param {string} origenId
+     * @param {string} destinoId
+     * @returns {Promise<void>}
+     */
+    async trasladarPelicula(origenId, destinoId) {
+        const origen = this.resenas[origenId];
+        if (!origen) {
+            return;
+        }
+
+        const destino = { ...(this.resenas[destinoId] || {}) };
+        const fecha = resena => new Date(resena.fechaModificacion || resena.fecha);
+
+        Object.entries(origen).forEach(([usuarioId, resena]) => {
+            if (!destino[usuarioId] || fecha(resena) > fecha(destino[usuarioId])) {
+                destino[usuarioId] = resena;
+            }
+        });
+
+        const resenas = { ...this.resenas, [destinoId]: destino };
+        delete resenas[origenId];
+        this.resenas = resenas;
+        await this.guardar();
+    }
+
+    /**
+     * Reseñas de unas películas, para poder devolverlas al deshacer
+     * @param {Array<string>} ids
+     * @returns {Object} {peliculaId: {usuarioId: reseña}}
+     */
+    capturarPeliculas(ids) {
+        const captura = {};
+
+        ids.filter(id => this.resenas[id]).forEach(id => {
+            captura[id] = { ...this.resenas[id] };
+        });
+        return captura;
+    }
+
+    /**
+     * Devuelve a la captura las reseñas de esas películas que cambiaron entre las dos capturas.
+     * Las que su autor editó o borró después, y las reseñas nuevas, se dejan como están.
+     * @param {Array<string>} ids
+     * @param {Object} captura - Resultado de capturarPeliculas() al que se vuelve
+     * @param {Object} desde - Resultado de capturarPeliculas() que dejó la operación
+     * @returns {Promise<void>}
+     */
+    async restaurarPeliculas(ids, captura, desde) {
+        const resena = (fuente, id, usuarioId) => (fuente[id] && fuente[id][usuarioId]) || null;
+        const igual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const resenas = { ...this.resenas };
+
+        ids.forEach(id => {
+            const propias = { ...resenas[id] };
+            const usuarios = new Set([...Object.keys(captura[id] || {}), ...Object.keys(desde[id] || {})]);
+
+            usuarios.forEach(usuarioId => {
+                const guardada = resena(captura, id, usuarioId);
+                const dejada = resena(desde, id, usuarioId);
+                if (igual(guardada, dejada) || !igual(propias[usuarioId] || null, dejada)) {
+                    return;
+                }
+                if (guardada) {
+                    propias[usuarioId] = guardada;
+                } else {
+                    delete propias[usuarioId];
+                }
+            });
+
+            if (Object.keys(propias).length > 0) {
+                resenas[id] = propias;
+            } else {
+                delete resenas[id];
+            }
+        });
+
+        this.resenas = resenas;
+        await this.guardar();
+    }
+}
+
+// ============================================================================
+// CLASE: ColeccionManager
+// Colecciones temáticas con nombre, descripción y un orden propio de películas
+// ============================================================================
+class ColeccionManager {
+    /**
+     * @param {Object} almacenamiento - Adaptador de almacenamiento
+     * @param {AuthManager} authManager - Autor de los cambios
+     * @param {PeliculaManager} peliculaManager - Películas de las colecciones y validación de permisos
+     */
+    constructor(almacenamiento, authManager, peliculaManager) {
+        this.STORAGE_KEY = 'cineflix_colecciones';
+        this.LONGITUD_NOMBRE = 60;
+        this.LONGITUD_DESCRIPCION = 500;
+        this.almacenamiento = almacenamiento;
+        this.authManager = authManager;
+        this.peliculaManager = peliculaManager;
+        // [{id, nombre, descripcion, peliculas: [ids en orden], creadoPor, fechaCreacion, modificadoPor, fechaModificacion}]
+        this.colecciones = [];
+        this.peliculaManager.datosRelacionados.push(this);
+    }
+
+    /**
+     * Carga las colecciones guardadas
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        await this.recargar();
+    }
+
+    /**
+     * Vuelve a leer las colecciones (p. ej. tras un cambio en otra pestaña)
+     * @returns {Promise<void>}
+     */
+    async recargar() {
+        try {
+            const data = await this.almacenamiento.leer(this.STORAGE_KEY);
+            const colecciones = data ? JSON.parse(data) : [];
+            this.colecciones = Array.isArray(colecciones) ? colecciones : [];
+        } catch (error) {
+            console.error('Error al cargar las colecciones:', error);
+            this.colecciones = [];
+        }
+    }
+
+    /**
+     * Guarda las colecciones en el almacenamiento
+     * @returns {Promise<void>}
+     */
+    async guardar() {
+        try {
+            await this.almacenamiento.escribir(this.STORAGE_KEY, JSON.stringify(this.colecciones));
+        } catch (error) {
+            console.error('Error al guardar las colecciones:', error);
+            throw new Error('No se pudieron guardar las colecciones');
+        }
+    }
+
+    /**
+     * Todas las colecciones por orden alfabético
+     * @returns {Array<Object>}
+     */
+    obtenerTodas() {
+        return [...this.colecciones].sort((a, b) => a.nombre.localeCompare(b.nombre, 'es', { sensitivity: 'base' }));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    obtenerPorId(id) {
+        return this.colecciones.find(c => c.id === id) || null;
+    }
+
+    /**
+     * Películas de una colección en su orden; se omiten las que están en la papelera
+     * @param {string} id
+     * @returns {Array<Pelicula>}
+     */
+    obtenerPeliculas(id) {
+        const coleccion = this.obtenerPorId(id);
+        return coleccion
+            ? coleccion.peliculas.map(peliculaId => this.peliculaManager.obtenerPorId(peliculaId)).filter(Boolean)
+            : [];
+    }
+
+    /**
+     * Portada de la colección: la imagen de su primera película
+     * @param {string} id
+     * @returns {string|null}
+     */
+    obtenerPortada(id) {
+        const [primera] = this.obtenerPeliculas(id);
+        return primera ? primera.imagen : null;
+    }
+
+    /**
+     * Colecciones que incluyen una película
+     * @param {string} peliculaId
+     * @returns {Array<Object>}
+     */
+    obtenerDePelicula(peliculaId) {
+        return this.obtenerTodas().filter(c => c.peliculas.includes(peliculaId));
+    }
+
+    /**
+     * Valida nombre y descripción
+     * @param {string} nombre - Ya sin espacios sobrantes
+     * @param {string} descripcion
+     * @param {string|null} idActual - Colección que se está editando
+     * @returns {string|null} Mensaje de error o null si son válidos
+     */
+    validarDatos(nombre, descripcion, idActual = null) {
+        if (nombre.length < 2 || nombre.length > this.LONGITUD_NOMBRE) {
+            return `El nombre debe tener entre 2 y ${this.LONGITUD_NOMBRE} caracteres`;
+        }
+
+        if (descripcion.length > this.LONGITUD_DESCRIPCION) {
+            return `La descripción no puede tener más de ${this.LONGITUD_DESCRIPCION} caracteres`;
+        }
+
+        const clave = BuscadorAvanzado.normalizar(nombre);
+        const repetida = this.colecciones.find(c => c.id !== idActual && BuscadorAvanzado.normalizar(c.nombre) === clave);
+        return repetida ? `Ya existe la colección "${repetida.nombre}"` : null;
+    }
+
+    /**
+     * Reemplaza una colección por una versión modificada y guarda
+     * @param {Object} coleccion - Versión nueva (mismo id)
+     * @returns {Promise<void>}
+     */
+    async reemplazar(coleccion) {
+        const sesion = this.authManager.obtenerSesionActiva();
+        const modificada = {
+            ...coleccion,
+            modificadoPor: sesion ? sesion.usuario : null,
+            fechaModificacion: new Date().toISOString()
+        };
+
+        this.colecciones = this.colecciones.map(c => c.id === coleccion.id ? modificada : c);
+        await this.guardar();
+    }
+
+    /**
+     * Crea una colección vacía
+     * @param {Object} datos - {nombre, descripcion}
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string, coleccion?: Object}
+     */
+    async crear({ nombre, descripcion = '' }) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_COLECCIONES);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        nombre = String(nombre || '').trim().replace(/\s+/g, ' ');
+        descripcion = String(descripcion || '').trim();
+        const error = this.validarDatos(nombre, descripcion);
+        if (error) {
+            return { exito: false, mensaje: error };
+        }
+
+        const sesion = this.authManager.obtenerSesionActiva();
+        const coleccion = {
+            id: `col_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            nombre,
+            descripcion,
+            peliculas: [],
+            creadoPor: sesion ? sesion.usuario : null,
+            fechaCreacion: new Date().toISOString(),
+            modificadoPor: null,
+            fechaModificacion: null
+        };
+
+        this.colecciones = [...this.colecciones, coleccion];
+        await this.guardar();
+
+        return { exito: true, mensaje: `Colección "${nombre}" creada`, coleccion };
+    }
+
+    /**
+     * Cambia el nombre y la descripción de una colección
+     * @param {string} id
+     * @param {Object} datos - {nombre, descripcion}
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async actualizar(id, { nombre, descripcion = '' }) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_COLECCIONES);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const coleccion = this.obtenerPorId(id);
+        if (!coleccion) {
+            return { exito: false, mensaje: 'Colección no encontrada' };
+        }
+
+        nombre = String(nombre || '').trim().replace(/\s+/g, ' ');
+        descripcion = String(descripcion || '').trim();
+        const error = this.validarDatos(nombre, descripcion, id);
+        if (error) {
+            return { exito: false, mensaje: error };
+        }
+
+        await this.reemplazar({ ...coleccion, nombre, descripcion });
+        return { exito: true, mensaje: `Colección "${nombre}" actualizada` };
+    }
+
+    /**
+     * Elimina una colección (las películas no se tocan)
+     * @param {string} id
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async eliminar(id) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_COLECCIONES);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const coleccion = this.obtenerPorId(id);
+        if (!coleccion) {
+            return { exito: false, mensaje: 'Colección no encontrada' };
+        }
+
+        this.colecciones = this.colecciones.filter(c => c.id !== id);
+        await this.guardar();
+
+        return { exito: true, mensaje: `Colección "${coleccion.nombre}" eliminada` };
+    }
+
+    /**
+     * Agrega una película al final de una colección
+     * @param {string} id
+     * @param {string} peliculaId
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async agregarPelicula(id, peliculaId) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_COLECCIONES);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const coleccion = this.obtenerPorId(id);
+        const pelicula = this.peliculaManager.obtenerPorId(peliculaId);
+        if (!coleccion || !pelicula) {
+            return { exito: false, mensaje: coleccion ? 'Película no encontrada' : 'Colección no encontrada' };
+        }
+
+        if (coleccion.peliculas.includes(peliculaId)) {
+            return { exito: false, mensaje: `"${pelicula.titulo}" ya está en "${coleccion.nombre}"` };
+        }
+
+        await this.reemplazar({ ...coleccion, peliculas: [...coleccion.peliculas, peliculaId] });
+        return { exito: true, mensaje: `"${pelicula.titulo}" agregada a "${coleccion.nombre}"` };
+    }
+
+    /**
+     * Quita una película de una colección
+     * @param {string} id
+     * @param {string} peliculaId
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async quitarPelicula(id, peliculaId) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_COLECCIONES);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const coleccion = this.obtenerPorId(id);
+        if (!coleccion || !coleccion.peliculas.includes(peliculaId)) {
+            return { exito: false, mensaje: 'La película no está en la colección' };
+        }
+
+        await this.reemplazar({ ...coleccion, peliculas: coleccion.peliculas.filter(p => p !== peliculaId) });
+        return { exito: true, mensaje: `Película quitada de "${coleccion.nombre}"` };
+    }
+
+    /**
+     * Cambia el orden de las películas de una colección
+     * @param {string} id
+     * @param {Array<string>} peliculaIds - IDs en el nuevo orden; las que están en la
+     * papelera y no aparecen conservan su posición relativa al final
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async reordenar(id, peliculaIds) {
+        const sinPermiso = this.peliculaManager.verificarPermiso(PERMISOS.GESTIONAR_COLECCIONES);
+        if (sinPermiso) {
+            return sinPermiso;
+        }
+
+        const coleccion = this.obtenerPorId(id);
+        if (!coleccion) {
+            return { exito: false, mensaje: 'Colección no encontrada' };
+        }
+
+        const ordenadas = [...new Set(peliculaIds)];
+        if (ordenadas.some(p => !coleccion.peliculas.includes(p))) {
+            return { exito: false, mensaje: 'El nuevo orden incluye películas que no están en la colección' };
+        }
+
+        const resto = coleccion.peliculas.filter(p => !ordenadas.includes(p));
+        await this.reemplazar({ ...coleccion, peliculas: [...ordenadas, ...resto] });
+        return { exito: true, mensaje: 'Orden actualizado' };
+    }
+
+    /**
+     * Sustituye en todas las colecciones una película fusionada por la que se conserva,
+     * en la misma posición (o la quita si la colección ya tenía la conservada)
+     * @param {string} origenId
+     * @param {string} destinoId
+     * @returns {Promise<void>}
+     */
+    async trasladarPelicula(origenId, destinoId) {
+        if (!this.colecciones.some(c => c.peliculas.includes(origenId))) {
+            return;
+        }
+
+        this.colecciones = this.colecciones.map(coleccion => {
+            if (!coleccion.peliculas.includes(origenId)) {
+                return coleccion;
+            }
+            const peliculas = coleccion.peliculas.includes(destinoId)
+                ? coleccion.peliculas.filter(p => p !== origenId)
+                : coleccion.peliculas.map(p => (p === origenId ? destinoId : p));
+            return { ...coleccion, peliculas };
+        });
+        await this.guardar();
+    }
+
+    /**
+     * Orden de las colecciones que tienen alguna de esas películas, para poder devolverlo al deshacer
+     * @param {Array<string>} ids
+     * @returns {Object} {coleccionId: Array<string>}
+     */
+    capturarPeliculas(ids) {
+        const captura = {};
+
+        this.colecciones
+            .filter(c => c.peliculas.some(p => ids.includes(p)))
+            .forEach(c => {
+                captura[c.id] = [...c.peliculas];
+            });
+        return captura;
+    }
+
+    /**
+     * Devuelve esas películas a las posiciones de la captura en las colecciones que cambiaron
+     * entre las dos capturas. Las demás películas agregadas o quitadas desde entonces se respetan.
+     * @param {Array<string>} ids
+     * @param {Object} captura - Resultado de capturarPeliculas() al que se vuelve
+     * @param {Object} desde - Resultado de capturarPeliculas() que dejó la operación
+     * @returns {Promise<void>}
+     */
+    async restaurarPeliculas(ids, captura, desde) {
+        this.colecciones = this.colecciones.map(coleccion => {
+            const guardadas = captura[coleccion.id];
+            if (!guardadas || JSON.stringify(guardadas) === JSON.stringify(desde[coleccion.id])) {
+                return coleccion;
+            }
+
+            const actuales = coleccion.peliculas;
+            const peliculas = [
+                ...guardadas.filter(p => ids.includes(p) || actuales.includes(p)),
+                ...actuales.filter(p => !guardadas.includes(p) && !ids.includes(p))
+            ];
+            return { ...coleccion, peliculas };
+        });
+        await this.guardar();
+    }
+}
+
+// ============================================================================
+// CLASE: SincronizadorRemoto
+// Sincroniza el catálogo con un servicio REST y guarda en una cola
+// los cambios hechos sin conexión
+// ============================================================================
+const CONFIG_SINCRONIZACION = Object.freeze({
+    // URL base del servicio ('' = sin sincronización). Se puede cambiar con ?api=
+    endpoint: '',
+    STORAGE_ENDPOINT_KEY: 'cineflix_sync_endpoint',
+    STORAGE_COLA_KEY: 'cineflix_sync_cola',
+    STORAGE_ULTIMA_KEY: 'cineflix_sync_ultima',
+    // Cada cuánto se descargan los cambios de otros clientes
+    intervalo: 30 * 1000
+});
+
+class SincronizadorRemoto {
+    /**
+     * El servicio expone GET /peliculas, GET|PUT|DELETE /peliculas/:id
+     * @param {string} endpoint - URL base del servicio
+     * @param {Object} almacenamiento - Adaptador donde se guarda la cola
+     * @param {PeliculaManager} peliculaManager
+     */
+    constructor(endpoint, almacenamiento, peliculaManager) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.almacenamiento = almacenamiento;
+        this.peliculaManager = peliculaManager;
+        // [{peliculaId, datos, fecha}]; datos null = borrada definitivamente
+        this.cola = [];
+        this.ultimaSincronizacion = null;
+        this.estado = 'pendiente';
+        this.enCurso = null;
+        this.temporizador = null;
+        // Callbacks que asigna la interfaz
+        this.alCambiarEstado = null;
+        this.alRecibirCambios = null;
+    }
+
+    /**
+     * Carga la cola, escucha la conexión y hace una primera sincronización
+     * @returns {Promise<void>}
+     */
+    async inicializar() {
+        await this.recargarCola();
+        this.ultimaSincronizacion = await this.almacenamiento.leer(CONFIG_SINCRONIZACION.STORAGE_ULTIMA_KEY);
+        this.peliculaManager.sincronizador = this;
+
+        window.addEventListener('online', () => this.sincronizar());
+        window.addEventListener('offline', () => this.cambiarEstado('sin-conexion'));
+        this.temporizador = setInterval(() => this.sincronizar(), CONFIG_SINCRONIZACION.intervalo);
+
+        await this.sincronizar();
+    }
+
+    /**
+     * Marca de tiempo con la que se resuelven los conflictos
+     * @param {Object} datos - Película en formato toJSON()
+     * @returns {number}
+     */
+    static marcaTiempo(datos) {
+        return Date.parse(datos.fechaModificacion || datos.fechaCreacion) || 0;
+    }
+
+    /**
+     * Comprueba una película recibida del servidor como las importadas, salvo los
+     * géneros: pueden ser de otro cliente que aún no están en este catálogo
+     * @param {*} remota
+     * @returns {boolean}
+     */
+    static esValida(remota) {
+        return Boolean(remota) && typeof remota === 'object' && !Array.isArray(remota) &&
+            Pelicula.fromJSON(remota).validar().valido;
+    }
+
+    /**
+     * @param {string} estado - 'pendiente', 'sincronizando', 'sincronizado', 'sin-conexion' o 'error'
+     */
+    cambiarEstado(estado) {
+        this.estado = estado;
+        if (this.alCambiarEstado) {
+            this.alCambiarEstado(estado, this.cola.length);
+        }
+    }
+
+    /**
+     * Vuelve a leer la cola guardada. Todas las pestañas comparten la misma cola,
+     * así que se relee antes de cambiarla o de subirla. Si falla la lectura se
+     * conserva la que había en memoria.
+     * @returns {Promise<void>}
+     */
+    async recargarCola() {
+        try {
+            const cola = await this.almacenamiento.leer(CONFIG_SINCRONIZACION.STORAGE_COLA_KEY);
+            this.cola = cola ? JSON.parse(cola) : [];
+        } catch (error) {
+            console.error('Error al cargar la cola de sincronización:', error);
+        }
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async guardarCola() {
+        try {
+            await this.almacenamiento.escribir(CONFIG_SINCRONIZACION.STORAGE_COLA_KEY, JSON.stringify(this.cola));
+        } catch (error) {
+            console.error('Error al guardar la cola de sincronización:', error);
+            throw new Error('No se pudo guardar la cola de sincronización');
+        }
+    }
+
+    /**
+     * Deja un cambio local pendiente de subir. Solo se conserva el último por película.
+     * @param {string} peliculaId
+     * @param {Object|null} datos - Película en formato toJSON() o null si se purgó
+     * @returns {Promise<void>}
+     */
+    async encolar(peliculaId, datos) {
+        await this.recargarCola();
+        this.cola = this.cola.filter(c => c.peliculaId !== peliculaId);
+        this.cola.push({ peliculaId, datos, fecha: new Date().toISOString() });
+        await this.guardarCola();
+        this.cambiarEstado('pendiente');
+
+        // Sin esperar: la operación local ya terminó
+        this.sincronizar();
+    }
+
+    /**
+     * Sube la cola y descarga los cambios remotos. Si ya hay una sincronización
+     * en curso, devuelve la misma promesa.
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    sincronizar() {
+        if (!this.enCurso) {
+            this.enCurso = this.ejecutarSincronizacion().finally(() => {
+                this.enCurso = null;
+                // Cambios encolados cuando la subida ya había terminado
+                if (this.estado === 'pendiente') {
+                    this.sincronizar();
+                }
+            });
+        }
+        return this.enCurso;
+    }
+
+    /**
+     * @returns {Promise<Object>} {exito: boolean, mensaje: string}
+     */
+    async ejecutarSincronizacion() {
+        if (!navigator.onLine) {
+            this.cambiarEstado('sin-conexion');
+            return { exito: false, mensaje: 'Sin conexión: los cambios se enviarán al reconectar' };
+        }
+
+        this.cambiarEstado('sincronizando');
+
+        try {
+            const conflictos = await this.subirCola();
+            const { rechazadas, retiradas } = await this.descargar();
+
+            this.ultimaSincronizacion = new Date().toISOString();
+            await this.almacenamiento.escribir(CONFIG_SINCRONIZACION.STORAGE_ULTIMA_KEY, this.ultimaSincronizacion);
+
+            // Puede haber llegado un cambio mientras se sincronizaba
+            this.cambiarEstado(this.cola.length > 0 ? 'pendiente' : 'sincronizado');
+            const detalles = [
+                conflictos > 0 ? `${conflictos} conflicto(s) resuelto(s) con la versión más reciente del servidor` : '',
+                retiradas > 0 ? `${retiradas} película(s) que ya no están en el servidor se enviaron a la papelera` : '',
+                rechazadas > 0 ? `${rechazadas} película(s) del servidor con datos no válidos se ignoraron` : ''
+            ].filter(Boolean);
+            return {
+                exito: true,
+                mensaje: detalles.length > 0 ? `Sincronizado. ${detalles.join('. ')}` : 'Catálogo sincronizado'
+            };
+        } catch (error) {
+            console.error('Error al sincronizar:', error);
+            // fetch rechaza con TypeError cuando no hay red o el servidor no responde
+            this.cambiarEstado(error instanceof TypeError ? 'sin-conexion' : 'error');
+            return { exito: false, mensaje: `No se pudo sincronizar: ${error.message}` };
+        }
+    }
+
+    /**
+     * Envía una petición al servicio
+     * @param {string} metodo
+     * @param {string} ruta
+     * @param {Object} cuerpo
+     * @returns {Promise<Object|null>} JSON de la respuesta, o null si es 404
+     */
+    async peticion(metodo, ruta, cuerpo = undefined) {
+        const respuesta = await fetch(this.endpoint + ruta, {
+            method: metodo,
+            headers: cuerpo === undefined ? {} : { 'Content-Type': 'application/json' },
+            body: cuerpo === undefined ? undefined : JSON.stringify(cuerpo)
+        });
+
+        if (respuesta.status === 404) {
+            return null;
+        }
+        if (!respuesta.ok) {
+            throw new Error(`El servidor respondió ${respuesta.status}`);
+        }
+        return respuesta.status === 204 ? null : respuesta.json();
+    }
+
+    /**
+     * Sube los cambios pendientes en orden. Si el servidor tiene una versión
+     * modificada después, gana la del servidor.
+     * @returns {Promise<number>} Cantidad de conflictos resueltos a favor del servidor
+     */
+    async subirCola() {
+        let conflictos = 0;
+
+        await this.recargarCola();
+        while (this.cola.length > 0) {
+            const cambio = this.cola[0];
+            const ruta = `/peliculas/${encodeURIComponent(cambio.peliculaId)}`;
+            const respuesta = await this.peticion('GET', ruta);
+            // Una versión remota no válida no gana el conflicto: la local la reemplaza
+            const remota = SincronizadorRemoto.esValida(respuesta) && respuesta.id === cambio.peliculaId ? respuesta : null;
+
+            if (remota && cambio.datos &&
+                SincronizadorRemoto.marcaTiempo(remota) > SincronizadorRemoto.marcaTiempo(cambio.datos)) {
+                await this.peliculaManager.aplicarRemotas([{ peliculaId: cambio.peliculaId, estado: remota }]);
+                conflictos++;
+            } else if (cambio.datos) {
+                await this.peticion('PUT', ruta, cambio.datos);
+            } else if (respuesta) {
+                await this.peticion('DELETE', ruta);
+            }
+
+            // Otro encolar(), de esta pestaña o de otra, pudo reemplazar la entrada mientras se esperaba al servidor
+            await this.recargarCola();
+            this.cola = this.cola.filter(c => c.peliculaId !== cambio.peliculaId || c.fecha !== cambio.fecha);
+            await this.guardarCola();
+        }
+
+        if (conflictos > 0 && this.alRecibirCambios) {
+            this.alRecibirCambios();
+        }
+        return conflictos;
+    }
+
+    /**
+     * Trae el catálogo remoto y aplica lo que sea más nuevo que la copia local.
+     * Las películas con datos no válidos se ignoran. En la primera sincronización
+     * sube las películas locales que el servidor no tiene; después, las que faltan
+     * se purgaron en otro cliente y van a la papelera, de donde se pueden recuperar.
+     * @returns {Promise<Object>} {rechazadas: number, retiradas: number}
+     */
+    async descargar() {
+        const remotas = await this.peticion('GET', '/peliculas');
+        if (!Array.isArray(remotas)) {
+            throw new Error('El servidor no devolvió la lista de películas');
+        }
+
+        // Las películas que otra pestaña tiene pendientes de subir tampoco se tocan
+        await this.recargarCola();
+        const pendientes = new Set(this.cola.map(c => c.peliculaId));
+        const validas = remotas.filter(remota => SincronizadorRemoto.esValida(remota));
+        // Una película no válida sigue estando en el servidor: no cuenta como purgada
+        const idsRemotos = new Set(remotas.filter(r => r && typeof r === 'object').map(r => r.id));
+        const cambios = [];
+
+        if (validas.length < remotas.length) {
+            console.warn(`Se ignoraron ${remotas.length - validas.length} película(s) del servidor con datos no válidos`);
+        }
+
+        validas.forEach(remota => {
+            const local = this.peliculaManager.obtenerPorId(remota.id, true);
+            if (pendientes.has(remota.id)) {
+                return;
+            }
+            if (!local || SincronizadorRemoto.marcaTiempo(remota) > SincronizadorRemoto.marcaTiempo(local)) {
+                cambios.push({ peliculaId: remota.id, estado: remota });
+            }
+        });
+
+        const soloLocales = this.peliculaManager.peliculas.filter(p => !idsRemotos.has(p.id) && !pendientes.has(p.id));
+        let retiradas = 0;
+
+        await this.peliculaManager.aplicarRemotas(cambios);
+
+        if (this.ultimaSincronizacion) {
+            retiradas = await this.peliculaManager.retirarAusentesRemotas(soloLocales.map(p => p.id));
+        } else {
+            for (const pelicula of soloLocales) {
+                await this.peticion('PUT', `/peliculas/${encodeURIComponent(pelicula.id)}`, pelicula.toJSON());
+            }
+        }
+
+        if ((cambios.length > 0 || retiradas > 0) && this.alRecibirCambios) {
+            this.alRecibirCambios();
+        }
+        return { rechazadas: remotas.length - validas.length, retiradas };
+    }
+}
+
+/**
+ * Crea el sincronizador si hay un servicio configurado (?api=URL lo guarda, ?api= lo quita).
+ * Un servicio nuevo solo se usa si el usuario lo confirma: el catálogo se enviará allí.
+ * @param {Object} almacenamiento
+ * @param {PeliculaManager} peliculaManager
+ * @returns {SincronizadorRemoto|null}
+ */
+function crearSincronizador(almacenamiento, peliculaManager) {
+    const parametro = new URLSearchParams(window.location.search).get('api');
+    const guardado = localStorage.getItem(CONFIG_SINCRONIZACION.STORAGE_ENDPOINT_KEY);
+
+    if (parametro === '') {
+        localStorage.removeItem(CONFIG_SINCRONIZACION.STORAGE_ENDPOINT_KEY);
+    } else if (parametro !== null && parametro !== guardado) {
+        let valido = false;
+        try {
+            valido = ['http:', 'https:'].includes(new URL(parametro).protocol);
+        } catch {
+            valido = false;
+        }
+
+        if (!valido) {
+            console.warn(`Servicio de sincronización no válido: "${parametro}"`);
+        } else if (confirm(`¿Sincronizar el catálogo con ${parametro}?\n\nLas películas de este navegador se enviarán a ese servidor y se aplicarán sus cambios.`)) {
+            localStorage.setItem(CONFIG_SINCRONIZACION.STORAGE_ENDPOINT_KEY, parametro);
+        }
+    }
+
+    const endpoint = localStorage.getItem(CONFIG_SINCRONIZACION.STORAGE_ENDPOINT_KEY) || CONFIG_SINCRONIZACION.endpoint;
+
+    return endpoint ? new SincronizadorRemoto(endpoint, almacenamiento, peliculaManager) : null;
+}
+
+// ============================================================================
+// CLASE: CampoEtiquetas
+// Entrada de varios valores: cada uno se muestra como chip que se puede quitar.
+// Enter o coma confirman lo escrito; Retroceso con el campo vacío quita el último.
+// ============================================================================
+class CampoEtiquetas {
+    /**
+     * @param {HTMLElement} contenedor - Elemento con un <input> dentro; los chips se insertan antes de él
+     * @param {Object} opciones
+     * @param {Function} opciones.sugerencias - Devuelve los valores que se proponen al escribir
+     * @param {Function|null} opciones.resolver - Convierte lo escrito en el valor a agregar, o null si no se admite
+     * @param {Function|null} opciones.alCambiar - Se llama después de que el usuario agregue o quite un valor
+     */
+    constructor(contenedor, { sugerencias = () => [], resolver = null, alCambiar = null } = {}) {
+        this.contenedor = contenedor;
+        this.input = contenedor.querySelector('input');
+        this.sugerencias = sugerencias;
+        this.resolver = resolver;
+        this.alCambiar = alCambiar;
+        this.valores = [];
+
+        this.lista = document.createElement('datalist');
+        this.lista.id = `${this.input.id}Sugerencias`;
+        this.input.setAttribute('list', this.lista.id);
+        contenedor.appendChild(this.lista);
+
+        this.configurarEventos();
+    }
+
+    /**
+     * Configura el teclado, el datalist y los botones de quitar
+     */
+    configurarEventos() {
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.confirmarTexto();
+            } else if (e.key === 'Backspace' && !this.input.value && this.valores.length > 0) {
+                this.quitar(this.valores[this.valores.length - 1]);
+            }
+        });
+        this.input.addEventListener('input', () => this.input.classList.remove('is-invalid'));
+        // Elegir una sugerencia o salir del campo también confirma lo escrito
+        this.input.addEventListener('change', () => this.confirmarTexto());
+        this.input.addEventListener('focus', () => this.actualizarSugerencias());
+
+        this.contenedor.addEventListener('click', (e) => {
+            const boton = e.target.closest('[data-quitar]');
+            if (boton) {
+                this.quitar(boton.dataset.quitar);
+            } else {
+                this.input.focus();
+            }
+        });
+    }
+
+    /**
+     * Agrega el texto escrito en el campo
+     * @returns {boolean} false si el texto no se admitió (el campo queda marcado)
+     */
+    confirmarTexto() {
+        const texto = this.input.value.trim();
+        if (!texto) {
+            return true;
+        }
+
+        const valor = this.resolver ? this.resolver(texto) : texto;
+        if (!valor) {
+            this.input.classList.add('is-invalid');
+            return false;
+        }
+
+        this.input.value = '';
+        this.agregar(valor);
+        return true;
+    }
+
+    /**
+     * @param {string} valor
+     */
+    agregar(valor) {
+        const valores = Pelicula.normalizarLista([...this.valores, valor]);
+
+        if (valores.length !== this.valores.length) {
+            this.valores = valores;
+            this.renderizar();
+            this.notificar();
+        }
+    }
+
+    /**
+     * @param {string} valor
+     */
+    quitar(valor) {
+        this.valores = this.valores.filter(v => v !== valor);
+        this.renderizar();
+        this.notificar();
+        this.input.focus();
+    }
+
+    /**
+     * Valores actuales, incluido lo que quedó escrito sin confirmar
+     * @returns {Array<string>}
+     */
+    obtenerValores() {
+        this.confirmarTexto();
+        return [...this.valores];
+    }
+
+    /**
+     * Reemplaza los valores sin avisar del cambio
+     * @param {Array<string>} valores
+     */
+    establecer(valores) {
+        this.valores = Pelicula.normalizarLista(valores);
+        this.input.value = '';
+        this.input.classList.remove('is-invalid');
+        this.renderizar();
+    }
+
+    /**
+     * Refresca las sugerencias y avisa del cambio
+     */
+    notificar() {
+        this.actualizarSugerencias();
+        if (this.alCambiar) {
+            this.alCambiar([...this.valores]);
+        }
+    }
+
+    /**
+     * Pinta un chip por valor delante del campo de texto
+     */
+    renderizar() {
+        this.contenedor.querySelectorAll('.chip-etiqueta').forEach(chip => chip.remove());
+
+        this.valores.forEach(valor => {
+            const chip = document.createElement('span');
+            chip.className = 'badge rounded-pill text-bg-secondary chip-etiqueta';
+            chip.textContent = valor;
+
+            const boton = document.createElement('button');
+            boton.type = 'button';
+            boton.className = 'btn-close btn-close-white ms-1';
+            boton.dataset.quitar = valor;
+            boton.setAttribute('aria-label', `Quitar ${valor}`);
+
+            chip.appendChild(boton);
+            this.contenedor.insertBefore(chip, this.input);
+        });
+    }
+
+    /**
+     * Propone en el datalist los valores que aún no están elegidos
+     */
+    actualizarSugerencias() {
+        this.lista.innerHTML = '';
+        this.sugerencias()
+            .filter(s => !this.valores.includes(s))
+            .forEach(s => {
+                const opcion = document.createElement('option');
+                opcion.value = s;
+                this.lista.appendChild(opcion);
+            });
+    }
+}
+
+// ============================================================================
+// CLASE: UIManager
+// Gestiona la interfaz de usuario y eventos
+// ============================================================================
+class UIManager {
+    /**
+     * @param {Object} managers - {authManager, peliculaManager, generoManager, listasUsuario, resenaManager, coleccionManager}
+     * @param {CanalPestanas|null} canal - Para enterarse de los cambios hechos en otras pestañas
+     */
+    constructor({ authManager, peliculaManager, generoManager, listasUsuario, resenaManager, coleccionManager }, canal = null) {
+        this.authManager = authManager;
+        this.peliculaManager = peliculaManager;
+        this.generoManager = generoManager;
+        this.listasUsuario = listasUsuario;
+        this.resenaManager = resenaManager;
+        this.coleccionManager = coleccionManager;
+        this.canal = canal;
+        this.STORAGE_ORDEN_KEY = 'cineflix_orden';
+        // 'recientes' o el ID de la colección que muestra el slider
+        this.STORAGE_SLIDER_KEY = 'cineflix_slider';
+        this.TAMANO_PAGINA = 24;
+        // Milisegundos sin teclear antes de aplicar la búsqueda
+        this.ESPERA_BUSQUEDA = 250;
+        this.peliculaEditando = null;
+        // Película tal como estaba al abrir el modal de edición
+        this.versionEditando = null;
+        this.recargaPendiente = { catalogo: false, usuarios: false, generos: false, listas: false, resenas: false, colecciones: false };
+        this.temporizadorRecarga = null;
+        this.peliculaEnDetalle = null;
+        // Colección cuya página se muestra en lugar del catálogo, y la que se edita en el modal
+        this.coleccionAbierta = null;
+        this.coleccionEditando = null;
+        // Elemento de la lista de la colección que se está arrastrando
+        this.itemArrastrado = null;
+        // Pares de posibles duplicados y el que se está comparando: [conservada, descartada]
+        this.paresDuplicados = [];
+        this.parDuplicado = null;
+        // Mes de alta ('AAAA-MM') elegido en el panel de estadísticas; no tiene control propio
+        this.mesAlta = null;
+        // Tramo de calificación (1-9) elegido en el panel de estadísticas; tampoco tiene control
+        this.tramoCalificacion = null;
+        // Última EstadisticasCatalogo.calcular() pintada, para resolver los clics en las barras
+        this.estadisticas = null;
+        this.filasCSV = [];
+        // Términos de la búsqueda actual por campo, para resaltarlos en las tarjetas
+        this.resaltado = null;
+        // Resultado filtrado completo y cuántas tarjetas se muestran de él
+        this.resultados = [];
+        this.visibles = 0;
+        this.ultimaConsulta = null;
+        // Tarjetas ya construidas por ID de película: {elemento, firma}
+        this.tarjetas = new Map();
+        this.temporizadorBusqueda = null;
+        this.observadorPaginacion = null;
+        this.temporizadorInactividad = null;
+        this.ultimaActividad = Date.now();
+        this.ultimaActividadGuardada = 0;
+        this.temporizadorCarga = null;
+        this.inicializar();
+    }
+
+    /**
+     * Inicializa la aplicación
+     */
+    inicializar() {
+        this.cachearElementos();
+        this.renderizarGeneros();
+        this.renderizarClasificacionesEdad();
+        this.configurarEventos();
+        this.restaurarOrden();
+        this.leerEstadoURL();
+        this.ocultarCarga();
+        this.verificarAutenticacion();
+    }
+
+    /**
+     * Selecciona el orden elegido en la visita anterior
+     */
+    restaurarOrden() {
+        const orden = localStorage.getItem(this.STORAGE_ORDEN_KEY);
+
+        if (orden && [...this.selectOrden.options].some(o => o.value === orden)) {
+            this.selectOrden.value = orden;
+        }
+    }
+
+    /**
+     * Muestra el indicador de carga. Se retrasa un poco para que las operaciones
+     * rápidas (localStorage) no provoquen un parpadeo.
+     * @param {string} texto
+     * @param {number} retraso - Milisegundos antes de mostrarlo
+     */
+    mostrarCarga(texto = 'Guardando...', retraso = 200) {
+        clearTimeout(this.temporizadorCarga);
+        this.temporizadorCarga = setTimeout(() => {
+            this.cargandoTexto.textContent = texto;
+            this.cargandoOverlay.classList.remove('d-none');
+            this.cargandoOverlay.classList.add('d-flex');
+        }, retraso);
+    }
+
+    /**
+     * Oculta el indicador de carga
+     */
+    ocultarCarga() {
+        clearTimeout(this.temporizadorCarga);
+        this.cargandoOverlay.classList.remove('d-flex');
+        this.cargandoOverlay.classList.add('d-none');
+    }
+
+    /**
+     * Ejecuta una operación asíncrona del almacenamiento mostrando el indicador de carga
+     * @param {Function} operacion - Función que devuelve una promesa
+     * @param {string} texto - Texto del indicador
+     * @returns {Promise<*>} Resultado de la operación, o null si falló
+     */
+    async ejecutarConCarga(operacion, texto = 'Guardando...') {
+        this.mostrarCarga(texto);
+
+        try {
+            return await operacion();
+        } catch (error) {
+            console.error('Error en el almacenamiento:', error);
+            this.mostrarMensaje(error.message || 'No se pudo completar la operación', 'danger');
+            return null;
+        } finally {
+            this.ocultarCarga();
+        }
+    }
+
+    /**
+     * Cachea referencias a elementos del DOM
+     */
+    cachearElementos() {
+        this.avisoEdicion = document.getElementById('avisoEdicion');
+        this.btnSincronizacion = document.getElementById('btnSincronizacion');
+        this.cargandoOverlay = document.getElementById('cargandoOverlay');
+        this.cargandoTexto = document.getElementById('cargandoTexto');
+        // Secciones
+        this.loginSection = document.getElementById('loginSection');
+        this.mainContent = document.getElementById('mainContent');
+
+        // Botones de navegación
+        this.btnLogin = document.getElementById('btnLogin');
+        this.btnLogout = document.getElementById('btnLogout');
+        this.btnAgregar = document.getElementById('btnAgregar');
+        this.btnUsuarios = document.getElementById('btnUsuarios');
+        this.btnGeneros = document.getElementById('btnGeneros');
+        this.btnDeshacer = document.getElementById('btnDeshacer');
+        this.btnRehacer = document.getElementById('btnRehacer');
+        this.btnPapelera = document.getElementById('btnPapelera');
+        this.contadorPapelera = document.getElementById('contadorPapelera');
+        this.menuCatalogo = document.getElementById('menuCatalogo');
+        this.menuColecciones = document.getElementById('menuColecciones');
+        this.listaMenuColecciones = document.getElementById('listaMenuColecciones');
+        this.btnExportarJSON = document.getElementById('btnExportarJSON');
+        this.btnImportarJSON = document.getElementById('btnImportarJSON');
+        this.btnExportarCSV = document.getElementById('btnExportarCSV');
+        this.btnImportarCSV = document.getElementById('btnImportarCSV');
+        this.btnDuplicados = document.getElementById('btnDuplicados');
+        this.separadorDuplicados = document.getElementById('separadorDuplicados');
+
+        // Formularios
+        this.formLogin = document.getElementById('formLogin');
+        this.formRegistro = document.getElementById('formRegistro');
+        this.formPelicula = document.getElementById('formPelicula');
+
+        // Inputs de Login
+        this.inputUser = document.getElementById('inputUser');
+        this.inputPassword = document.getElementById('inputPassword');
+        this.inputRecordar = document.getElementById('inputRecordar');
+        this.avisoSesion = document.getElementById('avisoSesion');
+
+        // Inputs de Registro
+        this.inputNombre = document.getElementById('inputNombre');
+        this.inputEmail = document.getElementById('inputEmail');
+        this.inputUserReg = document.getElementById('inputUserReg');
+        this.inputPasswordReg = document.getElementById('inputPasswordReg');
+        this.inputConfirmPassword = document.getElementById('inputConfirmPassword');
+
+        // Inputs de Película
+        this.inputTitulo = document.getElementById('inputTitulo');
+        this.inputGenero = document.getElementById('inputGenero');
+        this.inputEtiquetas = document.getElementById('inputEtiquetas');
+        this.campoGeneros = new CampoEtiquetas(document.getElementById('campoGeneros'), {
+            sugerencias: () => this.generoManager.obtenerTodos(),
+            resolver: (texto) => this.generoManager.buscar(texto)
+        });
+        this.campoEtiquetas = new CampoEtiquetas(document.getElementById('campoEtiquetas'), {
+            sugerencias: () => this.peliculaManager.obtenerValoresUsados('etiquetas'),
+            // "|" separa las etiquetas en el CSV
+            resolver: (texto) => texto.includes('|') ? null : texto
+        });
+        this.campoReparto = new CampoEtiquetas(document.getElementById('campoReparto'), {
+            sugerencias: () => this.peliculaManager.obtenerValoresUsados('reparto'),
+            resolver: (texto) => texto.includes('|') ? null : texto
+        });
+        this.inputDuracion = document.getElementById('inputDuracion');
+        this.inputClasificacionEdad = document.getElementById('inputClasificacionEdad');
+        this.inputIdioma = document.getElementById('inputIdioma');
+        this.inputPais = document.getElementById('inputPais');
+        this.inputTrailer = document.getElementById('inputTrailer');
+        this.inputDirector = document.getElementById('inputDirector');
+        this.inputAno = document.getElementById('inputAno');
+        this.inputCalificacion = document.getElementById('inputCalificacion');
+        this.inputDescripcion = document.getElementById('inputDescripcion');
+        this.inputImagen = document.getElementById('inputImagen');
+
+        // Buscador y filtro
+        this.inputBuscar = document.getElementById('inputBuscar');
+        this.btnFiltros = document.getElementById('btnFiltros');
+        this.contadorFiltros = document.getElementById('contadorFiltros');
+        this.filtroGeneros = document.getElementById('filtroGeneros');
+        this.filtroAnoDesde = document.getElementById('filtroAnoDesde');
+        this.filtroAnoHasta = document.getElementById('filtroAnoHasta');
+        this.filtroCalificacionMin = document.getElementById('filtroCalificacionMin');
+        this.filtroCalificacionMax = document.getElementById('filtroCalificacionMax');
+        this.filtroDirector = document.getElementById('filtroDirector');
+        this.filtroEtiquetas = new CampoEtiquetas(document.getElementById('filtroEtiquetas'), {
+            sugerencias: () => this.peliculaManager.obtenerValoresUsados('etiquetas'),
+            alCambiar: () => this.aplicarFiltros(true)
+        });
+        this.chipsFiltros = document.getElementById('chipsFiltros');
+        this.selectOrden = document.getElementById('selectOrden');
+        this.checkMisPeliculas = document.getElementById('checkMisPeliculas');
+        this.filtroLista = document.getElementById('filtroLista');
+        this.detallesListas = document.getElementById('detallesListas');
+        this.detallesFechaVista = document.getElementById('detallesFechaVista');
+        this.formResena = document.getElementById('formResena');
+        this.inputPuntuacion = document.getElementById('inputPuntuacion');
+        this.inputResena = document.getElementById('inputResena');
+        this.btnGuardarResena = document.getElementById('btnGuardarResena');
+        this.btnEliminarResena = document.getElementById('btnEliminarResena');
+        this.listaResenas = document.getElementById('listaResenas');
+
+        // Contenedores
+        this.gridPeliculas = document.getElementById('gridPeliculas');
+        this.carouselMovies = document.getElementById('carouselMovies');
+        this.tituloSlider = document.getElementById('tituloSlider');
+        this.selectSlider = document.getElementById('selectSlider');
+        this.vistaCatalogo = [...document.querySelectorAll('.vista-catalogo')];
+        this.panelEstadisticas = document.getElementById('panelEstadisticas');
+        this.resumenEstadisticas = document.getElementById('resumenEstadisticas');
+        this.graficosEstadisticas = document.getElementById('graficosEstadisticas');
+        this.sinResultados = document.getElementById('sinResultados');
+        this.paginacion = document.getElementById('paginacion');
+        this.infoPaginacion = document.getElementById('infoPaginacion');
+        this.btnCargarMas = document.getElementById('btnCargarMas');
+
+        // Página de una colección
+        this.paginaColeccion = document.getElementById('paginaColeccion');
+        this.btnVolverCatalogo = document.getElementById('btnVolverCatalogo');
+        this.coleccionPortada = document.getElementById('coleccionPortada');
+        this.coleccionNombre = document.getElementById('coleccionNombre');
+        this.coleccionDescripcion = document.getElementById('coleccionDescripcion');
+        this.coleccionInfo = document.getElementById('coleccionInfo');
+        this.coleccionAcciones = document.getElementById('coleccionAcciones');
+        this.btnEditarColeccion = document.getElementById('btnEditarColeccion');
+        this.btnEliminarColeccion = document.getElementById('btnEliminarColeccion');
+        this.ayudaOrdenColeccion = document.getElementById('ayudaOrdenColeccion');
+        this.listaColeccion = document.getElementById('listaColeccion');
+        this.coleccionVacia = document.getElementById('coleccionVacia');
+        this.grupoAgregarColeccion = document.getElementById('grupoAgregarColeccion');
+        this.selectAgregarColeccion = document.getElementById('selectAgregarColeccion');
+        this.btnAgregarColeccion = document.getElementById('btnAgregarColeccion');
+
+        // Modales
+        this.modalPelicula = new bootstrap.Modal(document.getElementById('modalPelicula'));
+        this.modalDetalles = new bootstrap.Modal(document.getElementById('modalDetalles'));
+        this.modalUsuarios = new bootstrap.Modal(document.getElementById('modalUsuarios'));
+        this.tablaUsuarios = document.getElementById('tablaUsuarios');
+        this.inputSesionHoras = document.getElementById('inputSesionHoras');
+        this.inputSesionDias = document.getElementById('inputSesionDias');
+        this.inputSesionInactividad = document.getElementById('inputSesionInactividad');
+        this.checkInactividadRecordadas = document.getElementById('checkInactividadRecordadas');
+        this.btnGuardarConfigSesion = document.getElementById('btnGuardarConfigSesion');
+        this.modalGeneros = new bootstrap.Modal(document.getElementById('modalGeneros'));
+        this.formGenero = document.getElementById('formGenero');
+        this.inputNuevoGenero = document.getElementById('inputNuevoGenero');
+        this.tablaGeneros = document.getElementById('tablaGeneros');
+        this.modalDuplicados = new bootstrap.Modal(document.getElementById('modalDuplicados'));
+        this.listaDuplicados = document.getElementById('listaDuplicados');
+        this.comparacionDuplicados = document.getElementById('comparacionDuplicados');
+        this.btnFusionar = document.getElementById('btnFusionar');
+        this.modalColeccion = new bootstrap.Modal(document.getElementById('modalColeccion'));
+        this.formColeccion = document.getElementById('formColeccion');
+        this.tituloModalColeccion = document.getElementById('tituloModalColeccion');
+        this.inputNombreColeccion = document.getElementById('inputNombreColeccion');
+        this.inputDescripcionColeccion = document.getElementById('inputDescripcionColeccion');
+        this.modalHistorial = new bootstrap.Modal(document.getElementById('modalHistorial'));
+        this.listaHistorial = document.getElementById('listaHistorial');
+        this.historialTitulo = document.getElementById('historialTitulo');
+        this.btnVerHistorial = document.getElementById('btnVerHistorial');
+        this.modalPapelera = new bootstrap.Modal(document.getElementById('modalPapelera'));
+        this.listaPapelera = document.getElementById('listaPapelera');
+        this.inputDiasRetencion = document.getElementById('inputDiasRetencion');
+        this.btnGuardarRetencion = document.getElementById('btnGuardarRetencion');
+        this.btnVaciarPapelera = document.getElementById('btnVaciarPapelera');
+        this.modalImportar = new bootstrap.Modal(document.getElementById('modalImportar'));
+        this.inputArchivoImportar = document.getElementById('inputArchivoImportar');
+        this.btnConfirmarImportar = document.getElementById('btnConfirmarImportar');
+        this.resumenImportacion = document.getElementById('resumenImportacion');
+        this.tablaReporteImportacion = document.getElementById('tablaReporteImportacion');
+        this.modalCSV = new bootstrap.Modal(document.getElementById('modalCSV'));
+        this.inputArchivoCSV = document.getElementById('inputArchivoCSV');
+        this.checkEncabezadoCSV = document.getElementById('checkEncabezadoCSV');
+        this.pasoMapeoCSV = document.getElementById('pasoMapeoCSV');
+        this.mapeoCSV = document.getElementById('mapeoCSV');
+        this.resumenPreviaCSV = document.getElementById('resumenPreviaCSV');
+        this.tablaPreviaCSV = document.getElementById('tablaPreviaCSV');
+        this.resumenImportacionCSV = document.getElementById('resumenImportacionCSV');
+        this.tablaReporteCSV = document.getElementById('tablaReporteCSV');
+        this.btnConfirmarCSV = document.getElementById('btnConfirmarCSV');
+        this.modalTitulo = document.getElementById('modalTitulo');
+        this.btnGuardarPelicula = document.getElementById('btnGuardarPelicula');
+
+        // Tabs
+        this.linkLogin = document.getElementById('linkLogin');
+    }
+
+    /**
+     * Configura todos los eventos de la aplicación
+     */
+    configurarEventos() {
+        // Eventos de autenticación
+        this.formLogin.addEventListener('submit', (e) => this.handleLogin(e));
+        this.formRegistro.addEventListener('submit', (e) => this.handleRegistro(e));
+        this.btnLogout.addEventListener('click', () => this.handleLogout());
+        this.btnLogin.addEventListener('click', () => this.mostrarLogin());
+        this.btnUsuarios.addEventListener('click', () => this.abrirModalUsuarios());
+
+        // Eventos del catálogo de géneros
+        this.btnGeneros.addEventListener('click', () => this.abrirModalGeneros());
+        this.formGenero.addEventListener('submit', (e) => this.handleAgregarGenero(e));
+
+        // Eventos de las colecciones
+        this.selectSlider.addEventListener('change', () => {
+            localStorage.setItem(this.STORAGE_SLIDER_KEY, this.selectSlider.value);
+            this.renderizarSlider();
+        });
+        this.btnVolverCatalogo.addEventListener('click', () => this.cerrarColeccion());
+        this.btnEditarColeccion.addEventListener('click', () => this.abrirModalColeccion(this.coleccionAbierta));
+        this.btnEliminarColeccion.addEventListener('click', () => this.handleEliminarColeccion());
+        this.formColeccion.addEventListener('submit', (e) => this.handleGuardarColeccion(e));
+        this.btnAgregarColeccion.addEventListener('click', () => this.handleAgregarAColeccion());
+        this.configurarArrastreColeccion();
+
+        // Las estadísticas se calculan al abrir el panel
+        this.panelEstadisticas.addEventListener('show.bs.collapse', () => this.renderizarEstadisticas());
+
+        // Eventos de deshacer/rehacer
+        this.btnDeshacer.addEventListener('click', () => this.deshacer());
+        this.btnRehacer.addEventListener('click', () => this.rehacer());
+        this.btnVerHistorial.addEventListener('click', () => this.abrirHistorial(this.peliculaEnDetalle));
+        document.addEventListener('keydown', (e) => this.handleAtajosHistorial(e));
+
+        // Eventos de la papelera
+        this.btnPapelera.addEventListener('click', () => this.abrirPapelera());
+        this.btnGuardarRetencion.addEventListener('click', () => this.handleGuardarRetencion());
+        this.btnGuardarConfigSesion.addEventListener('click', () => this.handleGuardarConfigSesion());
+        this.btnVaciarPapelera.addEventListener('click', () => this.handleVaciarPapelera());
+
+        // Eventos de exportación e importación
+        this.btnExportarJSON.addEventListener('click', () => this.exportarJSON());
+        this.btnImportarJSON.addEventListener('click', () => this.abrirModalImportar());
+        this.btnConfirmarImportar.addEventListener('click', () => this.handleImportarJSON());
+        this.btnExportarCSV.addEventListener('click', () => this.exportarCSV());
+        this.btnImportarCSV.addEventListener('click', () => this.abrirModalCSV());
+        this.btnDuplicados.addEventListener('click', () => this.abrirModalDuplicados());
+        this.btnFusionar.addEventListener('click', () => this.handleFusionar());
+        this.inputArchivoCSV.addEventListener('change', () => this.handleArchivoCSV());
+        this.checkEncabezadoCSV.addEventListener('change', () => this.prepararMapeoCSV());
+        this.btnConfirmarCSV.addEventListener('click', () => this.handleImportarCSV());
+
+        // Cualquier interacción cuenta como actividad para el control de inactividad
+        ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'].forEach(evento => {
+            document.addEventListener(evento, () => this.registrarActividad(), { passive: true });
+        });
+
+        // Evento del link para volver al login
+        if (this.linkLogin) {
+            this.linkLogin.addEventListener('click', (e) => {
+                e.preventDefault();
+                const loginTab = new bootstrap.Tab(document.getElementById('login-tab'));
+                loginTab.show();
+            });
+        }
+
+        // Eventos de películas
+        this.btnAgregar.addEventListener('click', () => this.abrirModalAgregar());
+        this.btnGuardarPelicula.addEventListener('click', () => this.handleGuardarPelicula());
+
+        // Eventos de búsqueda y filtrado. Los campos de texto reemplazan la entrada del
+        // historial del navegador mientras se escribe; el resto agrega una nueva.
+        this.inputBuscar.addEventListener('input', () => this.programarFiltros());
+        this.filtroGeneros.addEventListener('change', () => this.aplicarFiltros(true));
+        document.querySelectorAll('input[name="modoGeneros"]').forEach(radio => {
+            radio.addEventListener('change', () => this.aplicarFiltros(true));
+        });
+        [this.filtroAnoDesde, this.filtroAnoHasta, this.filtroCalificacionMin, this.filtroCalificacionMax, this.filtroDirector]
+            .forEach(input => input.addEventListener('input', () => this.programarFiltros()));
+        this.selectOrden.addEventListener('change', () => {
+            localStorage.setItem(this.STORAGE_ORDEN_KEY, this.selectOrden.value);
+            this.aplicarFiltros(true);
+        });
+        this.checkMisPeliculas.addEventListener('change', () => this.aplicarFiltros(true));
+        this.filtroLista.addEventListener('change', () => this.aplicarFiltros(true));
+        this.detallesFechaVista.addEventListener('change', () => this.handleFechaVista());
+        this.formResena.addEventListener('submit', (e) => this.handleGuardarResena(e));
+        this.btnEliminarResena.addEventListener('click', () => this.handleEliminarResena());
+
+        // Más resultados al llegar al final de la lista (o con el botón si no hay IntersectionObserver)
+        this.btnCargarMas.addEventListener('click', () => this.mostrarMasPeliculas());
+        if (window.IntersectionObserver) {
+            this.observadorPaginacion = new IntersectionObserver((entradas) => {
+                if (entradas.some(e => e.isIntersecting)) {
+                    this.mostrarMasPeliculas();
+                }
+            }, { rootMargin: '400px' });
+            this.observadorPaginacion.observe(this.paginacion);
+        }
+
+        // Navegación atrás/adelante entre estados guardados en la URL
+        window.addEventListener('popstate', () => this.restaurarEstadoURL());
+        document.getElementById('modalDetalles').addEventListener('hidden.bs.modal', () => {
+            this.mostrarTrailer(null);
+            this.peliculaEnDetalle = null;
+            this.actualizarURL();
+        });
+
+        // Event listener para cuando se cierra el modal de película
+        document.getElementById('modalPelicula').addEventListener('hidden.bs.modal', () => {
+            this.limpiarFormularioPelicula();
+            this.peliculaEditando = null;
+        });
+
+        if (this.canal) {
+            this.configurarCanal();
+        }
+    }
+
+    /**
+     * Escucha los cambios de datos y sesión que llegan de otras pestañas
+     */
+    configurarCanal() {
+        this.canal.on('datos', (mensaje) => this.programarRecarga(mensaje.clave));
+
+        this.canal.on('login', (mensaje) => {
+            this.authManager.adoptarSesion(mensaje.sesion);
+            this.mostrarInterfazPrincipal();
+        });
+
+        this.canal.on('logout', (mensaje) => {
+            if (!this.authManager.estaAutenticado()) {
+                return;
+            }
+            // Los cierres automáticos llegan con su motivo para mostrar el mismo aviso
+            this.authManager.logout(mensaje.motivo || 'otra-pestana');
+            this.mostrarLogin();
+        });
+
+        this.canal.on('actividad', () => {
+            if (!this.temporizadorInactividad) {
+                return;
+            }
+            this.ultimaActividad = Date.now();
+            this.authManager.registrarActividad();
+        });
+    }
+
+    /**
+     * Agrupa los avisos de escritura de otras pestañas en una sola recarga
+     * @param {string} clave - Clave del almacenamiento que cambió
+     */
+    programarRecarga(clave) {
+        if (clave === this.authManager.STORAGE_USERS_KEY) {
+            this.recargaPendiente.usuarios = true;
+        } else if (clave === CONFIG_SESION.STORAGE_KEY) {
+            this.authManager.cargarConfigSesion();
+            return;
+        } else if (clave === this.generoManager.STORAGE_KEY) {
+            this.recargaPendiente.generos = true;
+        } else if (clave === this.listasUsuario.STORAGE_KEY) {
+            this.recargaPendiente.listas = true;
+        } else if (clave === this.resenaManager.STORAGE_KEY) {
+            this.recargaPendiente.resenas = true;
+        } else if (clave === this.coleccionManager.STORAGE_KEY) {
+            this.recargaPendiente.colecciones = true;
+        } else if (clave === CONFIG_SINCRONIZACION.STORAGE_COLA_KEY) {
+            this.recargarColaSincronizacion();
+            return;
+        } else if ([this.peliculaManager.STORAGE_KEY, this.peliculaManager.historial.STORAGE_KEY, CONFIG_PAPELERA.STORAGE_DIAS_KEY].includes(clave)) {
+            this.recargaPendiente.catalogo = true;
+        } else {
+            return;
+        }
+
+        clearTimeout(this.temporizadorRecarga);
+        this.temporizadorRecarga = setTimeout(() => this.recargarDesdeOtraPestana(), 50);
+    }
+
+    /**
+     * Relee la cola de sincronización que cambió otra pestaña para no pisar sus cambios
+     * al encolar, y actualiza el contador de pendientes
+     * @returns {Promise<void>}
+     */
+    async recargarColaSincronizacion() {
+        const sincronizador = this.peliculaManager.sincronizador;
+        if (!sincronizador) {
+            return;
+        }
+
+        await sincronizador.recargarCola();
+        // Sin conexión, con error o sincronizando se mantiene el estado; solo cambia el contador
+        const { estado, cola } = sincronizador;
+        sincronizador.cambiarEstado(['pendiente', 'sincronizado'].includes(estado)
+            ? (cola.length > 0 ? 'pendiente' : 'sincronizado')
+            : estado);
+    }
+
+    /**
+     * Relee los datos que cambiaron en otra pestaña y vuelve a pintar el catálogo
+     */
+    async recargarDesdeOtraPestana() {
+        const { catalogo, usuarios, generos, listas, resenas, colecciones } = this.recargaPendiente;
+        this.recargaPendiente = { catalogo: false, usuarios: false, generos: false, listas: false, resenas: false, colecciones: false };
+
+        try {
+            if (usuarios) {
+                await this.authManager.recargarUsuarios();
+            }
+            if (catalogo) {
+                await this.peliculaManager.recargar();
+            }
+            if (generos) {
+                await this.generoManager.recargar();
+            }
+            if (listas) {
+                await this.listasUsuario.recargar();
+            }
+            if (resenas) {
+                await this.resenaManager.recargar();
+            }
+            if (colecciones) {
+                await this.coleccionManager.recargar();
+            }
+        } catch (error) {
+            console.error('Error al recargar los datos de otra pestaña:', error);
+            return;
+        }
+
+        if (!this.authManager.estaAutenticado()) {
+            return;
+        }
+
+        if (generos || catalogo) {
+            this.renderizarGeneros();
+            this.renderizarTablaGeneros();
+        }
+        this.aplicarPermisos();
+        this.refrescarCatalogo();
+        if (this.peliculaEnDetalle && this.peliculaManager.obtenerPorId(this.peliculaEnDetalle)) {
+            if (listas) {
+                this.mostrarListasDetalle(this.peliculaEnDetalle);
+            }
+            if (resenas) {
+                this.mostrarResenas(this.peliculaEnDetalle);
+            }
+        }
+        if (catalogo) {
+            this.verificarEdicionExterna();
+        }
+    }
+
+    /**
+     * Avisa en el modal de edición si la película cambió o se eliminó en otra pestaña
+     */
+    verificarEdicionExterna() {
+        if (!this.peliculaEditando) {
+            return;
+        }
+
+        const actual = this.peliculaManager.obtenerPorId(this.peliculaEditando);
+
+        if (!actual) {
+            this.avisoEdicion.textContent = 'Esta película se eliminó en otra pestaña. No se podrán guardar los cambios.';
+        } else if (JSON.stringify(actual.toJSON()) !== this.versionEditando) {
+            this.avisoEdicion.textContent = 'Esta película se modificó en otra pestaña. Si guardas, sobrescribirás esos cambios.';
+        } else {
+            return;
+        }
+
+        this.avisoEdicion.style.display = 'block';
+    }
+
+    /**
+     * Verifica si hay sesión activa y muestra interfaz correspondiente
+     */
+    verificarAutenticacion() {
+        if (this.authManager.estaAutenticado()) {
+            this.mostrarInterfazPrincipal();
+        } else {
+            this.mostrarLogin();
+        }
+    }
+
+    /**
+     * Maneja el evento de login
+     * @param {Event} e
+     */
+    async handleLogin(e) {
+        e.preventDefault();
+
+        const usuario = this.inputUser.value.trim();
+        const password = this.inputPassword.value;
+        const recordar = this.inputRecordar.checked;
+
+        let resultado;
+        try {
+            resultado = await this.authManager.login(usuario, password, recordar);
+        } catch (error) {
+            console.error('Error al iniciar sesión:', error);
+            this.mostrarMensaje('No se pudo verificar la contraseña en este navegador', 'danger');
+            return;
+        }
+
+        if (resultado.exito) {
+            if (this.canal) {
+                this.canal.publicar('login', { sesion: this.authManager.leerSesionGuardada() });
+            }
+            this.mostrarMensaje('¡Bienvenido, ' + resultado.usuario.nombre + '!', 'success');
+            this.mostrarInterfazPrincipal();
+            this.formLogin.reset();
+        } else {
+            this.mostrarMensaje(resultado.mensaje, 'danger');
+        }
+    }
+
+    /**
+     * Maneja el evento de registro
+     * @param {Event} e
+     */
+    async handleRegistro(e) {
+        e.preventDefault();
+
+        const datos = {
+            nombre: this.inputNombre.value.trim(),
+            email: this.inputEmail.value.trim(),
+            usuario: this.inputUserReg.value.trim(),
+            password: this.inputPasswordReg.value,
+            confirmPassword: this.inputConfirmPassword.value
+        };
+
+        let resultado;
+        try {
+            resultado = await this.authManager.registrar(datos);
+        } catch (error) {
+            console.error('Error al registrar usuario:', error);
+            this.mostrarMensaje('No se pudo crear la cuenta', 'danger');
+            return;
+        }
+
+        if (resultado.exito) {
+            this.mostrarMensaje(resultado.mensaje, 'success');
+            this.formRegistro.reset();
+            
+            // Cambiar al tab de login
+            setTimeout(() => {
+                const loginTab = new bootstrap.Tab(document.getElementById('login-tab'));
+                loginTab.show();
+            }, 1500);
+        } else {
+            this.mostrarMensaje(resultado.mensaje, 'danger');
+        }
+    }
+
+    /**
+     * Maneja el evento de logout
+     */
+    handleLogout() {
+        if (confirm('¿Estás seguro que deseas cerrar sesión?')) {
+            this.authManager.logout();
+            if (this.canal) {
+                this.canal.publicar('logout');
+            }
+            this.mostrarLogin();
+            this.mostrarMensaje('Sesión cerrada correctamente', 'info');
+        }
+    }
+
+    /**
+     * Muestra la pantalla de login, con un aviso si la sesión se cerró automáticamente
+     */
+    mostrarLogin() {
+        this.detenerControlInactividad();
+        this.cerrarModales();
+
+        const motivo = this.authManager.consumirMotivoCierre();
+        const avisos = {
+            expirada: 'Tu sesión expiró. Vuelve a iniciar sesión para continuar.',
+            inactividad: `Tu sesión se cerró tras ${Math.round(this.authManager.obtenerConfigSesion().inactividadMaxima / 60000)} minutos de inactividad.`,
+            'otra-pestana': 'La sesión se cerró desde otra pestaña.'
+        };
+
+        if (avisos[motivo]) {
+            this.avisoSesion.textContent = avisos[motivo];
+            this.avisoSesion.style.display = 'block';
+        } else {
+            this.avisoSesion.style.display = 'none';
+        }
+
+        this.loginSection.style.display = 'flex';
+        this.mainContent.style.display = 'none';
+        this.btnLogin.style.display = 'none';
+        this.btnLogout.style.display = 'none';
+        this.btnAgregar.style.display = 'none';
+        this.btnUsuarios.style.display = 'none';
+        this.btnDeshacer.style.display = 'none';
+        this.btnRehacer.style.display = 'none';
+        this.btnPapelera.style.display = 'none';
+        this.menuCatalogo.style.display = 'none';
+    }
+
+    /**
+     * Cierra los modales abiertos para que no queden visibles tras cerrar la sesión
+     */
+    cerrarModales() {
+        [
+            this.modalPelicula, this.modalDetalles, this.modalUsuarios, this.modalGeneros,
+            this.modalDuplicados, this.modalColeccion, this.modalHistorial, this.modalPapelera,
+            this.modalImportar, this.modalCSV
+        ].forEach(modal => modal.hide());
+    }
+
+    /**
+     * Muestra la interfaz principal de la aplicación
+     */
+    mostrarInterfazPrincipal() {
+        this.loginSection.style.display = 'none';
+        this.mainContent.style.display = 'block';
+        this.btnLogin.style.display = 'none';
+        this.btnLogout.style.display = 'inline-block';
+        this.avisoSesion.style.display = 'none';
+        this.aplicarPermisos();
+        this.iniciarControlInactividad();
+
+        // Cargar películas con el orden y los filtros elegidos, y abrir la colección o la película de la URL
+        this.renderizarColecciones();
+        this.restaurarEstadoURL();
+        this.renderizarSlider();
+        this.actualizarContadorPapelera();
+        this.actualizarContadoresListas();
+    }
+
+    /**
+     * Comprueba periódicamente que la sesión siga vigente. La inactividad cierra las
+     * sesiones sin "Recordarme" y, si así se configuró, también las recordadas.
+     */
+    iniciarControlInactividad() {
+        this.detenerControlInactividad();
+        this.ultimaActividad = Date.now();
+
+        this.temporizadorInactividad = setInterval(() => {
+            const sesion = this.authManager.obtenerSesionActiva();
+
+            if (sesion && this.authManager.aplicaInactividad(sesion)
+                && Date.now() - this.ultimaActividad > this.authManager.obtenerConfigSesion().inactividadMaxima) {
+                this.authManager.logout('inactividad');
+            }
+
+            if (!this.authManager.estaAutenticado()) {
+                // El cierre automático también vale para las otras pestañas
+                if (this.canal && this.authManager.motivoCierre) {
+                    this.canal.publicar('logout', { motivo: this.authManager.motivoCierre });
+                }
+                this.mostrarLogin();
+            }
+        }, 15000);
+    }
+
+    /**
+     * Detiene la comprobación periódica de la sesión
+     */
+    detenerControlInactividad() {
+        clearInterval(this.temporizadorInactividad);
+        this.temporizadorInactividad = null;
+    }
+
+    /**
+     * Registra actividad del usuario y la persiste como mucho una vez por intervalo
+     */
+    registrarActividad() {
+        if (!this.temporizadorInactividad) {
+            return;
+        }
+
+        this.ultimaActividad = Date.now();
+
+        if (this.ultimaActividad - this.ultimaActividadGuardada > CONFIG_SESION.intervaloActividad) {
+            this.ultimaActividadGuardada = this.ultimaActividad;
+            this.authManager.registrarActividad();
+            // La actividad en una pestaña mantiene abiertas las demás
+            if (this.canal) {
+                this.canal.publicar('actividad');
+            }
+        }
+    }
+
+    /**
+     * Muestra el estado del sincronizador en la barra y refresca el catálogo
+     * cuando llegan cambios del servidor
+     * @param {SincronizadorRemoto} sincronizador
+     * @returns {Promise<void>}
+     */
+    async conectarSincronizador(sincronizador) {
+        sincronizador.alCambiarEstado = (estado, pendientes) => this.actualizarEstadoSincronizacion(estado, pendientes);
+        sincronizador.alRecibirCambios = () => {
+            if (this.authManager.estaAutenticado()) {
+                this.refrescarCatalogo();
+            }
+        };
+
+        this.btnSincronizacion.style.display = 'inline-block';
+        this.btnSincronizacion.addEventListener('click', async () => {
+            const resultado = await sincronizador.sincronizar();
+            this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'warning');
+        });
+
+        await sincronizador.inicializar();
+    }
+
+    /**
+     * Pinta el indicador de sincronización
+     * @param {string} estado
+     * @param {number} pendientes - Cambios en cola
+     */
+    actualizarEstadoSincronizacion(estado, pendientes) {
+        const estilos = {
+            pendiente: { clase: 'warning', icono: 'bi-cloud-upload', texto: `${pendientes} pendiente(s)` },
+            sincronizando: { clase: 'info', icono: 'bi-arrow-repeat', texto: 'Sincronizando...' },
+            sincronizado: { clase: 'success', icono: 'bi-cloud-check', texto: 'Sincronizado' },
+            'sin-conexion': {
+                clase: 'secondary',
+                icono: 'bi-cloud-slash',
+                texto: pendientes > 0 ? `Sin conexión · ${pendientes} pendiente(s)` : 'Sin conexión'
+            },
+            error: { clase: 'danger', icono: 'bi-exclamation-triangle', texto: 'Error al sincronizar' }
+        };
+        const estilo = estilos[estado] || estilos.error;
+
+        this.btnSincronizacion.className = `btn btn-outline-${estilo.clase}`;
+        this.btnSincronizacion.innerHTML = `<i class="bi ${estilo.icono}"></i> ${estilo.texto}`;
+    }
+
+    /**
+     * Muestra u oculta los controles según el rol del usuario en sesión
+     */
+    aplicarPermisos() {
+        const puedeCrear = this.authManager.tienePermiso(PERMISOS.CREAR_PELICULA);
+        const puedeGestionar = this.authManager.tienePermiso(PERMISOS.GESTIONAR_USUARIOS);
+
+        const puedeEditar = this.authManager.tienePermiso(PERMISOS.EDITAR_PELICULA);
+
+        this.btnAgregar.style.display = puedeCrear ? 'inline-block' : 'none';
+        this.btnUsuarios.style.display = puedeGestionar ? 'inline-block' : 'none';
+        this.btnGeneros.style.display = this.authManager.tienePermiso(PERMISOS.GESTIONAR_GENEROS) ? 'inline-block' : 'none';
+        this.btnDeshacer.style.display = puedeEditar ? 'inline-block' : 'none';
+        this.btnRehacer.style.display = puedeEditar ? 'inline-block' : 'none';
+        this.btnVerHistorial.style.display = puedeEditar ? 'inline-block' : 'none';
+        this.btnPapelera.style.display = this.authManager.tienePermiso(PERMISOS.ELIMINAR_PELICULA) ? 'inline-block' : 'none';
+        this.menuCatalogo.style.display = 'block';
+        this.menuColecciones.style.display = 'block';
+        this.btnImportarJSON.parentElement.style.display = puedeCrear && puedeEditar ? 'list-item' : 'none';
+        this.btnImportarCSV.parentElement.style.display = puedeCrear ? 'list-item' : 'none';
+        const puedeFusionar = puedeEditar && this.authManager.tienePermiso(PERMISOS.ELIMINAR_PELICULA);
+        this.btnDuplicados.parentElement.style.display = puedeFusionar ? 'list-item' : 'none';
+        this.separadorDuplicados.style.display = puedeFusionar ? 'list-item' : 'none';
+        this.actualizarBotonesHistorial();
+    }
+
+    /**
+     * Habilita deshacer/rehacer según el historial y describe la operación en el tooltip
+     */
+    actualizarBotonesHistorial() {
+        const historial = this.peliculaManager.historial;
+        const deshacer = historial.siguienteDeshacer();
+        const rehacer = historial.siguienteRehacer();
+
+        this.btnDeshacer.disabled = !deshacer;
+        this.btnRehacer.disabled = !rehacer;
+        this.btnDeshacer.title = deshacer ? `Deshacer: ${deshacer.descripcion} (Ctrl+Z)` : 'Nada que deshacer';
+        this.btnRehacer.title = rehacer ? `Rehacer: ${rehacer.descripcion} (Ctrl+Shift+Z)` : 'Nada que rehacer';
+    }
+
+    /**
+     * Vuelve a pintar el grid (respetando los filtros) y el slider tras un cambio en el catálogo
+     */
+    refrescarCatalogo() {
+        this.renderizarColecciones();
+        this.renderizarSlider();
+        this.aplicarFiltros();
+        this.actualizarContadoresListas();
+        if (this.panelEstadisticas.classList.contains('show')) {
+            this.renderizarEstadisticas();
+        }
+        this.actualizarBotonesHistorial();
+        this.actualizarContadorPapelera();
+    }
+
+    /**
+     * Muestra en el botón de la papelera cuántas películas contiene
+     */
+    actualizarContadorPapelera() {
+        const cantidad = this.peliculaManager.obtenerEliminadas().length;
+        this.contadorPapelera.textContent = cantidad;
+        this.contadorPapelera.style.display = cantidad > 0 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Renderiza todas las películas en el grid
+     */
+    renderizarPeliculas() {
+        const peliculas = this.peliculaManager.obtenerTodas();
+        this.resaltado = null;
+        this.mostrarPeliculas(peliculas);
+    }
+
+    /**
+     * Muestra películas en el grid, una página cada vez
+     * @param {Array<Pelicula>} peliculas
+     * @param {boolean} reiniciar - Volver a la primera página; si es false se
+     * conservan las páginas ya mostradas (p. ej. al refrescar tras editar)
+     */
+    mostrarPeliculas(peliculas, reiniciar = true) {
+        this.resultados = peliculas;
+        this.visibles = reiniciar
+            ? this.TAMANO_PAGINA
+            : Math.max(this.visibles, this.TAMANO_PAGINA);
+
+        this.sinResultados.style.display = peliculas.length === 0 ? 'block' : 'none';
+        this.renderizarPagina();
+    }
+
+    /**
+     * Agrega la siguiente página de resultados
+     */
+    mostrarMasPeliculas() {
+        if (this.visibles >= this.resultados.length) {
+            return;
+        }
+
+        this.visibles += this.TAMANO_PAGINA;
+        this.renderizarPagina();
+    }
+
+    /**
+     * Sincroniza el grid con las tarjetas visibles reutilizando las ya construidas:
+     * solo se crean las nuevas o las que cambiaron, y se mueven las demás a su sitio
+     */
+    renderizarPagina() {
+        const visibles = this.resultados.slice(0, this.visibles);
+        const puedeEditar = this.authManager.tienePermiso(PERMISOS.EDITAR_PELICULA);
+        const puedeBorrar = this.authManager.tienePermiso(PERMISOS.ELIMINAR_PELICULA);
+
+        visibles.forEach((pelicula, i) => {
+            const firma = JSON.stringify([
+                pelicula.toJSON(), this.resaltado, puedeEditar, puedeBorrar,
+                this.listasUsuario.obtenerEstado(pelicula.id), this.resenaManager.obtenerResumen(pelicula.id)
+            ]);
+            let tarjeta = this.tarjetas.get(pelicula.id);
+
+            if (!tarjeta || tarjeta.firma !== firma) {
+                const elemento = this.crearTarjetaPelicula(pelicula);
+                if (tarjeta && tarjeta.elemento.parentNode) {
+                    tarjeta.elemento.replaceWith(elemento);
+                }
+                tarjeta = { elemento, firma };
+                this.tarjetas.set(pelicula.id, tarjeta);
+            }
+
+            if (this.gridPeliculas.children[i] !== tarjeta.elemento) {
+                this.gridPeliculas.insertBefore(tarjeta.elemento, this.gridPeliculas.children[i] || null);
+            }
+        });
+
+        while (this.gridPeliculas.children.length > visibles.length) {
+            this.gridPeliculas.lastElementChild.remove();
+        }
+
+        // Olvidar las tarjetas de películas que ya no existen
+        this.tarjetas.forEach((_, id) => {
+            if (!this.peliculaManager.obtenerPorId(id)) {
+                this.tarjetas.delete(id);
+            }
+        });
+
+        const quedan = this.resultados.length - visibles.length;
+        this.paginacion.style.display = this.resultados.length > 0 ? 'block' : 'none';
+        this.infoPaginacion.textContent = `Mostrando ${visibles.length} de ${this.resultados.length} película(s)`;
+        this.btnCargarMas.style.display = quedan > 0 ? 'inline-block' : 'none';
+
+        // Volver a observar para que avise de nuevo si el final sigue a la vista
+        if (this.observadorPaginacion && quedan > 0) {
+            this.observadorPaginacion.unobserve(this.paginacion);
+            this.observadorPaginacion.observe(this.paginacion);
+        }
+    }
+
+    /**
+     * Crea una tarjeta de película
+     * @param {Pelicula} pelicula
+     * @returns {HTMLElement}
+     */
+    crearTarjetaPelicula(pelicula) {
+        const col = document.createElement('div');
+        col.className = 'col-md-6 col-lg-4 col-xl-3';
+
+        const btnEditar = this.authManager.tienePermiso(PERMISOS.EDITAR_PELICULA) ? `
+                        <button class="btn btn-warning btn-sm" data-accion="editar">
+                            <i class="bi bi-pencil"></i> Editar
+                        </button>` : '';
+        const btnBorrar = this.authManager.tienePermiso(PERMISOS.ELIMINAR_PELICULA) ? `
+                        <button class="btn btn-danger btn-sm" data-accion="borrar">
+                            <i class="bi bi-trash"></i> Borrar
+                        </button>` : '';
+
+        col.innerHTML = `
+            <div class="movie-card">
+                <img src="${this.escapeHtml(pelicula.imagen)}" alt="${this.escapeHtml(pelicula.titulo)}" class="movie-image" 
+                     onerror="this.src='https://via.placeholder.com/300x450?text=Sin+Imagen'">
+                <div class="movie-listas">${this.crearBotonesListas(pelicula.id)}</div>
+                <div class="movie-content">
+                    <h5 class="movie-title">${this.resaltarCampo(pelicula, 'titulo')}</h5>
+                    <div class="movie-chips">
+                        ${this.crearChips(pelicula, 'generos', 'movie-genre')}${this.crearChips(pelicula, 'etiquetas', 'movie-tag')}
+                    </div>
+                    <p class="movie-meta">
+                        <i class="bi bi-person-fill"></i> ${this.resaltarCampo(pelicula, 'director')}
+                    </p>
+                    <p class="movie-meta">
+                        <i class="bi bi-calendar-fill"></i> ${pelicula.ano}${pelicula.duracion ? ` · ${this.formatearDuracion(pelicula.duracion)}` : ''}
+                    </p>
+                    <p class="movie-rating">
+                        <i class="bi bi-star-fill"></i> ${pelicula.calificacion}/10
+                        <span class="movie-comunidad" title="Media de la comunidad">
+                            <i class="bi bi-people-fill"></i> ${this.formatearResumen(this.resenaManager.obtenerResumen(pelicula.id))}
+                        </span>
+                    </p>
+                    <p class="movie-description">${this.resaltarCampo(pelicula, 'descripcion')}</p>
+                    <div class="movie-actions">
+                        <button class="btn btn-info btn-sm" data-accion="ver">
+                            <i class="bi bi-eye"></i> Ver
+                        </button>${btnEditar}${btnBorrar}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Los manejadores se enlazan aquí para no interpolar el ID en atributos onclick
+        const acciones = {
+            ver: () => this.verDetalles(pelicula.id),
+            editar: () => this.editarPelicula(pelicula.id),
+            borrar: () => this.eliminarPelicula(pelicula.id)
+        };
+        col.querySelectorAll('[data-accion]').forEach(boton => {
+            boton.addEventListener('click', () => acciones[boton.dataset.accion]());
+        });
+        this.enlazarBotonesListas(col, pelicula.id);
+
+        return col;
+    }
+
+    /**
+     * Botones para agregar o quitar la película de cada lista del usuario.
+     * Una vez insertados hay que enlazarlos con enlazarBotonesListas().
+     * @param {string} id
+     * @returns {string}
+     */
+    crearBotonesListas(id) {
+        const estado = this.listasUsuario.obtenerEstado(id);
+        const marcadas = { favoritas: estado.favorita, porVer: estado.porVer, vistas: Boolean(estado.vista) };
+
+        return Object.entries(LISTAS_USUARIO).map(([clave, lista]) => {
+            const titulo = clave === 'vistas' && estado.vista
+                ? `Vista el ${this.formatearDia(estado.vista)}`
+                : lista.nombre;
+            return `
+                <button type="button" class="btn-lista${marcadas[clave] ? ' activa' : ''}" title="${titulo}"
+                        aria-pressed="${marcadas[clave]}" data-lista="${clave}">
+                    <i class="bi ${marcadas[clave] ? `${lista.icono}-fill` : lista.icono}"></i>
+                </button>`;
+        }).join('');
+    }
+
+    /**
+     * Enlaza los botones de crearBotonesListas() con la película
+     * @param {HTMLElement} contenedor
+     * @param {string} id
+     */
+    enlazarBotonesListas(contenedor, id) {
+        contenedor.querySelectorAll('[data-lista]').forEach(boton => {
+            boton.addEventListener('click', () => this.alternarLista(id, boton.dataset.lista));
+        });
+    }
+
+    /**
+     * HTML de un campo de la película con los términos buscados resaltados
+     * @param {Pelicula} pelicula
+     * @param {string} campo
+     * @returns {string}
+     */
+    resaltarCampo(pelicula, campo) {
+        return this.resaltado
+            ? BuscadorAvanzado.resaltar(pelicula[campo], this.resaltado[campo])
+            : this.escapeHtml(pelicula[campo]);
+    }
+
+    /**
+     * Un chip por cada valor de un campo de lista, con los términos buscados resaltados
+     * @param {Pelicula} pelicula
+     * @param {string} campo - 'generos' o 'etiquetas'
+     * @param {string} clase - Clase CSS de los chips
+     * @returns {string}
+     */
+    crearChips(pelicula, campo, clase) {
+        return pelicula[campo].map(valor => {
+            const texto = this.resaltado
+                ? BuscadorAvanzado.resaltar(valor, this.resaltado[campo])
+                : this.escapeHtml(valor);
+            return `<span class="${clase}">${texto}</span>`;
+        }).join('');
+    }
+
+    /**
+     * Renderiza el slider con las películas recientes o las de la colección elegida
+     */
+    renderizarSlider() {
+        const coleccion = this.coleccionManager.obtenerPorId(this.selectSlider.value);
+        const peliculas = coleccion
+            ? this.coleccionManager.obtenerPeliculas(coleccion.id)
+            : this.peliculaManager.obtenerRecientes(5);
+
+        this.tituloSlider.textContent = coleccion ? coleccion.nombre : 'Películas Recientes';
+        this.carouselMovies.innerHTML = peliculas.length === 0
+            ? '<p class="text-white-50 m-3">Esta colección aún no tiene películas</p>'
+            : '';
+
+        peliculas.forEach(pelicula => {
+            const card = this.crearTarjetaSlider(pelicula);
+            this.carouselMovies.appendChild(card);
+        });
+    }
+
+    /**
+     * Crea una tarjeta para el slider
+     * @param {Pelicula} pelicula
+     * @returns {HTMLElement}
+     */
+    crearTarjetaSlider(pelicula) {
+        const card = document.createElement('div');
+        card.className = 'slider-movie-card';
+        card.onclick = () => this.verDetalles(pelicula.id);
+
+        card.innerHTML = `
+            <img src="${pelicula.imagen}" alt="${pelicula.titulo}"
+                 onerror="this.src='https://via.placeholder.com/180x250?text=Sin+Imagen'">
+            <div class="slider-movie-info">
+                <h6>${this.escapeHtml(pelicula.titulo)}</h6>
+                <small class="text-muted">${pelicula.ano}</small>
+            </div>
+        `;
+
+        return card;
+    }
+
+    /**
+     * Actualiza todo lo que depende de las colecciones: el menú, el selector del slider
+     * y la página de la colección abierta
+     */
+    renderizarColecciones() {
+        const colecciones = this.coleccionManager.obtenerTodas();
+        const puedeGestionar = this.authManager.tienePermiso(PERMISOS.GESTIONAR_COLECCIONES);
+
+        this.listaMenuColecciones.innerHTML = colecciones.length === 0
+            ? '<li><span class="dropdown-item-text text-muted">Todavía no hay colecciones</span></li>'
+            : colecciones.map(coleccion => `
+                <li>
+                    <button class="dropdown-item d-flex justify-content-between align-items-center gap-3" type="button"
+                            onclick="uiManager.abrirColeccion('${coleccion.id}')">
+                        ${this.escapeHtml(coleccion.nombre)}
+                        <span class="badge bg-secondary">${this.coleccionManager.obtenerPeliculas(coleccion.id).length}</span>
+                    </button>
+                </li>`).join('');
+        if (puedeGestionar) {
+            this.listaMenuColecciones.innerHTML += `
+                <li><hr class="dropdown-divider"></li>
+                <li>
+                    <button class="dropdown-item" type="button" onclick="uiManager.abrirModalColeccion()">
+                        <i class="bi bi-plus-circle"></i> Nueva colección
+                    </button>
+                </li>`;
+        }
+
+        // Si la colección elegida para el slider ya no existe se vuelve a las recientes
+        const fuente = localStorage.getItem(this.STORAGE_SLIDER_KEY);
+        this.selectSlider.innerHTML = '<option value="recientes">Recientes</option>' + colecciones.map(coleccion =>
+            `<option value="${coleccion.id}">Colección: ${this.escapeHtml(coleccion.nombre)}</option>`).join('');
+        this.selectSlider.value = this.coleccionManager.obtenerPorId(fuente) ? fuente : 'recientes';
+
+        if (this.coleccionAbierta) {
+            this.mostrarVista();
+        }
+        if (this.peliculaEnDetalle) {
+            this.renderizarAgregarColeccion(this.peliculaEnDetalle);
+        }
+    }
+
+    /**
+     * Muestra el catálogo o, si hay una abierta, la página de la colección
+     */
+    mostrarVista() {
+        let coleccion = null;
+
+        if (this.coleccionAbierta) {
+            coleccion = this.coleccionManager.obtenerPorId(this.coleccionAbierta);
+            if (!coleccion) {
+                this.mostrarMensaje('La colección no existe o se eliminó', 'warning');
+                this.coleccionAbierta = null;
+                this.actualizarURL();
+            }
+        }
+
+        this.vistaCatalogo.forEach(seccion => {
+            seccion.style.display = coleccion ? 'none' : '';
+        });
+        this.paginaColeccion.style.display = coleccion ? 'block' : 'none';
+
+        if (coleccion) {
+            this.renderizarPaginaColeccion(coleccion);
+        }
+    }
+
+    /**
+     * Abre la página de una colección
+     * @param {string} id
+     */
+    abrirColeccion(id) {
+        this.coleccionAbierta = id;
+        this.mostrarVista();
+        this.actualizarURL(true);
+    }
+
+    /**
+     * Vuelve de la página de una colección al catálogo
+     */
+    cerrarColeccion() {
+        this.coleccionAbierta = null;
+        this.mostrarVista();
+        this.actualizarURL(true);
+    }
+
+    /**
+     * Pinta la cabecera y la lista ordenada de una colección
+     * @param {Object} coleccion
+     */
+    renderizarPaginaColeccion(coleccion) {
+        const peliculas = this.coleccionManager.obtenerPeliculas(coleccion.id);
+        const portada = this.coleccionManager.obtenerPortada(coleccion.id);
+        const puedeGestionar = this.authManager.tienePermiso(PERMISOS.GESTIONAR_COLECCIONES);
+
+        this.coleccionPortada.style.display = portada ? 'block' : 'none';
+        this.coleccionPortada.src = portada || '';
+        this.coleccionPortada.alt = `Portada de ${coleccion.nombre}`;
+        this.coleccionNombre.textContent = coleccion.nombre;
+        this.coleccionDescripcion.textContent = coleccion.descripcion;
+        this.coleccionDescripcion.style.display = coleccion.descripcion ? 'block' : 'none';
+        this.coleccionInfo.textContent = `${peliculas.length} película(s) · Creada por ${coleccion.creadoPor || 'Desconocido'}`;
+        this.coleccionAcciones.style.setProperty('display', puedeGestionar ? 'flex' : 'none', 'important');
+        this.ayudaOrdenColeccion.style.display = puedeGestionar && peliculas.length > 1 ? 'block' : 'none';
+        this.coleccionVacia.style.display = peliculas.length === 0 ? 'block' : 'none';
+
+        this.listaColeccion.innerHTML = peliculas.map((pelicula, i) => `
+            <li class="list-group-item d-flex align-items-center gap-3 item-coleccion" data-id="${pelicula.id}" draggable="${puedeGestionar}">
+                ${puedeGestionar ? '<i class="bi bi-grip-vertical asa-arrastre" title="Arrastrar para reordenar"></i>' : ''}
+                <span class="posicion-coleccion text-muted">${i + 1}</span>
+                <img src="${this.escapeHtml(pelicula.imagen)}" alt="" class="miniatura-coleccion rounded"
+                     onerror="this.src='https://via.placeholder.com/60x90?text=Sin+Imagen'">
+                <div class="flex-grow-1">
+                    <button type="button" class="btn btn-link p-0 fw-bold text-start" data-accion="ver">
+                        ${this.escapeHtml(pelicula.titulo)}
+                    </button>
+                    <small class="d-block text-muted">${pelicula.ano} · ${this.escapeHtml(pelicula.director)}</small>
+                </div>
+                ${puedeGestionar ? `
+                <button type="button" class="btn btn-outline-danger btn-sm" title="Quitar de la colección" data-accion="quitar">
+                    <i class="bi bi-x-lg"></i>
+                </button>` : ''}
+            </li>
+        `).join('');
+
+        this.listaColeccion.querySelectorAll('.item-coleccion').forEach((item, i) => {
+            const id = peliculas[i].id;
+            item.querySelector('[data-accion="ver"]').addEventListener('click', () => this.verDetalles(id));
+            if (puedeGestionar) {
+                item.querySelector('[data-accion="quitar"]').addEventListener('click', () => this.quitarDeColeccion(id));
+            }
+        });
+    }
+
+    /**
+     * Reordena la colección abierta arrastrando sus películas; el nuevo orden se guarda al soltar
+     */
+    configurarArrastreColeccion() {
+        this.listaColeccion.addEventListener('dragstart', (e) => {
+            this.itemArrastrado = e.target.closest('.item-coleccion');
+            this.itemArrastrado.classList.add('arrastrando');
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox no inicia el arrastre sin datos
+            e.dataTransfer.setData('text/plain', this.itemArrastrado.dataset.id);
+        });
+
+        this.listaColeccion.addEventListener('dragover', (e) => {
+            const destino = e.target.closest('.item-coleccion');
+            if (!this.itemArrastrado || !destino) {
+                return;
+            }
+
+            e.preventDefault();
+            if (destino === this.itemArrastrado) {
+                return;
+            }
+
+            const rect = destino.getBoundingClientRect();
+            const despues = e.clientY > rect.top + rect.height / 2;
+            this.listaColeccion.insertBefore(this.itemArrastrado, despues ? destino.nextSibling : destino);
+        });
+
+        this.listaColeccion.addEventListener('drop', (e) => e.preventDefault());
+        this.listaColeccion.addEventListener('dragend', () => this.handleReordenarColeccion());
+    }
+
+    /**
+     * Guarda el orden en que quedaron las películas tras arrastrar una
+     */
+    async handleReordenarColeccion() {
+        if (!this.itemArrastrado) {
+            return;
+        }
+
+        this.itemArrastrado.classList.remove('arrastrando');
+        this.itemArrastrado = null;
+
+        const coleccion = this.coleccionManager.obtenerPorId(this.coleccionAbierta);
+        const orden = [...this.listaColeccion.children].map(item => item.dataset.id);
+        const actual = this.coleccionManager.obtenerPeliculas(coleccion.id).map(p => p.id);
+
+        if (JSON.stringify(orden) !== JSON.stringify(actual)) {
+            const resultado = await this.ejecutarConCarga(() => this.coleccionManager.reordenar(coleccion.id, orden));
+            if (resultado && !resultado.exito) {
+                this.mostrarMensaje(resultado.mensaje, 'danger');
+            }
+        }
+
+        this.renderizarColecciones();
+        this.renderizarSlider();
+    }
+
+    /**
+     * Quita una película de la colección abierta
+     * @param {string} peliculaId
+     */
+    async quitarDeColeccion(peliculaId) {
+        const resultado = await this.ejecutarConCarga(() =>
+            this.coleccionManager.quitarPelicula(this.coleccionAbierta, peliculaId));
+        this.despuesDeCambiarColeccion(resultado);
+    }
+
+    /**
+     * Opciones de "Agregar a colección" en el modal de detalles: las colecciones que aún no tienen la película
+     * @param {string} peliculaId
+     */
+    renderizarAgregarColeccion(peliculaId) {
+        const disponibles = this.coleccionManager.obtenerTodas().filter(c => !c.peliculas.includes(peliculaId));
+        const visible = this.authManager.tienePermiso(PERMISOS.GESTIONAR_COLECCIONES) && disponibles.length > 0;
+
+        this.grupoAgregarColeccion.style.setProperty('display', visible ? 'flex' : 'none', 'important');
+        this.selectAgregarColeccion.innerHTML = disponibles.map(coleccion =>
+            `<option value="${coleccion.id}">${this.escapeHtml(coleccion.nombre)}</option>`).join('');
+    }
+
+    /**
+     * Agrega la película abierta en detalles a la colección elegida
+     */
+    async handleAgregarAColeccion() {
+        const resultado = await this.ejecutarConCarga(() =>
+            this.coleccionManager.agregarPelicula(this.selectAgregarColeccion.value, this.peliculaEnDetalle));
+        this.despuesDeCambiarColeccion(resultado);
+    }
+
+    /**
+     * Abre el modal para crear una colección o editar una existente
+     * @param {string|null} id
+     */
+    abrirModalColeccion(id = null) {
+        const coleccion = id ? this.coleccionManager.obtenerPorId(id) : null;
+
+        this.coleccionEditando = coleccion ? coleccion.id : null;
+        this.tituloModalColeccion.textContent = coleccion ? 'Editar colección' : 'Nueva colección';
+        this.inputNombreColeccion.value = coleccion ? coleccion.nombre : '';
+        this.inputDescripcionColeccion.value = coleccion ? coleccion.descripcion : '';
+        this.modalColeccion.show();
+    }
+
+    /**
+     * Crea o actualiza la colección del modal; una colección nueva se abre al crearla
+     * @param {Event} e
+     */
+    async handleGuardarColeccion(e) {
+        e.preventDefault();
+
+        const datos = {
+            nombre: this.inputNombreColeccion.value,
+            descripcion: this.inputDescripcionColeccion.value
+        };
+        const id = this.coleccionEditando;
+        const resultado = await this.ejecutarConCarga(() => id
+            ? this.coleccionManager.actualizar(id, datos)
+            : this.coleccionManager.crear(datos));
+
+        if (!resultado || !resultado.exito) {
+            this.despuesDeCambiarColeccion(resultado);
+            return;
+        }
+
+        this.modalColeccion.hide();
+        this.despuesDeCambiarColeccion(resultado);
+        if (!id) {
+            this.abrirColeccion(resultado.coleccion.id);
+        }
+    }
+
+    /**
+     * Elimina la colección abierta tras confirmación y vuelve al catálogo
+     */
+    async handleEliminarColeccion() {
+        const coleccion = this.coleccionManager.obtenerPorId(this.coleccionAbierta);
+
+        if (!coleccion || !confirm(`¿Eliminar la colección "${coleccion.nombre}"?\n\nLas películas no se borran del catálogo.`)) {
+            return;
+        }
+
+        const resultado = await this.ejecutarConCarga(() => this.coleccionManager.eliminar(coleccion.id));
+        if (resultado && resultado.exito) {
+            this.cerrarColeccion();
+        }
+        this.despuesDeCambiarColeccion(resultado);
+    }
+
+    /**
+     * Muestra el resultado de un cambio en las colecciones y vuelve a pintar lo que depende de ellas
+     * @param {Object|null} resultado - Resultado del ColeccionManager
+     */
+    despuesDeCambiarColeccion(resultado) {
+        if (!resultado) {
+            return;
+        }
+
+        this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+        if (resultado.exito) {
+            this.renderizarColecciones();
+            this.renderizarSlider();
+        }
+    }
+
+    /**
+     * Pinta el resumen y los gráficos de barras del panel de estadísticas
+     */
+    renderizarEstadisticas() {
+        const graficos = [
+            ['generos', 'Películas por género'],
+            ['calificaciones', 'Calificaciones'],
+            ['decadas', 'Películas por década'],
+            ['directores', 'Directores con más películas'],
+            ['altas', 'Agregadas por mes']
+        ];
+        const estadisticas = this.peliculaManager.obtenerEstadisticas();
+        const { resumen } = estadisticas;
+        this.estadisticas = estadisticas;
+
+        this.resumenEstadisticas.innerHTML = [
+            ['Películas', resumen.peliculas],
+            ['Calificación media', resumen.calificacionMedia === null ? '—' : resumen.calificacionMedia],
+            ['Géneros', resumen.generos],
+            ['Directores', resumen.directores]
+        ].map(([nombre, valor]) => `
+            <div class="col-6 col-md-3">
+                <div class="fs-3 fw-bold">${valor}</div>
+                <small class="text-muted">${nombre}</small>
+            </div>
+        `).join('');
+
+        this.graficosEstadisticas.innerHTML = graficos.map(([clave, titulo]) => {
+            const segmentos = estadisticas[clave];
+            const maximo = Math.max(1, ...segmentos.map(s => s.cantidad));
+            const barras = segmentos.map((segmento, i) => `
+                <button type="button" class="barra-estadistica" title="Ver estas películas" ${segmento.cantidad === 0 ? 'disabled' : ''}
+                        onclick="uiManager.aplicarSegmentoEstadisticas('${clave}', ${i})">
+                    <span class="etiqueta-barra">${this.escapeHtml(clave === 'altas' ? this.formatearMes(segmento.etiqueta) : segmento.etiqueta)}</span>
+                    <span class="pista-barra"><span class="relleno-barra" style="width: ${segmento.cantidad / maximo * 100}%"></span></span>
+                    <span class="valor-barra">${segmento.cantidad}</span>
+                </button>
+            `).join('');
+
+            return `
+                <div class="col-md-6 col-xl-4">
+                    <h6>${titulo}</h6>
+                    ${barras || '<p class="text-muted small">Sin datos</p>'}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Muestra en la lista las películas de una barra de las estadísticas (sustituye los filtros activos)
+     * @param {string} grafico - Clave de EstadisticasCatalogo.calcular()
+     * @param {number} indice - Posición de la barra
+     */
+    aplicarSegmentoEstadisticas(grafico, indice) {
+        const segmento = this.estadisticas && this.estadisticas[grafico][indice];
+        if (!segmento) {
+            return;
+        }
+
+        const consulta = segmento.consulta;
+        this.limpiarControlesFiltro();
+
+        if (consulta.generos) {
+            this.filtroGeneros.querySelectorAll('input').forEach(c => {
+                c.checked = consulta.generos.includes(c.value);
+            });
+        }
+        if (consulta.anoDesde !== undefined) {
+            this.filtroAnoDesde.value = consulta.anoDesde;
+            this.filtroAnoHasta.value = consulta.anoHasta;
+        }
+        if (consulta.tramoCalificacion) {
+            this.tramoCalificacion = consulta.tramoCalificacion;
+        }
+        if (consulta.director) {
+            this.filtroDirector.value = consulta.director;
+        }
+        if (consulta.mesAlta) {
+            this.mesAlta = consulta.mesAlta;
+        }
+
+        this.aplicarFiltros(true);
+        this.gridPeliculas.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Genera los botones del panel de filtros a partir del catálogo de géneros,
+     * conservando los que estaban marcados (el formulario los toma al escribir)
+     */
+    renderizarGeneros() {
+        const generos = this.generoManager.obtenerTodos();
+        const marcados = [...this.filtroGeneros.querySelectorAll('input:checked')].map(c => c.value);
+
+        this.filtroGeneros.innerHTML = generos.map((genero, i) => `
+            <input type="checkbox" class="btn-check" id="filtroGenero${i}" value="${this.escapeHtml(genero)}" autocomplete="off"
+                   ${marcados.includes(genero) ? 'checked' : ''}>
+            <label class="btn btn-outline-secondary btn-sm" for="filtroGenero${i}">${this.escapeHtml(genero)}</label>
+        `).join('');
+    }
+
+    /**
+     * Genera las opciones de clasificación por edad del formulario de película
+     */
+    renderizarClasificacionesEdad() {
+        this.inputClasificacionEdad.innerHTML = '<option value="">Sin clasificar</option>' +
+            Object.entries(CLASIFICACIONES_EDAD).map(([clave, nombre]) => `
+                <option value="${clave}">${clave} · ${nombre}</option>
+            `).join('');
+    }
+
+    /**
+     * Lee un número de un campo del panel de filtros
+     * @param {HTMLInputElement} input
+     * @returns {number|null} null si está vacío o no es válido
+     */
+    leerNumeroFiltro(input) {
+        const valor = parseFloat(input.value);
+        return isNaN(valor) ? null : valor;
+    }
+
+    /**
+     * Construye la consulta con el estado actual de los controles
+     * @returns {Object} Consulta para PeliculaManager.consultar()
+     */
+    obtenerConsulta() {
+        const sesion = this.authManager.obtenerSesionActiva();
+
+        return {
+            texto: this.inputBuscar.value.trim(),
+            generos: [...this.filtroGeneros.querySelectorAll('input:checked')].map(c => c.value),
+            modoGeneros: document.querySelector('input[name="modoGeneros"]:checked').value,
+            etiquetas: [...this.filtroEtiquetas.valores],
+            anoDesde: this.leerNumeroFiltro(this.filtroAnoDesde),
+            anoHasta: this.leerNumeroFiltro(this.filtroAnoHasta),
+            calificacionMin: this.leerNumeroFiltro(this.filtroCalificacionMin),
+            calificacionMax: this.leerNumeroFiltro(this.filtroCalificacionMax),
+            director: this.filtroDirector.value.trim(),
+            creadoPor: this.checkMisPeliculas.checked && sesion ? sesion.usuario : null,
+            mesAlta: this.mesAlta,
+            tramoCalificacion: this.tramoCalificacion,
+            lista: this.filtroLista.querySelector('input:checked').value || null,
+            orden: this.selectOrden.value
+        };
+    }
+
+    /**
+     * Estado de la vista (consulta y película abierta) como hash de la URL,
+     * p. ej. #q=nolan&genero=Drama&orden=ano-desc&pelicula=movie_inicial_3
+     * @returns {string} Hash sin '#', vacío si no hay nada que guardar
+     */
+    serializarEstadoURL() {
+        const consulta = this.obtenerConsulta();
+        const parametros = new URLSearchParams();
+
+        if (consulta.texto) {
+            parametros.set('q', consulta.texto);
+        }
+        consulta.generos.forEach(genero => parametros.append('genero', genero));
+        if (consulta.generos.length > 1 && consulta.modoGeneros === 'y') {
+            parametros.set('modo', 'y');
+        }
+        consulta.etiquetas.forEach(etiqueta => parametros.append('etiqueta', etiqueta));
+        [['anoDesde', 'anoDesde'], ['anoHasta', 'anoHasta'], ['calificacionMin', 'calMin'], ['calificacionMax', 'calMax']]
+            .forEach(([campo, nombre]) => {
+                if (consulta[campo] !== null) {
+                    parametros.set(nombre, consulta[campo]);
+                }
+            });
+        if (consulta.director) {
+            parametros.set('director', consulta.director);
+        }
+        if (this.checkMisPeliculas.checked) {
+            parametros.set('mias', '1');
+        }
+        if (consulta.mesAlta) {
+            parametros.set('alta', consulta.mesAlta);
+        }
+        if (consulta.tramoCalificacion) {
+            parametros.set('tramo', consulta.tramoCalificacion);
+        }
+        if (consulta.lista) {
+            parametros.set('lista', consulta.lista);
+        }
+        if (consulta.orden !== 'relevancia') {
+            parametros.set('orden', consulta.orden);
+        }
+        if (this.coleccionAbierta) {
+            parametros.set('coleccion', this.coleccionAbierta);
+        }
+        if (this.peliculaEnDetalle) {
+            parametros.set('pelicula', this.peliculaEnDetalle);
+        }
+
+        return parametros.toString();
+    }
+
+    /**
+     * Guarda el estado de la vista en la URL
+     * @param {boolean} agregarHistorial - true para crear una entrada nueva (atrás/adelante)
+     * en lugar de reemplazar la actual
+     */
+    actualizarURL(agregarHistorial = false) {
+        const hash = this.serializarEstadoURL();
+
+        if (hash === window.location.hash.replace(/^#/, '')) {
+            return;
+        }
+
+        const url = window.location.pathname + window.location.search + (hash ? `#${hash}` : '');
+        if (agregarHistorial) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Pasa el estado guardado en la URL a los controles de búsqueda y filtros
+     * @returns {string|null} ID de la película abierta en la URL
+     */
+    leerEstadoURL() {
+        const parametros = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        this.coleccionAbierta = parametros.get('coleccion');
+
+        // Sin estado en la URL se mantiene el orden preferido
+        if ([...parametros.keys()].length === 0) {
+            return null;
+        }
+
+        const generos = parametros.getAll('genero');
+        this.inputBuscar.value = parametros.get('q') || '';
+        this.filtroGeneros.querySelectorAll('input').forEach(c => {
+            c.checked = generos.includes(c.value);
+        });
+        document.getElementById(parametros.get('modo') === 'y' ? 'modoGenerosY' : 'modoGenerosO').checked = true;
+        this.filtroEtiquetas.establecer(parametros.getAll('etiqueta'));
+        this.filtroAnoDesde.value = parametros.get('anoDesde') || '';
+        this.filtroAnoHasta.value = parametros.get('anoHasta') || '';
+        this.filtroCalificacionMin.value = parametros.get('calMin') || '';
+        this.filtroCalificacionMax.value = parametros.get('calMax') || '';
+        this.filtroDirector.value = parametros.get('director') || '';
+        this.checkMisPeliculas.checked = parametros.get('mias') === '1';
+        this.mesAlta = /^\d{4}-\d{2}$/.test(parametros.get('alta')) ? parametros.get('alta') : null;
+        this.tramoCalificacion = /^[1-9]$/.test(parametros.get('tramo')) ? parseInt(parametros.get('tramo')) : null;
+        this.marcarFiltroLista(parametros.get('lista') || '');
+
+        const orden = parametros.get('orden') || 'relevancia';
+        this.selectOrden.value = [...this.selectOrden.options].some(o => o.value === orden) ? orden : 'relevancia';
+
+        return parametros.get('pelicula');
+    }
+
+    /**
+     * Aplica el estado de la URL (al cargar o al navegar atrás/adelante)
+     */
+    restaurarEstadoURL() {
+        const peliculaId = this.leerEstadoURL();
+
+        if (window.location.hash.replace(/^#/, '') === '') {
+            this.limpiarControlesFiltro();
+        }
+
+        if (!this.authManager.estaAutenticado()) {
+            return;
+        }
+
+        this.aplicarFiltros();
+        this.mostrarVista();
+
+        if (peliculaId && peliculaId !== this.peliculaEnDetalle) {
+            this.verDetalles(peliculaId);
+        } else if (!peliculaId && this.peliculaEnDetalle) {
+            this.modalDetalles.hide();
+        }
+    }
+
+    /**
+     * Aplica los filtros cuando se deja de escribir durante ESPERA_BUSQUEDA
+     */
+    programarFiltros() {
+        clearTimeout(this.temporizadorBusqueda);
+        this.temporizadorBusqueda = setTimeout(() => this.aplicarFiltros(), this.ESPERA_BUSQUEDA);
+    }
+
+    /**
+     * Aplica búsqueda, filtros y orden
+     * @param {boolean} agregarHistorial - Crear una entrada nueva en el historial del navegador
+     */
+    aplicarFiltros(agregarHistorial = false) {
+        clearTimeout(this.temporizadorBusqueda);
+
+        const consulta = this.obtenerConsulta();
+        const peliculasFiltradas = this.peliculaManager.consultar(consulta);
+        // Con la misma consulta (p. ej. tras editar una película) se mantienen las páginas cargadas
+        const claveConsulta = JSON.stringify(consulta);
+        const reiniciar = claveConsulta !== this.ultimaConsulta;
+        this.ultimaConsulta = claveConsulta;
+
+        this.resaltado = consulta.texto || consulta.director ? BuscadorAvanzado.terminosPorCampo(consulta.texto) : null;
+        if (consulta.director) {
+            this.resaltado.director.push(BuscadorAvanzado.normalizar(consulta.director));
+        }
+
+        this.mostrarPeliculas(peliculasFiltradas, reiniciar);
+        this.renderizarChipsFiltros(consulta);
+        this.actualizarURL(agregarHistorial);
+    }
+
+    /**
+     * Muestra un chip por cada filtro activo, con su botón para quitarlo, y "Limpiar todo"
+     * @param {Object} consulta
+     */
+    renderizarChipsFiltros(consulta) {
+        const chips = [];
+        const rango = (desde, hasta) => {
+            if (desde !== null && hasta !== null) {
+                return `${desde} – ${hasta}`;
+            }
+            return desde !== null ? `desde ${desde}` : `hasta ${hasta}`;
+        };
+
+        if (consulta.texto) {
+            chips.push({ etiqueta: `Búsqueda: "${consulta.texto}"`, quitar: () => { this.inputBuscar.value = ''; } });
+        }
+        consulta.generos.forEach(genero => {
+            chips.push({
+                etiqueta: `Género: ${genero}`,
+                quitar: () => {
+                    [...this.filtroGeneros.querySelectorAll('input')].find(c => c.value === genero).checked = false;
+                }
+            });
+        });
+        if (consulta.generos.length > 1) {
+            chips.push({
+                etiqueta: consulta.modoGeneros === 'y' ? 'Con todos los géneros' : 'Con cualquiera de los géneros',
+                quitar: null
+            });
+        }
+        consulta.etiquetas.forEach(etiqueta => {
+            chips.push({
+                etiqueta: `Etiqueta: ${etiqueta}`,
+                quitar: () => this.filtroEtiquetas.establecer(this.filtroEtiquetas.valores.filter(e => e !== etiqueta))
+            });
+        });
+        if (consulta.anoDesde !== null || consulta.anoHasta !== null) {
+            chips.push({
+                etiqueta: `Año: ${rango(consulta.anoDesde, consulta.anoHasta)}`,
+                quitar: () => {
+                    this.filtroAnoDesde.value = '';
+                    this.filtroAnoHasta.value = '';
+                }
+            });
+        }
+        if (consulta.calificacionMin !== null || consulta.calificacionMax !== null) {
+            chips.push({
+                etiqueta: `Calificación: ${rango(consulta.calificacionMin, consulta.calificacionMax)}`,
+                quitar: () => {
+                    this.filtroCalificacionMin.value = '';
+                    this.filtroCalificacionMax.value = '';
+                }
+            });
+        }
+        if (consulta.director) {
+            chips.push({ etiqueta: `Director: ${consulta.director}`, quitar: () => { this.filtroDirector.value = ''; } });
+        }
+        if (consulta.creadoPor) {
+            chips.push({ etiqueta: 'Mis películas', quitar: () => { this.checkMisPeliculas.checked = false; } });
+        }
+        if (consulta.tramoCalificacion) {
+            chips.push({
+                etiqueta: `Calificación: ${EstadisticasCatalogo.etiquetaTramo(consulta.tramoCalificacion)}`,
+                quitar: () => { this.tramoCalificacion = null; }
+            });
+        }
+        if (consulta.mesAlta) {
+            chips.push({ etiqueta: `Agregadas en ${this.formatearMes(consulta.mesAlta)}`, quitar: () => { this.mesAlta = null; } });
+        }
+        if (consulta.lista) {
+            chips.push({ etiqueta: `Lista: ${LISTAS_USUARIO[consulta.lista].nombre}`, quitar: () => this.marcarFiltroLista('') });
+        }
+
+        // Filtros del panel plegable (el texto, "Mis películas" y las listas tienen su control a la vista)
+        const enPanel = consulta.generos.length + consulta.etiquetas.length +
+            (consulta.anoDesde !== null || consulta.anoHasta !== null ? 1 : 0) +
+            (consulta.calificacionMin !== null || consulta.calificacionMax !== null ? 1 : 0) +
+            (consulta.director ? 1 : 0);
+        this.contadorFiltros.textContent = enPanel;
+        this.contadorFiltros.style.display = enPanel > 0 ? 'inline-block' : 'none';
+
+        this.chipsFiltros.innerHTML = '';
+        if (chips.length === 0) {
+            return;
+        }
+
+        chips.forEach(chip => {
+            const elemento = document.createElement('span');
+            elemento.className = 'badge rounded-pill text-bg-light border d-inline-flex align-items-center gap-1 chip-filtro';
+            elemento.textContent = chip.etiqueta;
+
+            if (chip.quitar) {
+                const btnQuitar = document.createElement('button');
+                btnQuitar.type = 'button';
+                btnQuitar.className = 'btn-close';
+                btnQuitar.title = 'Quitar filtro';
+                btnQuitar.addEventListener('click', () => {
+                    chip.quitar();
+                    this.aplicarFiltros(true);
+                });
+                elemento.appendChild(btnQuitar);
+            }
+
+            this.chipsFiltros.appendChild(elemento);
+        });
+
+        const btnLimpiar = document.createElement('button');
+        btnLimpiar.type = 'button';
+        btnLimpiar.className = 'btn btn-link btn-sm text-white';
+        btnLimpiar.textContent = 'Limpiar todo';
+        btnLimpiar.addEventListener('click', () => this.limpiarFiltros());
+        this.chipsFiltros.appendChild(btnLimpiar);
+    }
+
+    /**
+     * Quita la búsqueda y todos los filtros (el orden se conserva)
+     */
+    limpiarFiltros() {
+        this.limpiarControlesFiltro();
+        this.aplicarFiltros(true);
+    }
+
+    /**
+     * Vacía los controles de búsqueda y filtros sin aplicar nada
+     */
+    limpiarControlesFiltro() {
+        this.inputBuscar.value = '';
+        this.filtroGeneros.querySelectorAll('input').forEach(c => {
+            c.checked = false;
+        });
+        document.getElementById('modoGenerosO').checked = true;
+        this.filtroEtiquetas.establecer([]);
+        [this.filtroAnoDesde, this.filtroAnoHasta, this.filtroCalificacionMin, this.filtroCalificacionMax, this.filtroDirector]
+            .forEach(input => {
+                input.value = '';
+            });
+        this.checkMisPeliculas.checked = false;
+        this.mesAlta = null;
+        this.tramoCalificacion = null;
+        this.marcarFiltroLista('');
+    }
+
+    /**
+     * Selecciona una opción del filtro de listas sin aplicarla
+     * @param {string} lista - Clave de LISTAS_USUARIO o '' para todas
+     */
+    marcarFiltroLista(lista) {
+        const opcion = Object.hasOwn(LISTAS_USUARIO, lista) && this.filtroLista.querySelector(`input[value="${lista}"]`);
+        (opcion || this.filtroLista.querySelector('input[value=""]')).checked = true;
+    }
+
+    /**
+     * Muestra junto a cada opción del filtro cuántas películas tiene la lista
+     */
+    actualizarContadoresListas() {
+        Object.keys(LISTAS_USUARIO).forEach(lista => {
+            const contador = this.filtroLista.querySelector(`[data-contador="${lista}"]`);
+            contador.textContent = this.peliculaManager.consultar({ lista }).length;
+        });
+    }
+
+    /**
+     * Agrega o quita una película de una lista del usuario desde su tarjeta o sus detalles
+     * @param {string} id
+     * @param {string} lista - Clave de LISTAS_USUARIO
+     */
+    async alternarLista(id, lista) {
+        const resultado = await this.ejecutarConCarga(() => this.listasUsuario.alternar(id, lista));
+        this.despuesDeCambiarLista(id, resultado);
+    }
+
+    /**
+     * Guarda la fecha en que se vio la película abierta en detalles
+     */
+    async handleFechaVista() {
+        const id = this.peliculaEnDetalle;
+        const resultado = await this.ejecutarConCarga(() => this.listasUsuario.marcarVista(id, this.detallesFechaVista.value || null));
+        this.despuesDeCambiarLista(id, resultado);
+    }
+
+    /**
+     * Refleja un cambio de listas en el grid, los contadores y el modal de detalles
+     * @param {string} id
+     * @param {Object|null} resultado - Resultado del ListasUsuarioManager
+     */
+    despuesDeCambiarLista(id, resultado) {
+        if (!resultado) {
+            return;
+        }
+
+        if (!resultado.exito) {
+            this.mostrarMensaje(resultado.mensaje, 'danger');
+        }
+
+        this.aplicarFiltros();
+        this.actualizarContadoresListas();
+        if (this.peliculaEnDetalle === id) {
+            this.mostrarListasDetalle(id);
+        }
+    }
+
+    /**
+     * Abre modal para agregar película
+     */
+    abrirModalAgregar() {
+        this.peliculaEditando = null;
+        this.modalTitulo.textContent = 'Agregar Película';
+        this.limpiarFormularioPelicula();
+        this.modalPelicula.show();
+    }
+
+    /**
+     * Edita una película
+     * @param {string} id
+     */
+    editarPelicula(id) {
+        const pelicula = this.peliculaManager.obtenerPorId(id);
+        
+        if (!pelicula) {
+            this.mostrarMensaje('Película no encontrada', 'danger');
+            return;
+        }
+
+        this.peliculaEditando = id;
+        this.versionEditando = JSON.stringify(pelicula.toJSON());
+        this.modalTitulo.textContent = 'Editar Película';
+
+        // Llenar formulario
+        this.inputTitulo.value = pelicula.titulo;
+        this.campoGeneros.establecer(pelicula.generos);
+        this.campoEtiquetas.establecer(pelicula.etiquetas);
+        this.inputDirector.value = pelicula.director;
+        this.inputAno.value = pelicula.ano;
+        this.inputCalificacion.value = pelicula.calificacion;
+        this.inputDescripcion.value = pelicula.descripcion;
+        this.inputImagen.value = pelicula.imagen;
+        this.campoReparto.establecer(pelicula.reparto);
+        this.inputDuracion.value = pelicula.duracion === null ? '' : pelicula.duracion;
+        this.inputClasificacionEdad.value = pelicula.clasificacionEdad;
+        this.inputIdioma.value = pelicula.idioma;
+        this.inputPais.value = pelicula.pais;
+        this.inputTrailer.value = pelicula.trailer;
+
+        this.modalPelicula.show();
+    }
+
+    /**
+     * Elimina una película con confirmación
+     * @param {string} id
+     */
+    async eliminarPelicula(id) {
+        const pelicula = this.peliculaManager.obtenerPorId(id);
+        
+        if (!pelicula) {
+            this.mostrarMensaje('Película no encontrada', 'danger');
+            return;
+        }
+
+        if (confirm(`¿Enviar "${pelicula.titulo}" a la papelera?\n\nPodrás restaurarla desde la papelera o deshacerlo con Ctrl+Z.`)) {
+            const resultado = await this.ejecutarConCarga(() => this.peliculaManager.eliminar(id));
+
+            if (!resultado) {
+                return;
+            }
+
+            if (resultado.exito) {
+                this.mostrarMensaje(resultado.mensaje, 'success');
+                this.refrescarCatalogo();
+            } else {
+                this.mostrarMensaje(resultado.mensaje, 'danger');
+            }
+        }
+    }
+
+    /**
+     * Muestra detalles de una película en modal
+     * @param {string} id
+     */
+    verDetalles(id) {
+        const pelicula = this.peliculaManager.obtenerPorId(id);
+        
+        if (!pelicula) {
+            this.mostrarMensaje('Película no encontrada', 'danger');
+            return;
+        }
+
+        this.peliculaEnDetalle = id;
+        this.actualizarURL(true);
+        document.getElementById('detallesTitulo').textContent = pelicula.titulo;
+        document.getElementById('detallesImagen').src = pelicula.imagen;
+        document.getElementById('detallesImagen').alt = pelicula.titulo;
+        document.getElementById('detallesGeneros').innerHTML = this.crearChips(pelicula, 'generos', 'movie-genre');
+        document.getElementById('detallesEtiquetas').innerHTML = pelicula.etiquetas.length > 0
+            ? this.crearChips(pelicula, 'etiquetas', 'movie-tag')
+            : '<span class="text-muted">Sin etiquetas</span>';
+        document.getElementById('detallesDirector').textContent = pelicula.director;
+        document.getElementById('detallesAno').textContent = pelicula.ano;
+        document.getElementById('detallesCalificacion').textContent = pelicula.calificacion;
+        document.getElementById('detallesReparto').textContent = pelicula.reparto.join(', ') || '—';
+        document.getElementById('detallesDuracion').textContent = pelicula.duracion ? this.formatearDuracion(pelicula.duracion) : '—';
+        document.getElementById('detallesClasificacionEdad').textContent = Object.hasOwn(CLASIFICACIONES_EDAD, pelicula.clasificacionEdad)
+            ? `${pelicula.clasificacionEdad} (${CLASIFICACIONES_EDAD[pelicula.clasificacionEdad]})`
+            : pelicula.clasificacionEdad || '—';
+        document.getElementById('detallesIdioma').textContent = pelicula.idioma || '—';
+        document.getElementById('detallesPais').textContent = pelicula.pais || '—';
+        this.mostrarListasDetalle(id);
+        this.mostrarResenas(id);
+        this.renderizarAgregarColeccion(id);
+        this.mostrarTrailer(pelicula);
+        document.getElementById('detallesDescripcion').textContent = pelicula.descripcion;
+        document.getElementById('detallesCreacion').textContent =
+            `${pelicula.creadoPor || 'Desconocido'} · ${this.formatearFecha(pelicula.fechaCreacion)}`;
+        document.getElementById('detallesModificacion').textContent = pelicula.fechaModificacion
+            ? `${pelicula.modificadoPor || 'Desconocido'} · ${this.formatearFecha(pelicula.fechaModificacion)}`
+            : 'Sin cambios';
+
+        this.modalDetalles.show();
+    }
+
+    /**
+     * Muestra en el modal de detalles si la película está en las listas del usuario
+     * @param {string} id
+     */
+    mostrarListasDetalle(id) {
+        this.detallesListas.innerHTML = this.crearBotonesListas(id);
+        this.enlazarBotonesListas(this.detallesListas, id);
+        this.detallesFechaVista.value = this.listasUsuario.obtenerEstado(id).vista || '';
+        this.detallesFechaVista.max = this.listasUsuario.fechaHoy();
+    }
+
+    /**
+     * Muestra la media de la comunidad, las reseñas y el formulario con la del usuario en sesión
+     * @param {string} id
+     */
+    mostrarResenas(id) {
+        const propia = this.resenaManager.obtenerPropia(id);
+        const resenas = this.resenaManager.obtenerResenas(id);
+
+        document.getElementById('detallesComunidad').textContent =
+            this.formatearResumen(this.resenaManager.obtenerResumen(id), true);
+
+        this.inputPuntuacion.value = propia ? propia.puntuacion : '';
+        this.inputResena.value = propia ? propia.texto : '';
+        this.btnGuardarResena.textContent = propia ? 'Actualizar mi reseña' : 'Publicar';
+        this.btnEliminarResena.style.display = propia ? 'inline-block' : 'none';
+
+        if (resenas.length === 0) {
+            this.listaResenas.innerHTML = '<li class="list-group-item text-muted">Todavía no hay reseñas. ¡Sé el primero!</li>';
+            return;
+        }
+
+        this.listaResenas.innerHTML = resenas.map(resena => `
+            <li class="list-group-item${propia && resena.usuarioId === propia.usuarioId ? ' list-group-item-primary' : ''}">
+                <div class="d-flex justify-content-between align-items-center">
+                    <strong>${this.escapeHtml(resena.usuario)}</strong>
+                    <span class="badge bg-warning text-dark"><i class="bi bi-star-fill"></i> ${resena.puntuacion}/10</span>
+                </div>
+                ${resena.texto ? `<p class="mb-1 mt-1 texto-resena">${this.escapeHtml(resena.texto)}</p>` : ''}
+                <small class="text-muted">
+                    ${this.formatearFecha(resena.fecha)}${resena.fechaModificacion ? ` · editada ${this.formatearFecha(resena.fechaModificacion)}` : ''}
+                </small>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Publica o actualiza la reseña del usuario en la película abierta
+     * @param {Event} e
+     */
+    async handleGuardarResena(e) {
+        e.preventDefault();
+
+        const id = this.peliculaEnDetalle;
+        const resultado = await this.ejecutarConCarga(() =>
+            this.resenaManager.guardarResena(id, this.inputPuntuacion.value, this.inputResena.value));
+        this.despuesDeCambiarResena(id, resultado);
+    }
+
+    /**
+     * Elimina la reseña del usuario en la película abierta, tras confirmación
+     */
+    async handleEliminarResena() {
+        if (!confirm('¿Eliminar tu reseña de esta película?')) {
+            return;
+        }
+
+        const id = this.peliculaEnDetalle;
+        const resultado = await this.ejecutarConCarga(() => this.resenaManager.eliminarResena(id));
+        this.despuesDeCambiarResena(id, resultado);
+    }
+
+    /**
+     * Muestra el resultado de un cambio de reseña y actualiza la tarjeta y el modal
+     * @param {string} id
+     * @param {Object|null} resultado - Resultado del ResenaManager
+     */
+    despuesDeCambiarResena(id, resultado) {
+        if (!resultado) {
+            return;
+        }
+
+        this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+        if (resultado.exito) {
+            this.aplicarFiltros();
+            this.mostrarResenas(id);
         }
+    }
 
-        this.peliculas[index] = peliculaActualizada;
-        this.guardarPeliculas();
+    /**
+     * Incrusta el tráiler de la película en el modal de detalles
+     * @param {Pelicula|null} pelicula - null para quitar el reproductor
+     */
+    mostrarTrailer(pelicula) {
+        const contenedor = document.getElementById('detallesTrailer');
+        const url = pelicula && pelicula.trailer ? Pelicula.obtenerTrailerEmbebido(pelicula.trailer) : null;
+
+        contenedor.innerHTML = '';
+        contenedor.style.display = url ? 'block' : 'none';
+
+        if (url) {
+            const iframe = document.createElement('iframe');
+            iframe.src = url;
+            iframe.title = `Tráiler de ${pelicula.titulo}`;
+            iframe.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+            iframe.allowFullscreen = true;
+            iframe.loading = 'lazy';
+            contenedor.appendChild(iframe);
+        }
+    }
 
-        return {
-            exito: true,
-            mensaje: 'Película actualizada exitosamente'
-        };
+    /**
+     * Deshace la última operación sobre el catálogo
+     */
+    async deshacer() {
+        const resultado = await this.ejecutarConCarga(() => this.peliculaManager.deshacer());
+        if (!resultado) {
+            return;
+        }
+        this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'info' : 'warning');
+        this.refrescarCatalogo();
     }
 
     /**
-     * Elimina una película
-     * @param {string} id
-     * @returns {Object} {exito: boolean, mensaje: string}
+     * Rehace la última operación deshecha
      */
-    eliminar(id) {
-        const index = this.peliculas.findIndex(p => p.id === id);
+    async rehacer() {
+        const resultado = await this.ejecutarConCarga(() => this.peliculaManager.rehacer());
+        if (!resultado) {
+            return;
+        }
+        this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'info' : 'warning');
+        this.refrescarCatalogo();
+    }
 
-        if (index === -1) {
-            return {
-                exito: false,
-                mensaje: 'Película no encontrada'
-            };
+    /**
+     * Atajos Ctrl+Z / Ctrl+Shift+Z (Cmd en macOS) fuera de los campos de texto
+     * @param {KeyboardEvent} e
+     */
+    handleAtajosHistorial(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') {
+            return;
         }
 
-        this.peliculas.splice(index, 1);
-        this.guardarPeliculas();
+        const objetivo = e.target;
+        const esCampo = objetivo.closest && objetivo.closest('input, textarea, select, [contenteditable="true"]');
 
-        return {
-            exito: true,
-            mensaje: 'Película eliminada exitosamente'
-        };
+        if (esCampo || !this.authManager.tienePermiso(PERMISOS.EDITAR_PELICULA)) {
+            return;
+        }
+
+        e.preventDefault();
+        if (e.shiftKey) {
+            this.rehacer();
+        } else {
+            this.deshacer();
+        }
     }
 
     /**
-     * Busca películas por término
-     * @param {string} termino - Término de búsqueda
-     * @returns {Array<Pelicula>}
+     * Abre el panel con las versiones registradas de una película
+     * @param {string} id
      */
-    buscar(termino) {
-        if (!termino || termino.trim() === '') {
-            return this.obtenerTodas();
+    abrirHistorial(id) {
+        const pelicula = this.peliculaManager.obtenerPorId(id);
+        const registros = this.peliculaManager.obtenerHistorialPelicula(id);
+
+        this.historialTitulo.textContent = pelicula ? pelicula.titulo : 'Historial';
+        this.listaHistorial.innerHTML = '';
+
+        if (registros.length === 0) {
+            this.listaHistorial.innerHTML = '<li class="list-group-item text-muted">No hay cambios registrados para esta película</li>';
         }
 
-        const terminoLower = termino.toLowerCase();
+        registros.forEach(({ entrada, version, anterior }, i) => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex justify-content-between align-items-start gap-3';
+            const esActual = i === 0 && !anterior;
 
-        return this.peliculas.filter(pelicula => {
-            return (
-                pelicula.titulo.toLowerCase().includes(terminoLower) ||
-                pelicula.director.toLowerCase().includes(terminoLower) ||
-                pelicula.descripcion.toLowerCase().includes(terminoLower)
-            );
+            item.innerHTML = `
+                <div>
+                    <div class="fw-semibold">
+                        ${anterior ? 'Antes de: ' : ''}${this.escapeHtml(entrada.descripcion)}
+                    </div>
+                    <small class="text-muted">
+                        ${this.escapeHtml(entrada.usuario || 'Desconocido')} · ${this.formatearFecha(entrada.fecha)}
+                    </small>
+                    <div class="small">
+                        ${this.escapeHtml(version.titulo)} · ${this.escapeHtml(version.generos.join(', '))} · ${version.ano} · ${version.calificacion}/10
+                    </div>
+                </div>
+                ${esActual
+                    ? '<span class="badge bg-secondary">Actual</span>'
+                    : '<button class="btn btn-outline-primary btn-restaurar">Restaurar</button>'}
+            `;
+
+            const btnRestaurar = item.querySelector('.btn-restaurar');
+            if (btnRestaurar) {
+                btnRestaurar.addEventListener('click', async () => {
+                    const resultado = await this.ejecutarConCarga(() => this.peliculaManager.restaurarVersion(id, entrada.id, anterior));
+                    if (!resultado) {
+                        return;
+                    }
+                    this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+                    if (resultado.exito) {
+                        this.modalHistorial.hide();
+                        this.refrescarCatalogo();
+                    }
+                });
+            }
+
+            this.listaHistorial.appendChild(item);
         });
+
+        this.modalDetalles.hide();
+        this.modalHistorial.show();
     }
 
     /**
-     * Filtra películas por género
-     * @param {string} genero
-     * @returns {Array<Pelicula>}
+     * Abre la papelera
      */
-    filtrarPorGenero(genero) {
-        if (!genero || genero === '') {
-            return this.obtenerTodas();
-        }
-
-        return this.peliculas.filter(p => p.genero === genero);
+    abrirPapelera() {
+        this.inputDiasRetencion.value = this.peliculaManager.obtenerDiasRetencion();
+        this.renderizarPapelera();
+        this.modalPapelera.show();
     }
 
     /**
-     * Combina búsqueda y filtro de género
-     * @param {string} termino - Término de búsqueda
-     * @param {string} genero - Género a filtrar
-     * @returns {Array<Pelicula>}
+     * Renderiza las películas de la papelera con sus acciones
      */
-    buscarYFiltrar(termino, genero) {
-        let resultado = this.obtenerTodas();
+    renderizarPapelera() {
+        const eliminadas = this.peliculaManager.obtenerEliminadas();
+        const diaMs = 24 * 60 * 60 * 1000;
+        const retencionMs = this.peliculaManager.obtenerDiasRetencion() * diaMs;
 
-        // Aplicar filtro de género
-        if (genero && genero !== '') {
-            resultado = resultado.filter(p => p.genero === genero);
+        this.listaPapelera.innerHTML = '';
+        this.btnVaciarPapelera.disabled = eliminadas.length === 0;
+
+        if (eliminadas.length === 0) {
+            this.listaPapelera.innerHTML = '<li class="list-group-item text-muted">La papelera está vacía</li>';
+            return;
         }
 
-        // Aplicar búsqueda
-        if (termino && termino.trim() !== '') {
-            const terminoLower = termino.toLowerCase();
-            resultado = resultado.filter(p => {
-                return (
-                    p.titulo.toLowerCase().includes(terminoLower) ||
-                    p.director.toLowerCase().includes(terminoLower) ||
-                    p.descripcion.toLowerCase().includes(terminoLower)
-                );
+        eliminadas.forEach(pelicula => {
+            const restanMs = new Date(pelicula.fechaEliminacion).getTime() + retencionMs - Date.now();
+            const diasRestantes = Math.max(0, Math.ceil(restanMs / diaMs));
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center gap-3';
+
+            item.innerHTML = `
+                <div>
+                    <div class="fw-semibold">${this.escapeHtml(pelicula.titulo)} (${pelicula.ano})</div>
+                    <small class="text-muted">
+                        Eliminada por ${this.escapeHtml(pelicula.eliminadoPor || 'Desconocido')} · ${this.formatearFecha(pelicula.fechaEliminacion)}
+                        · se purgará en ${diasRestantes} día(s)
+                    </small>
+                </div>
+                <div class="d-flex gap-2">
+                    <button class="btn btn-outline-success btn-restaurar"><i class="bi bi-arrow-counterclockwise"></i> Restaurar</button>
+                    <button class="btn btn-outline-danger btn-purgar"><i class="bi bi-x-circle"></i> Eliminar</button>
+                </div>
+            `;
+
+            item.querySelector('.btn-restaurar').addEventListener('click', async () => {
+                const resultado = await this.ejecutarConCarga(() => this.peliculaManager.restaurar(pelicula.id));
+                if (!resultado) {
+                    return;
+                }
+                this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+                this.renderizarPapelera();
+                this.refrescarCatalogo();
             });
-        }
 
-        return resultado;
+            item.querySelector('.btn-purgar').addEventListener('click', async () => {
+                if (!confirm(`¿Eliminar definitivamente "${pelicula.titulo}"?\n\nEsta acción no se puede deshacer.`)) {
+                    return;
+                }
+                const resultado = await this.ejecutarConCarga(() => this.peliculaManager.purgar(pelicula.id), 'Eliminando...');
+                if (!resultado) {
+                    return;
+                }
+                this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+                this.renderizarPapelera();
+                this.refrescarCatalogo();
+            });
+
+            this.listaPapelera.appendChild(item);
+        });
     }
 
     /**
-     * Obtiene las películas más recientes
-     * @param {number} cantidad - Número de películas a obtener
-     * @returns {Array<Pelicula>}
+     * Guarda los días de retención de la papelera
      */
-    obtenerRecientes(cantidad = 5) {
-        return [...this.peliculas]
-            .sort((a, b) => new Date(b.fechaCreacion) - new Date(a.fechaCreacion))
-            .slice(0, cantidad);
+    async handleGuardarRetencion() {
+        const resultado = await this.ejecutarConCarga(() => this.peliculaManager.configurarRetencion(this.inputDiasRetencion.value));
+        if (!resultado) {
+            return;
+        }
+        this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+        this.renderizarPapelera();
+        this.refrescarCatalogo();
     }
 
     /**
-     * Ordena películas por calificación
-     * @param {boolean} descendente - true para mayor a menor
-     * @returns {Array<Pelicula>}
+     * Vacía la papelera tras confirmación
      */
-    ordenarPorCalificacion(descendente = true) {
-        return [...this.peliculas].sort((a, b) => {
-            return descendente ? b.calificacion - a.calificacion : a.calificacion - b.calificacion;
-        });
+    async handleVaciarPapelera() {
+        if (!confirm('¿Eliminar definitivamente todas las películas de la papelera?\n\nEsta acción no se puede deshacer.')) {
+            return;
+        }
+
+        const resultado = await this.ejecutarConCarga(() => this.peliculaManager.vaciarPapelera(), 'Eliminando...');
+        if (!resultado) {
+            return;
+        }
+        this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+        this.renderizarPapelera();
+        this.refrescarCatalogo();
     }
 
     /**
-     * Ordena películas por año
-     * @param {boolean} descendente - true para más reciente primero
-     * @returns {Array<Pelicula>}
+     * Descarga el catálogo como archivo JSON
      */
-    ordenarPorAno(descendente = true) {
-        return [...this.peliculas].sort((a, b) => {
-            return descendente ? b.ano - a.ano : a.ano - b.ano;
-        });
-    }
-}
+    exportarJSON() {
+        const documento = this.peliculaManager.exportarCatalogo();
+        const fecha = documento.exportadoEn.slice(0, 10);
 
-// ============================================================================
-// CLASE: UIManager
-// Gestiona la interfaz de usuario y eventos
-// ============================================================================
-class UIManager {
-    constructor(authManager, peliculaManager) {
-        this.authManager = authManager;
-        this.peliculaManager = peliculaManager;
-        this.peliculaEditando = null;
-        this.inicializar();
+        this.descargarArchivo(JSON.stringify(documento, null, 2), `cineflix-catalogo-${fecha}.json`, 'application/json');
+        this.mostrarMensaje(`${documento.total} película(s) exportada(s)`, 'success');
     }
 
     /**
-     * Inicializa la aplicación
+     * Abre el modal de importación limpio
      */
-    inicializar() {
-        this.cachearElementos();
-        this.configurarEventos();
-        this.verificarAutenticacion();
+    abrirModalImportar() {
+        this.inputArchivoImportar.value = '';
+        document.getElementById('modoFusionar').checked = true;
+        this.resumenImportacion.style.display = 'none';
+        this.tablaReporteImportacion.innerHTML = '';
+        this.modalImportar.show();
     }
 
     /**
-     * Cachea referencias a elementos del DOM
+     * Lee el archivo elegido, lo importa y muestra el informe por registro
      */
-    cachearElementos() {
-        // Secciones
-        this.loginSection = document.getElementById('loginSection');
-        this.mainContent = document.getElementById('mainContent');
+    async handleImportarJSON() {
+        const archivo = this.inputArchivoImportar.files[0];
 
-        // Botones de navegación
-        this.btnLogin = document.getElementById('btnLogin');
-        this.btnLogout = document.getElementById('btnLogout');
-        this.btnAgregar = document.getElementById('btnAgregar');
+        if (!archivo) {
+            this.mostrarMensaje('Selecciona un archivo JSON', 'warning');
+            return;
+        }
 
-        // Formularios
-        this.formLogin = document.getElementById('formLogin');
-        this.formRegistro = document.getElementById('formRegistro');
-        this.formPelicula = document.getElementById('formPelicula');
+        const modo = document.querySelector('input[name="modoImportacion"]:checked').value;
 
-        // Inputs de Login
-        this.inputUser = document.getElementById('inputUser');
-        this.inputPassword = document.getElementById('inputPassword');
+        if (modo === 'reemplazar' && !confirm('Las películas que no estén en el archivo se enviarán a la papelera. ¿Continuar?')) {
+            return;
+        }
 
-        // Inputs de Registro
-        this.inputNombre = document.getElementById('inputNombre');
-        this.inputEmail = document.getElementById('inputEmail');
-        this.inputUserReg = document.getElementById('inputUserReg');
-        this.inputPasswordReg = document.getElementById('inputPasswordReg');
-        this.inputConfirmPassword = document.getElementById('inputConfirmPassword');
+        let documento;
+        try {
+            documento = JSON.parse(await archivo.text());
+        } catch {
+            this.mostrarMensaje('El archivo no contiene JSON válido', 'danger');
+            return;
+        }
 
-        // Inputs de Película
-        this.inputTitulo = document.getElementById('inputTitulo');
-        this.inputGenero = document.getElementById('inputGenero');
-        this.inputDirector = document.getElementById('inputDirector');
-        this.inputAno = document.getElementById('inputAno');
-        this.inputCalificacion = document.getElementById('inputCalificacion');
-        this.inputDescripcion = document.getElementById('inputDescripcion');
-        this.inputImagen = document.getElementById('inputImagen');
+        const resultado = await this.ejecutarConCarga(() => this.peliculaManager.importarCatalogo(documento, modo), 'Importando...');
 
-        // Buscador y filtro
-        this.inputBuscar = document.getElementById('inputBuscar');
-        this.selectGenero = document.getElementById('selectGenero');
+        if (!resultado) {
+            return;
+        }
 
-        // Contenedores
-        this.gridPeliculas = document.getElementById('gridPeliculas');
-        this.carouselMovies = document.getElementById('carouselMovies');
-        this.sinResultados = document.getElementById('sinResultados');
+        if (!resultado.exito) {
+            this.mostrarMensaje(resultado.mensaje, 'danger');
+            return;
+        }
 
-        // Modales
-        this.modalPelicula = new bootstrap.Modal(document.getElementById('modalPelicula'));
-        this.modalDetalles = new bootstrap.Modal(document.getElementById('modalDetalles'));
-        this.modalTitulo = document.getElementById('modalTitulo');
-        this.btnGuardarPelicula = document.getElementById('btnGuardarPelicula');
+        this.mostrarReporteImportacion(resultado);
+        this.refrescarCatalogo();
+    }
 
-        // Tabs
-        this.linkLogin = document.getElementById('linkLogin');
+    /**
+     * Pinta el informe de una importación
+     * @param {Object} resultado - {mensaje, reporte}
+     * @param {HTMLElement} resumen - Elemento donde va el mensaje
+     * @param {HTMLElement} tabla - tbody donde va una fila por registro
+     */
+    mostrarReporteImportacion(resultado, resumen = this.resumenImportacion, tabla = this.tablaReporteImportacion) {
+        const estilos = {
+            agregada: 'success',
+            actualizada: 'primary',
+            omitida: 'secondary',
+            rechazada: 'danger'
+        };
+
+        resumen.textContent = resultado.mensaje;
+        resumen.style.display = 'block';
+        tabla.innerHTML = resultado.reporte.map(r => `
+            <tr>
+                <td>${r.posicion}</td>
+                <td>${this.escapeHtml(r.titulo)}</td>
+                <td><span class="badge bg-${estilos[r.estado]}">${r.estado}</span></td>
+                <td class="small">${this.escapeHtml(r.detalle)}</td>
+            </tr>
+        `).join('');
     }
 
     /**
-     * Configura todos los eventos de la aplicación
+     * Descarga el catálogo como CSV
      */
-    configurarEventos() {
-        // Eventos de autenticación
-        this.formLogin.addEventListener('submit', (e) => this.handleLogin(e));
-        this.formRegistro.addEventListener('submit', (e) => this.handleRegistro(e));
-        this.btnLogout.addEventListener('click', () => this.handleLogout());
-        this.btnLogin.addEventListener('click', () => this.mostrarLogin());
+    exportarCSV() {
+        const fecha = new Date().toISOString().slice(0, 10);
+        this.descargarArchivo(this.peliculaManager.exportarCSV(), `cineflix-catalogo-${fecha}.csv`, 'text/csv;charset=utf-8');
+        this.mostrarMensaje('Catálogo exportado a CSV', 'success');
+    }
 
-        // Evento del link para volver al login
-        if (this.linkLogin) {
-            this.linkLogin.addEventListener('click', (e) => {
-                e.preventDefault();
-                const loginTab = new bootstrap.Tab(document.getElementById('login-tab'));
-                loginTab.show();
-            });
+    /**
+     * Abre el asistente de importación CSV en su primer paso
+     */
+    abrirModalCSV() {
+        this.filasCSV = [];
+        this.inputArchivoCSV.value = '';
+        this.checkEncabezadoCSV.checked = true;
+        this.pasoMapeoCSV.style.display = 'none';
+        this.resumenImportacionCSV.style.display = 'none';
+        this.tablaReporteCSV.innerHTML = '';
+        this.btnConfirmarCSV.disabled = true;
+        this.modalCSV.show();
+    }
+
+    /**
+     * Lee y parsea el archivo CSV elegido
+     */
+    async handleArchivoCSV() {
+        const archivo = this.inputArchivoCSV.files[0];
+
+        if (!archivo) {
+            return;
         }
 
-        // Eventos de películas
-        this.btnAgregar.addEventListener('click', () => this.abrirModalAgregar());
-        this.btnGuardarPelicula.addEventListener('click', () => this.handleGuardarPelicula());
+        this.filasCSV = UtilidadesCSV.parsear(await archivo.text());
 
-        // Eventos de búsqueda y filtrado
-        this.inputBuscar.addEventListener('input', () => this.aplicarFiltros());
-        this.selectGenero.addEventListener('change', () => this.aplicarFiltros());
+        if (this.filasCSV.length === 0) {
+            this.mostrarMensaje('El archivo CSV está vacío', 'warning');
+            this.pasoMapeoCSV.style.display = 'none';
+            return;
+        }
 
-        // Event listener para cuando se cierra el modal de película
-        document.getElementById('modalPelicula').addEventListener('hidden.bs.modal', () => {
-            this.limpiarFormularioPelicula();
-            this.peliculaEditando = null;
-        });
+        this.prepararMapeoCSV();
     }
 
     /**
-     * Verifica si hay sesión activa y muestra interfaz correspondiente
+     * Construye un selector de columna por campo, con la sugerencia según los encabezados
      */
-    verificarAutenticacion() {
-        if (this.authManager.estaAutenticado()) {
-            this.mostrarInterfazPrincipal();
-        } else {
-            this.mostrarLogin();
+    prepararMapeoCSV() {
+        if (!this.filasCSV || this.filasCSV.length === 0) {
+            return;
         }
+
+        const totalColumnas = Math.max(...this.filasCSV.map(f => f.length));
+        const encabezados = this.checkEncabezadoCSV.checked
+            ? this.filasCSV[0]
+            : Array.from({ length: totalColumnas }, (_, i) => `Columna ${i + 1}`);
+        const sugerencia = this.checkEncabezadoCSV.checked
+            ? this.peliculaManager.sugerirMapeoCSV(encabezados)
+            : {};
+
+        this.mapeoCSV.innerHTML = '';
+
+        this.peliculaManager.CAMPOS_MAPEO_CSV.forEach(campo => {
+            const col = document.createElement('div');
+            col.className = 'col-md-6 col-lg-4';
+            const opciones = encabezados.map((encabezado, i) => `
+                <option value="${i}" ${sugerencia[campo] === i ? 'selected' : ''}>${this.escapeHtml(encabezado || `Columna ${i + 1}`)}</option>
+            `).join('');
+
+            col.innerHTML = `
+                <label class="form-label small mb-1">${campo}</label>
+                <select class="form-select form-select-sm" data-campo="${campo}">
+                    <option value="-1">— Ninguna —</option>
+                    ${opciones}
+                </select>
+            `;
+            col.querySelector('select').addEventListener('change', () => this.renderizarPreviaCSV());
+            this.mapeoCSV.appendChild(col);
+        });
+
+        this.pasoMapeoCSV.style.display = 'block';
+        this.renderizarPreviaCSV();
     }
 
     /**
-     * Maneja el evento de login
-     * @param {Event} e
+     * Lee el mapeo elegido en los selectores
+     * @returns {Object} {campo: índice de columna o -1}
      */
-    handleLogin(e) {
-        e.preventDefault();
-
-        const usuario = this.inputUser.value.trim();
-        const password = this.inputPassword.value;
-
-        const resultado = this.authManager.login(usuario, password);
+    obtenerMapeoCSV() {
+        const mapeo = {};
+        this.mapeoCSV.querySelectorAll('select').forEach(select => {
+            mapeo[select.dataset.campo] = parseInt(select.value);
+        });
+        return mapeo;
+    }
 
-        if (resultado.exito) {
-            this.mostrarMensaje('¡Bienvenido, ' + resultado.usuario.nombre + '!', 'success');
-            this.mostrarInterfazPrincipal();
-            this.formLogin.reset();
-        } else {
-            this.mostrarMensaje(resultado.mensaje, 'danger');
-        }
+    /**
+     * Filas de datos del CSV, sin el encabezado si lo hay
+     * @returns {Array<Array<string>>}
+     */
+    obtenerFilasDatosCSV() {
+        return this.checkEncabezadoCSV.checked ? this.filasCSV.slice(1) : this.filasCSV;
     }
 
     /**
-     * Maneja el evento de registro
-     * @param {Event} e
+     * Muestra las primeras filas ya mapeadas con el resultado de su validación
      */
-    handleRegistro(e) {
-        e.preventDefault();
+    renderizarPreviaCSV() {
+        const mapeados = this.peliculaManager.mapearFilasCSV(this.obtenerFilasDatosCSV(), this.obtenerMapeoCSV());
+        const validos = mapeados.filter(m => m.validacion.valido).length;
+        const campos = this.peliculaManager.CAMPOS_MAPEO_CSV;
+
+        this.resumenPreviaCSV.textContent =
+            `${mapeados.length} fila(s): ${validos} válida(s), ${mapeados.length - validos} con errores`;
+        this.btnConfirmarCSV.disabled = validos === 0;
+        this.btnConfirmarCSV.textContent = `Importar ${validos} película(s)`;
+
+        this.tablaPreviaCSV.innerHTML = `
+            <thead>
+                <tr><th>#</th>${campos.map(c => `<th>${c}</th>`).join('')}<th>Estado</th></tr>
+            </thead>
+            <tbody>
+                ${mapeados.slice(0, 10).map((m, i) => `
+                    <tr class="${m.validacion.valido ? '' : 'table-danger'}">
+                        <td>${i + 1}</td>
+                        ${campos.map(c => `<td class="text-truncate" style="max-width: 140px;">${this.escapeHtml(m.registro[c])}</td>`).join('')}
+                        <td class="small">${m.validacion.valido ? 'OK' : this.escapeHtml(m.validacion.errores.join('; '))}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
 
-        const datos = {
-            nombre: this.inputNombre.value.trim(),
-            email: this.inputEmail.value.trim(),
-            usuario: this.inputUserReg.value.trim(),
-            password: this.inputPasswordReg.value,
-            confirmPassword: this.inputConfirmPassword.value
-        };
+    /**
+     * Importa las filas del CSV; las que no pasan la validación quedan como rechazadas
+     */
+    async handleImportarCSV() {
+        const mapeados = this.peliculaManager.mapearFilasCSV(this.obtenerFilasDatosCSV(), this.obtenerMapeoCSV());
+        const resultado = await this.ejecutarConCarga(
+            () => this.peliculaManager.importarRegistros(mapeados.map(m => m.registro), 'fusionar'),
+            'Importando...'
+        );
 
-        const resultado = this.authManager.registrar(datos);
+        if (!resultado) {
+            return;
+        }
 
-        if (resultado.exito) {
-            this.mostrarMensaje(resultado.mensaje, 'success');
-            this.formRegistro.reset();
-            
-            // Cambiar al tab de login
-            setTimeout(() => {
-                const loginTab = new bootstrap.Tab(document.getElementById('login-tab'));
-                loginTab.show();
-            }, 1500);
-        } else {
+        if (!resultado.exito) {
             this.mostrarMensaje(resultado.mensaje, 'danger');
+            return;
         }
+
+        this.btnConfirmarCSV.disabled = true;
+        this.mostrarReporteImportacion(resultado, this.resumenImportacionCSV, this.tablaReporteCSV);
+        this.refrescarCatalogo();
     }
 
     /**
-     * Maneja el evento de logout
+     * Descarga un texto como archivo
+     * @param {string} contenido
+     * @param {string} nombre - Nombre del archivo
+     * @param {string} tipo - Tipo MIME
      */
-    handleLogout() {
-        if (confirm('¿Estás seguro que deseas cerrar sesión?')) {
-            this.authManager.logout();
-            this.mostrarLogin();
-            this.mostrarMensaje('Sesión cerrada correctamente', 'info');
+    descargarArchivo(contenido, nombre, tipo) {
+        const url = URL.createObjectURL(new Blob([contenido], { type: tipo }));
+        const enlace = document.createElement('a');
+        enlace.href = url;
+        enlace.download = nombre;
+        document.body.appendChild(enlace);
+        enlace.click();
+        enlace.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Abre el modal de administración de usuarios
+     */
+    abrirModalUsuarios() {
+        if (!this.authManager.tienePermiso(PERMISOS.GESTIONAR_USUARIOS)) {
+            this.mostrarMensaje('No tienes permiso para gestionar usuarios', 'danger');
+            return;
         }
+
+        this.renderizarUsuarios();
+        this.renderizarConfigSesion();
+        this.modalUsuarios.show();
     }
 
     /**
-     * Muestra la pantalla de login
+     * Rellena el formulario de duración de las sesiones con la configuración vigente
      */
-    mostrarLogin() {
-        this.loginSection.style.display = 'flex';
-        this.mainContent.style.display = 'none';
-        this.btnLogin.style.display = 'none';
-        this.btnLogout.style.display = 'none';
-        this.btnAgregar.style.display = 'none';
+    renderizarConfigSesion() {
+        const config = this.authManager.obtenerConfigSesion();
+
+        this.inputSesionHoras.value = Math.round(config.duracion / (60 * 60 * 1000));
+        this.inputSesionDias.value = Math.round(config.duracionRecordada / (24 * 60 * 60 * 1000));
+        this.inputSesionInactividad.value = Math.round(config.inactividadMaxima / (60 * 1000));
+        this.checkInactividadRecordadas.checked = config.inactividadRecordadas;
     }
 
     /**
-     * Muestra la interfaz principal de la aplicación
+     * Guarda la duración de las sesiones
      */
-    mostrarInterfazPrincipal() {
-        this.loginSection.style.display = 'none';
-        this.mainContent.style.display = 'block';
-        this.btnLogin.style.display = 'none';
-        this.btnLogout.style.display = 'inline-block';
-        this.btnAgregar.style.display = 'inline-block';
+    async handleGuardarConfigSesion() {
+        const resultado = await this.ejecutarConCarga(() => this.authManager.configurarSesion({
+            horas: this.inputSesionHoras.value,
+            diasRecordada: this.inputSesionDias.value,
+            minutosInactividad: this.inputSesionInactividad.value,
+            inactividadRecordadas: this.checkInactividadRecordadas.checked
+        }));
+        if (!resultado) {
+            return;
+        }
+        this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+        this.renderizarConfigSesion();
+    }
 
-        // Cargar películas
-        this.renderizarPeliculas();
-        this.renderizarSlider();
+    /**
+     * Renderiza la tabla de usuarios con un selector de rol por fila
+     */
+    renderizarUsuarios() {
+        const sesion = this.authManager.obtenerSesionActiva();
+        const usuarios = this.authManager.obtenerUsuarios();
+
+        this.tablaUsuarios.innerHTML = '';
+
+        usuarios.forEach(usuario => {
+            const fila = document.createElement('tr');
+            const esPropio = sesion && sesion.id === usuario.id;
+            const opciones = Object.entries(ROLES).map(([clave, rol]) => `
+                <option value="${clave}" ${clave === usuario.rol ? 'selected' : ''}>${rol.nombre}</option>
+            `).join('');
+
+            fila.innerHTML = `
+                <td>${this.escapeHtml(usuario.nombre)}</td>
+                <td>${this.escapeHtml(usuario.usuario)}</td>
+                <td>${this.escapeHtml(usuario.email)}</td>
+                <td>
+                    <select class="form-select form-select-sm" ${esPropio ? 'disabled' : ''}>
+                        ${opciones}
+                    </select>
+                </td>
+            `;
+
+            fila.querySelector('select').addEventListener('change', async (e) => {
+                const resultado = await this.ejecutarConCarga(() => this.authManager.cambiarRol(usuario.id, e.target.value));
+                if (!resultado) {
+                    this.renderizarUsuarios();
+                    return;
+                }
+                this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
+                this.renderizarUsuarios();
+            });
+
+            this.tablaUsuarios.appendChild(fila);
+        });
     }
 
     /**
-     * Renderiza todas las películas en el grid
+     * Abre la herramienta de duplicados
      */
-    renderizarPeliculas() {
-        const peliculas = this.peliculaManager.obtenerTodas();
-        this.mostrarPeliculas(peliculas);
+    abrirModalDuplicados() {
+        this.parDuplicado = null;
+        this.renderizarDuplicados();
+        this.modalDuplicados.show();
     }
 
     /**
-     * Muestra películas en el grid
-     * @param {Array<Pelicula>} peliculas
+     * Lista los pares de posibles duplicados y la comparación del elegido
      */
-    mostrarPeliculas(peliculas) {
-        this.gridPeliculas.innerHTML = '';
+    renderizarDuplicados() {
+        this.paresDuplicados = this.peliculaManager.obtenerParesDuplicados();
 
-        if (peliculas.length === 0) {
-            this.sinResultados.style.display = 'block';
-            return;
+        // El par elegido deja de valer si se fusionó o se borró alguna de las dos
+        if (this.parDuplicado && !this.parDuplicado.every(p => this.peliculaManager.obtenerPorId(p.id))) {
+            this.parDuplicado = null;
         }
 
-        this.sinResultados.style.display = 'none';
+        this.listaDuplicados.innerHTML = this.paresDuplicados.length === 0
+            ? '<div class="list-group-item text-muted">No se encontraron posibles duplicados</div>'
+            : this.paresDuplicados.map(([a, b], i) => {
+                const elegido = this.parDuplicado && [a.id, b.id].includes(this.parDuplicado[0].id) &&
+                    [a.id, b.id].includes(this.parDuplicado[1].id);
+                return `
+                    <button type="button" class="list-group-item list-group-item-action${elegido ? ' active' : ''}"
+                            onclick="uiManager.compararDuplicados(${i})">
+                        <strong>${this.escapeHtml(a.titulo)}</strong> / <strong>${this.escapeHtml(b.titulo)}</strong>
+                        <small class="d-block">${a.ano} · ${this.escapeHtml(a.director)}</small>
+                    </button>`;
+            }).join('');
+
+        this.renderizarComparacion();
+    }
 
-        peliculas.forEach(pelicula => {
-            const card = this.crearTarjetaPelicula(pelicula);
-            this.gridPeliculas.appendChild(card);
-        });
+    /**
+     * Elige un par de la lista para compararlo
+     * @param {number} indice
+     */
+    compararDuplicados(indice) {
+        this.parDuplicado = [...this.paresDuplicados[indice]];
+        this.renderizarDuplicados();
     }
 
     /**
-     * Crea una tarjeta de película
-     * @param {Pelicula} pelicula
-     * @returns {HTMLElement}
+     * Cambia cuál de las dos películas del par se conserva
      */
-    crearTarjetaPelicula(pelicula) {
-        const col = document.createElement('div');
-        col.className = 'col-md-6 col-lg-4 col-xl-3';
+    invertirDuplicado() {
+        this.parDuplicado.reverse();
+        this.renderizarComparacion();
+    }
 
-        col.innerHTML = `
-            <div class="movie-card">
-                <img src="${pelicula.imagen}" alt="${pelicula.titulo}" class="movie-image" 
-                     onerror="this.src='https://via.placeholder.com/300x450?text=Sin+Imagen'">
-                <div class="movie-content">
-                    <h5 class="movie-title">${this.escapeHtml(pelicula.titulo)}</h5>
-                    <span class="movie-genre">${this.escapeHtml(pelicula.genero)}</span>
-                    <p class="movie-meta">
-                        <i class="bi bi-person-fill"></i> ${this.escapeHtml(pelicula.director)}
-                    </p>
-                    <p class="movie-meta">
-                        <i class="bi bi-calendar-fill"></i> ${pelicula.ano}
-                    </p>
-                    <p class="movie-rating">
-                        <i class="bi bi-star-fill"></i> ${pelicula.calificacion}/10
-                    </p>
-                    <p class="movie-description">${this.escapeHtml(pelicula.descripcion)}</p>
-                    <div class="movie-actions">
-                        <button class="btn btn-info btn-sm" onclick="uiManager.verDetalles('${pelicula.id}')">
-                            <i class="bi bi-eye"></i> Ver
-                        </button>
-                        <button class="btn btn-warning btn-sm" onclick="uiManager.editarPelicula('${pelicula.id}')">
-                            <i class="bi bi-pencil"></i> Editar
-                        </button>
-                        <button class="btn btn-danger btn-sm" onclick="uiManager.eliminarPelicula('${pelicula.id}')">
-                            <i class="bi bi-trash"></i> Borrar
-                        </button>
+    /**
+     * Tabla campo a campo del par elegido para decidir qué valor se queda
+     */
+    renderizarComparacion() {
+        this.btnFusionar.disabled = !this.parDuplicado;
+
+        if (!this.parDuplicado) {
+            this.comparacionDuplicados.innerHTML = this.paresDuplicados.length > 0
+                ? '<p class="text-muted">Elige un par para compararlo campo a campo.</p>'
+                : '';
+            return;
+        }
+
+        const nombres = {
+            titulo: 'Título', generos: 'Géneros', etiquetas: 'Etiquetas', director: 'Director', ano: 'Año',
+            calificacion: 'Calificación', descripcion: 'Descripción', imagen: 'Imagen', reparto: 'Reparto',
+            duracion: 'Duración', idioma: 'Idioma', pais: 'País', clasificacionEdad: 'Clasificación', trailer: 'Tráiler'
+        };
+        const vacio = valor => valor === null || valor === '' || (Array.isArray(valor) && valor.length === 0);
+        const [conservada, descartada] = this.parDuplicado;
+
+        const filas = this.peliculaManager.CAMPOS_CSV.map(campo => {
+            if (JSON.stringify(conservada[campo]) === JSON.stringify(descartada[campo])) {
+                return `
+                    <tr>
+                        <th>${nombres[campo]}</th>
+                        <td colspan="2" class="text-muted">${this.formatearValorFusion(conservada, campo)}</td>
+                    </tr>`;
+            }
+
+            // Por defecto se queda el valor de la conservada, salvo que esté vacío
+            const usarDescartada = vacio(conservada[campo]) && !vacio(descartada[campo]);
+            const opcion = (pelicula, valor, marcada) => `
+                <td>
+                    <div class="form-check">
+                        <input class="form-check-input" type="radio" name="fusion_${campo}" id="fusion_${campo}_${valor}"
+                               value="${valor}" ${marcada ? 'checked' : ''}>
+                        <label class="form-check-label" for="fusion_${campo}_${valor}">${this.formatearValorFusion(pelicula, campo)}</label>
                     </div>
-                </div>
+                </td>`;
+
+            return `
+                <tr>
+                    <th>${nombres[campo]}</th>
+                    ${opcion(conservada, 'conservada', !usarDescartada)}${opcion(descartada, 'descartada', usarDescartada)}
+                </tr>`;
+        }).join('');
+
+        this.comparacionDuplicados.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Se conserva <small class="text-muted d-block">${this.formatearFecha(conservada.fechaCreacion)}</small></th>
+                            <th>
+                                Va a la papelera <small class="text-muted d-block">${this.formatearFecha(descartada.fechaCreacion)}</small>
+                            </th>
+                        </tr>
+                    </thead>
+                    <tbody>${filas}</tbody>
+                </table>
             </div>
+            <button type="button" class="btn btn-outline-secondary btn-sm" onclick="uiManager.invertirDuplicado()">
+                <i class="bi bi-arrow-left-right"></i> Conservar la otra
+            </button>
+            <small class="d-block text-muted mt-2">
+                Las listas, reseñas y colecciones de la que va a la papelera pasan a la que se conserva.
+            </small>
         `;
-
-        return col;
     }
 
     /**
-     * Renderiza el slider de películas recientes
+     * HTML del valor de un campo en la tabla de fusión
+     * @param {Pelicula} pelicula
+     * @param {string} campo
+     * @returns {string}
      */
-    renderizarSlider() {
-        const peliculasRecientes = this.peliculaManager.obtenerRecientes(5);
-        this.carouselMovies.innerHTML = '';
+    formatearValorFusion(pelicula, campo) {
+        const valor = pelicula[campo];
 
-        peliculasRecientes.forEach(pelicula => {
-            const card = this.crearTarjetaSlider(pelicula);
-            this.carouselMovies.appendChild(card);
-        });
+        if (valor === null || valor === '' || (Array.isArray(valor) && valor.length === 0)) {
+            return '—';
+        }
+        if (Array.isArray(valor)) {
+            return this.escapeHtml(valor.join(', '));
+        }
+        if (campo === 'imagen') {
+            return `<img src="${this.escapeHtml(valor)}" alt="" class="miniatura-coleccion rounded">`;
+        }
+        return campo === 'duracion' ? this.formatearDuracion(valor) : this.escapeHtml(String(valor));
     }
 
     /**
-     * Crea una tarjeta para el slider
-     * @param {Pelicula} pelicula
-     * @returns {HTMLElement}
+     * Fusiona el par elegido con los valores marcados, tras confirmación
      */
-    crearTarjetaSlider(pelicula) {
-        const card = document.createElement('div');
-        card.className = 'slider-movie-card';
-        card.onclick = () => this.verDetalles(pelicula.id);
+    async handleFusionar() {
+        const [conservada, descartada] = this.parDuplicado;
+        const campos = this.peliculaManager.CAMPOS_CSV.filter(campo => {
+            const marcada = this.comparacionDuplicados.querySelector(`input[name="fusion_${campo}"]:checked`);
+            return marcada && marcada.value === 'descartada';
+        });
 
-        card.innerHTML = `
-            <img src="${pelicula.imagen}" alt="${pelicula.titulo}"
-                 onerror="this.src='https://via.placeholder.com/180x250?text=Sin+Imagen'">
-            <div class="slider-movie-info">
-                <h6>${this.escapeHtml(pelicula.titulo)}</h6>
-                <small class="text-muted">${pelicula.ano}</small>
-            </div>
-        `;
+        if (!confirm(
+            `¿Fusionar "${descartada.titulo}" con "${conservada.titulo}"?\n\n` +
+            `"${descartada.titulo}" irá a la papelera y sus listas, reseñas y colecciones pasarán a la otra.`
+        )) {
+            return;
+        }
 
-        return card;
+        const resultado = await this.ejecutarConCarga(() => this.peliculaManager.fusionar(conservada.id, descartada.id, campos));
+        if (!resultado) {
+            return;
+        }
+
+        if (resultado.exito) {
+            this.mostrarMensaje(resultado.mensaje, 'success');
+            this.parDuplicado = null;
+            this.renderizarDuplicados();
+            this.refrescarCatalogo();
+        } else {
+            this.mostrarMensaje(resultado.mensaje, 'danger');
+        }
     }
 
     /**
-     * Aplica filtros de búsqueda y género
+     * Abre el modal de gestión de géneros
      */
-    aplicarFiltros() {
-        const termino = this.inputBuscar.value.trim();
-        const genero = this.selectGenero.value;
+    abrirModalGeneros() {
+        if (!this.authManager.tienePermiso(PERMISOS.GESTIONAR_GENEROS)) {
+            this.mostrarMensaje('No tienes permiso para gestionar géneros', 'danger');
+            return;
+        }
 
-        const peliculasFiltradas = this.peliculaManager.buscarYFiltrar(termino, genero);
-        this.mostrarPeliculas(peliculasFiltradas);
+        this.formGenero.reset();
+        this.renderizarTablaGeneros();
+        this.modalGeneros.show();
     }
 
     /**
-     * Abre modal para agregar película
+     * Renderiza la tabla de géneros con cuántas películas usan cada uno
      */
-    abrirModalAgregar() {
-        this.peliculaEditando = null;
-        this.modalTitulo.textContent = 'Agregar Película';
-        this.limpiarFormularioPelicula();
-        this.modalPelicula.show();
+    renderizarTablaGeneros() {
+        const generos = this.generoManager.obtenerTodos();
+
+        this.tablaGeneros.innerHTML = '';
+
+        generos.forEach(genero => {
+            const fila = document.createElement('tr');
+            const enUso = this.generoManager.contarPeliculas(genero);
+            const opciones = generos
+                .filter(g => g !== genero)
+                .map(g => `<option value="${this.escapeHtml(g)}">${this.escapeHtml(g)}</option>`)
+                .join('');
+
+            fila.innerHTML = `
+                <td>${this.escapeHtml(genero)}</td>
+                <td><span class="badge bg-secondary">${enUso}</span></td>
+                <td>
+                    <select class="form-select form-select-sm" ${opciones ? '' : 'disabled'}>
+                        <option value="">Fusionar con...</option>
+                        ${opciones}
+                    </select>
+                </td>
+                <td class="text-end text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary" data-accion="renombrar" title="Renombrar">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" data-accion="eliminar" ${enUso > 0 ? 'disabled' : ''}
+                            title="${enUso > 0 ? 'En uso: fusiónalo con otro género para quitarlo' : 'Eliminar'}">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            `;
+
+            fila.querySelector('select').addEventListener('change', (e) => this.handleFusionarGenero(genero, e.target));
+            fila.querySelector('[data-accion="renombrar"]').addEventListener('click', () => this.handleRenombrarGenero(genero));
+            fila.querySelector('[data-accion="eliminar"]').addEventListener('click', () => this.handleEliminarGenero(genero));
+
+            this.tablaGeneros.appendChild(fila);
+        });
     }
 
     /**
-     * Edita una película
-     * @param {string} id
+     * Muestra el resultado de una operación sobre los géneros y repinta lo que depende de ellos
+     * @param {Object|null} resultado - De GeneroManager, o null si falló el guardado
      */
-    editarPelicula(id) {
-        const pelicula = this.peliculaManager.obtenerPorId(id);
-        
-        if (!pelicula) {
-            this.mostrarMensaje('Película no encontrada', 'danger');
-            return;
+    mostrarResultadoGeneros(resultado) {
+        if (resultado) {
+            this.mostrarMensaje(resultado.mensaje, resultado.exito ? 'success' : 'danger');
         }
 
-        this.peliculaEditando = id;
-        this.modalTitulo.textContent = 'Editar Película';
+        this.renderizarGeneros();
+        this.renderizarTablaGeneros();
+        this.refrescarCatalogo();
+    }
 
-        // Llenar formulario
-        this.inputTitulo.value = pelicula.titulo;
-        this.inputGenero.value = pelicula.genero;
-        this.inputDirector.value = pelicula.director;
-        this.inputAno.value = pelicula.ano;
-        this.inputCalificacion.value = pelicula.calificacion;
-        this.inputDescripcion.value = pelicula.descripcion;
-        this.inputImagen.value = pelicula.imagen;
+    /**
+     * Maneja el alta de un género desde el modal
+     * @param {Event} e
+     */
+    async handleAgregarGenero(e) {
+        e.preventDefault();
 
-        this.modalPelicula.show();
+        const resultado = await this.ejecutarConCarga(() => this.generoManager.agregar(this.inputNuevoGenero.value));
+        if (resultado && resultado.exito) {
+            this.formGenero.reset();
+        }
+        this.mostrarResultadoGeneros(resultado);
     }
 
     /**
-     * Elimina una película con confirmación
-     * @param {string} id
+     * Pide el nuevo nombre de un género y lo renombra en todas las películas
+     * @param {string} genero
      */
-    eliminarPelicula(id) {
-        const pelicula = this.peliculaManager.obtenerPorId(id);
-        
-        if (!pelicula) {
-            this.mostrarMensaje('Película no encontrada', 'danger');
+    async handleRenombrarGenero(genero) {
+        const nombre = prompt(`Nuevo nombre para "${genero}":`, genero);
+        if (nombre === null || nombre.trim() === genero) {
             return;
         }
 
-        if (confirm(`¿Estás seguro que deseas eliminar "${pelicula.titulo}"?\n\nEsta acción no se puede deshacer.`)) {
-            const resultado = this.peliculaManager.eliminar(id);
+        const resultado = await this.ejecutarConCarga(() => this.generoManager.renombrar(genero, nombre));
+        this.mostrarResultadoGeneros(resultado);
+    }
 
-            if (resultado.exito) {
-                this.mostrarMensaje(resultado.mensaje, 'success');
-                this.renderizarPeliculas();
-                this.renderizarSlider();
-                this.aplicarFiltros();
-            } else {
-                this.mostrarMensaje(resultado.mensaje, 'danger');
-            }
+    /**
+     * Fusiona un género con el elegido en su selector
+     * @param {string} genero
+     * @param {HTMLSelectElement} select
+     */
+    async handleFusionarGenero(genero, select) {
+        const destino = select.value;
+        if (!destino) {
+            return;
+        }
+
+        const enUso = this.generoManager.contarPeliculas(genero);
+        if (!confirm(`¿Fusionar "${genero}" con "${destino}"? ${enUso} película(s) pasarán a "${destino}" y "${genero}" desaparecerá.`)) {
+            select.value = '';
+            return;
         }
+
+        const resultado = await this.ejecutarConCarga(() => this.generoManager.fusionar(genero, destino));
+        this.mostrarResultadoGeneros(resultado);
     }
 
     /**
-     * Muestra detalles de una película en modal
-     * @param {string} id
+     * Elimina un género que no está en uso
+     * @param {string} genero
      */
-    verDetalles(id) {
-        const pelicula = this.peliculaManager.obtenerPorId(id);
-        
-        if (!pelicula) {
-            this.mostrarMensaje('Película no encontrada', 'danger');
+    async handleEliminarGenero(genero) {
+        if (!confirm(`¿Eliminar el género "${genero}"?`)) {
             return;
         }
 
-        document.getElementById('detallesTitulo').textContent = pelicula.titulo;
-        document.getElementById('detallesImagen').src = pelicula.imagen;
-        document.getElementById('detallesImagen').alt = pelicula.titulo;
-        document.getElementById('detallesGenero').textContent = pelicula.genero;
-        document.getElementById('detallesDirector').textContent = pelicula.director;
-        document.getElementById('detallesAno').textContent = pelicula.ano;
-        document.getElementById('detallesCalificacion').textContent = pelicula.calificacion;
-        document.getElementById('detallesDescripcion').textContent = pelicula.descripcion;
-
-        this.modalDetalles.show();
+        const resultado = await this.ejecutarConCarga(() => this.generoManager.eliminar(genero));
+        this.mostrarResultadoGeneros(resultado);
     }
 
     /**
      * Maneja el guardado de película (crear o actualizar)
      */
-    handleGuardarPelicula() {
+    async handleGuardarPelicula() {
         if (!this.formPelicula.checkValidity()) {
             this.formPelicula.reportValidity();
             return;
         }
 
+        // Lo que quedó escrito en los campos de etiquetas también se guarda
+        if (!this.campoGeneros.confirmarTexto()) {
+            this.mostrarMensaje(`El género "${this.inputGenero.value.trim()}" no existe en el catálogo`, 'danger');
+            return;
+        }
+        if (!this.campoEtiquetas.confirmarTexto() || !this.campoReparto.confirmarTexto()) {
+            this.mostrarMensaje('Las etiquetas y el reparto no pueden contener "|"', 'danger');
+            return;
+        }
+
         const datos = {
             titulo: this.inputTitulo.value.trim(),
-            genero: this.inputGenero.value,
+            generos: this.campoGeneros.obtenerValores(),
+            etiquetas: this.campoEtiquetas.obtenerValores(),
             director: this.inputDirector.value.trim(),
             ano: this.inputAno.value,
             calificacion: this.inputCalificacion.value,
             descripcion: this.inputDescripcion.value.trim(),
-            imagen: this.inputImagen.value.trim()
+            imagen: this.inputImagen.value.trim(),
+            reparto: this.campoReparto.obtenerValores(),
+            duracion: this.inputDuracion.value,
+            clasificacionEdad: this.inputClasificacionEdad.value,
+            idioma: this.inputIdioma.value.trim(),
+            pais: this.inputPais.value.trim(),
+            trailer: this.inputTrailer.value.trim()
         };
 
+        // Avisar si parece que la película ya está en el catálogo
+        const duplicados = this.peliculaManager.buscarDuplicados(datos, this.peliculaEditando);
+        if (duplicados.length > 0 && !confirm(
+            'Parece que esta película ya está en el catálogo:\n\n' +
+            duplicados.map(p => `• ${p.titulo} (${p.ano}) · ${p.director}`).join('\n') +
+            '\n\n¿Guardarla de todos modos?'
+        )) {
+            return;
+        }
+
         let resultado;
 
         if (this.peliculaEditando) {
             // Actualizar película existente
-            resultado = this.peliculaManager.actualizar(this.peliculaEditando, datos);
+            resultado = await this.ejecutarConCarga(() => this.peliculaManager.actualizar(this.peliculaEditando, datos));
         } else {
             // Crear nueva película
             const nuevaPelicula = new Pelicula(
                 datos.titulo,
-                datos.genero,
+                datos.generos,
                 datos.director,
                 datos.ano,
                 datos.calificacion,
                 datos.descripcion,
                 datos.imagen
             );
-            resultado = this.peliculaManager.agregar(nuevaPelicula);
+            nuevaPelicula.asignarDetalles(datos);
+            resultado = await this.ejecutarConCarga(() => this.peliculaManager.agregar(nuevaPelicula));
+        }
+
+        if (!resultado) {
+            return;
         }
 
         if (resultado.exito) {
             this.mostrarMensaje(resultado.mensaje, 'success');
             this.modalPelicula.hide();
             this.limpiarFormularioPelicula();
-            this.renderizarPeliculas();
-            this.renderizarSlider();
-            this.aplicarFiltros();
+            this.refrescarCatalogo();
         } else {
             this.mostrarMensaje(resultado.mensaje, 'danger');
         }
@@ -1140,11 +8563,17 @@ class UIManager {
      */
     limpiarFormularioPelicula() {
         this.formPelicula.reset();
+        this.campoGeneros.establecer([]);
+        this.campoEtiquetas.establecer([]);
+        this.campoReparto.establecer([]);
         this.peliculaEditando = null;
+        this.versionEditando = null;
+        this.avisoEdicion.style.display = 'none';
     }
 
     /**
-     * Muestra un mensaje temporal
+     * Muestra un mensaje temporal. El texto se trata como texto plano, ya que suele
+     * incluir títulos, nombres o valores importados
      * @param {string} mensaje
      * @param {string} tipo - 'success', 'danger', 'warning', 'info'
      */
@@ -1155,7 +8584,7 @@ class UIManager {
         alerta.style.zIndex = '9999';
         alerta.style.minWidth = '300px';
         alerta.innerHTML = `
-            ${mensaje}
+            ${this.escapeHtml(String(mensaje))}
             <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         `;
 
@@ -1168,6 +8597,66 @@ class UIManager {
         }, 4000);
     }
 
+    /**
+     * Formatea una fecha ISO para mostrarla al usuario
+     * @param {string} fechaISO
+     * @returns {string}
+     */
+    formatearFecha(fechaISO) {
+        const fecha = new Date(fechaISO);
+        return isNaN(fecha) ? '—' : fecha.toLocaleString('es', { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Formatea un día AAAA-MM-DD (sin hora) en la zona local
+     * @param {string} dia
+     * @returns {string}
+     */
+    formatearDia(dia) {
+        const fecha = new Date(`${dia}T00:00`);
+        return isNaN(fecha) ? '—' : fecha.toLocaleDateString('es', { dateStyle: 'medium' });
+    }
+
+    /**
+     * Formatea un mes 'AAAA-MM' ("2026-10" → "oct 2026")
+     * @param {string} mes
+     * @returns {string}
+     */
+    formatearMes(mes) {
+        const fecha = new Date(`${mes}-01T00:00`);
+        return isNaN(fecha) ? mes : fecha.toLocaleDateString('es', { month: 'short', year: 'numeric' });
+    }
+
+    /**
+     * Formatea la media de la comunidad ("7.5 (3)" o "Sin votos")
+     * @param {Object} resumen - {promedio, votos} de ResenaManager.obtenerResumen()
+     * @param {boolean} largo - Con la palabra "votos" y la escala, para el modal de detalles
+     * @returns {string}
+     */
+    formatearResumen({ promedio, votos }, largo = false) {
+        if (votos === 0) {
+            return 'Sin votos';
+        }
+        return largo
+            ? `${promedio}/10 (${votos} ${votos === 1 ? 'voto' : 'votos'})`
+            : `${promedio} (${votos})`;
+    }
+
+    /**
+     * Formatea una duración en minutos (136 → "2 h 16 min")
+     * @param {number} minutos
+     * @returns {string}
+     */
+    formatearDuracion(minutos) {
+        const horas = Math.floor(minutos / 60);
+        const resto = minutos % 60;
+
+        if (horas === 0) {
+            return `${resto} min`;
+        }
+        return resto === 0 ? `${horas} h` : `${horas} h ${resto} min`;
+    }
+
     /**
      * Escapa HTML para prevenir XSS
      * @param {string} text
@@ -1206,14 +8695,67 @@ function scrollSlider(direction) {
 // ============================================================================
 
 // Esperar a que el DOM esté completamente cargado
-document.addEventListener('DOMContentLoaded', () => {
-    // Crear instancias de los managers
-    const authManager = new AuthManager();
-    const peliculaManager = new PeliculaManager();
-    
+document.addEventListener('DOMContentLoaded', async () => {
+    const canal = new CanalPestanas();
+    const { almacenamiento: adaptador, aviso: avisoAlmacenamiento } = await crearAlmacenamiento();
+    const almacenamiento = new AlmacenamientoCompartido(adaptador, canal);
+    let migracion, authManager, peliculaManager, generoManager, listasUsuario, resenaManager, coleccionManager;
+
+    try {
+        // Actualizar los datos guardados antes de que los lean los managers
+        migracion = await new MigradorEsquema(almacenamiento).ejecutar();
+
+        // Con los datos a medio migrar los managers podrían guardarlos en el formato anterior
+        if (!migracion.exito) {
+            document.getElementById('cargandoTexto').textContent =
+                `No se pudieron actualizar los datos guardados (v${migracion.desde} → v${migracion.hasta}). ` +
+                (migracion.respaldo ? `Se conservó una copia en "${migracion.respaldo}". ` : '') +
+                'Recarga la página para reintentar.';
+            return;
+        }
+
+        // Crear instancias de los managers y esperar a que carguen sus datos
+        authManager = new AuthManager(almacenamiento);
+        peliculaManager = new PeliculaManager(authManager, almacenamiento);
+        generoManager = new GeneroManager(almacenamiento, peliculaManager);
+        listasUsuario = new ListasUsuarioManager(almacenamiento, authManager, peliculaManager);
+        resenaManager = new ResenaManager(almacenamiento, authManager, peliculaManager);
+        coleccionManager = new ColeccionManager(almacenamiento, authManager, peliculaManager);
+        await Promise.all([
+            authManager.listo, peliculaManager.inicializar(), listasUsuario.inicializar(),
+            resenaManager.inicializar(), coleccionManager.inicializar()
+        ]);
+        // Los géneros iniciales se completan con los que ya usan las películas
+        await generoManager.inicializar();
+    } catch (error) {
+        console.error('Error al iniciar:', error);
+        document.getElementById('cargandoTexto').textContent =
+            `No se pudieron cargar los datos desde ${almacenamiento.nombre}. Recarga la página para reintentar.`;
+        return;
+    }
+
     // Crear instancia global de UIManager para acceso desde onclick
-    window.uiManager = new UIManager(authManager, peliculaManager);
+    window.uiManager = new UIManager({
+        authManager, peliculaManager, generoManager, listasUsuario, resenaManager, coleccionManager
+    }, canal);
 
-    console.log('🎬 CineFlix - Sistema iniciado correctamente');
+    if (avisoAlmacenamiento) {
+        window.uiManager.mostrarMensaje(avisoAlmacenamiento, 'warning');
+    }
+
+    if (migracion.aplicadas.length > 0) {
+        console.log('🗄️ Datos migrados:', migracion.aplicadas);
+    }
+
+    if (peliculaManager.errorCarga) {
+        window.uiManager.mostrarMensaje(peliculaManager.errorCarga, 'danger');
+    }
+
+    console.log('🎬 CineFlix - Sistema iniciado correctamente con', almacenamiento.nombre);
     console.log('📊 Películas cargadas:', peliculaManager.obtenerTodas().length);
+
+    const sincronizador = crearSincronizador(almacenamiento, peliculaManager);
+    if (sincronizador) {
+        await window.uiManager.conectarSincronizador(sincronizador);
+    }
 });
@@ -0,0 +1,113 @@
+'use strict';
+
+// ============================================================================
+// SERVIDOR DE PRUEBA PARA LA SINCRONIZACIÓN
+// Guarda las películas en memoria y expone la API que usa SincronizadorRemoto:
+//   GET    /peliculas        -> lista completa (incluye las de la papelera)
+//   GET    /peliculas/:id    -> una película o 404
+//   PUT    /peliculas/:id    -> crea o reemplaza
+//   DELETE /peliculas/:id    -> borra definitivamente
+//
+// Uso: node mock-server.js [puerto]   (por defecto 3000)
+// Después abre la app con ?api=http://localhost:3000
+// ============================================================================
+const http = require('http');
+
+const PUERTO = parseInt(process.argv[2] || process.env.PORT) || 3000;
+const peliculas = new Map();
+
+/**
+ * Envía una respuesta JSON con las cabeceras CORS
+ * @param {http.ServerResponse} res
+ * @param {number} estado
+ * @param {*} cuerpo
+ */
+function responder(res, estado, cuerpo = null) {
+    res.writeHead(estado, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Content-Type': 'application/json; charset=utf-8'
+    });
+    res.end(cuerpo === null ? '' : JSON.stringify(cuerpo));
+}
+
+/**
+ * Lee el cuerpo de la petición como JSON
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function leerCuerpo(req) {
+    return new Promise((resolve, reject) => {
+        let datos = '';
+        req.on('data', parte => {
+            datos += parte;
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(datos));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const servidor = http.createServer(async (req, res) => {
+    const ruta = new URL(req.url, `http://${req.headers.host}`).pathname;
+    const coincidencia = ruta.match(/^\/peliculas(?:\/([^/]+))?\/?$/);
+
+    if (req.method === 'OPTIONS') {
+        return responder(res, 204);
+    }
+
+    if (!coincidencia) {
+        return responder(res, 404, { error: 'Ruta no encontrada' });
+    }
+
+    const id = coincidencia[1] ? decodeURIComponent(coincidencia[1]) : null;
+    console.log(`${req.method} ${ruta}`);
+
+    if (!id) {
+        return req.method === 'GET'
+            ? responder(res, 200, [...peliculas.values()])
+            : responder(res, 405, { error: 'Método no permitido' });
+    }
+
+    switch (req.method) {
+        case 'GET':
+            return peliculas.has(id)
+                ? responder(res, 200, peliculas.get(id))
+                : responder(res, 404, { error: 'Película no encontrada' });
+
+        case 'PUT': {
+            let pelicula;
+            try {
+                pelicula = await leerCuerpo(req);
+            } catch {
+                return responder(res, 400, { error: 'JSON inválido' });
+            }
+
+            if (!pelicula || pelicula.id !== id || !pelicula.titulo) {
+                return responder(res, 400, { error: 'La película debe tener título y el mismo id que la ruta' });
+            }
+
+            const estado = peliculas.has(id) ? 200 : 201;
+            peliculas.set(id, pelicula);
+            return responder(res, estado, pelicula);
+        }
+
+        case 'DELETE':
+            return peliculas.delete(id)
+                ? responder(res, 204)
+                : responder(res, 404, { error: 'Película no encontrada' });
+
+        default:
+            return responder(res, 405, { error: 'Método no permitido' });
+    }
+});
+
+servidor.listen(PUERTO, () => {
+    console.log(`🎬 Servidor de prueba de CineFlix en http://localhost:${PUERTO}`);
+});